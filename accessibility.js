@@ -0,0 +1,184 @@
+/**
+ * D0T Accessibility - Buttons and fields straight from the OS
+ * ══════════════════════════════════════════════════════════════
+ *
+ * OCR reads pixels and guesses; the accessibility tree knows. Apps
+ * describe their controls to screen readers, and the drivers list them
+ * with elements() - UI Automation on Windows, AT-SPI on Linux:
+ *
+ *   { name, role, enabled, rect }
+ *   role - button, checkbox, radio, menuitem, link, combobox, textbox,
+ *          tab, listitem
+ *   rect - desktop pixels, like window rects
+ *
+ * Accessibility turns them into OCR-shaped words for the last capture
+ * (image pixels, window-relative for a window capture), so matcher.js
+ * finds "Allow once" on an element the same way as on OCR text. Each word
+ * carries role, enabled and source: 'accessibility'; the words of one
+ * element share its box and a lineId.
+ *
+ * Not every app has a tree (games, canvas UIs, Electron without
+ * --force-renderer-accessibility) and not every machine has the API
+ * (no python3-gi) - then there are no elements, find() falls back to OCR,
+ * and the tree is tried again after retryAfter.
+ *
+ * Usage:
+ *   const a11y = new Accessibility(driver);
+ *   await driver.capture('screenshot.png');
+ *   const words = await a11y.read();
+ *   const [button] = matchText(words, 'Allow once');
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDriver } = require('./drivers');
+
+const DEFAULTS = {
+  retryAfter: 60000,   // After a failed read, OCR only for this long (ms)
+};
+
+// ══════════════════════════════════════════════════════════════
+// ELEMENTS -> WORDS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Driver elements -> matcher words in the capture's image pixels
+ * @param {array} elements - Driver elements()
+ * @param {ScreenSpace|null} space - The capture they belong to (driver.space)
+ * @returns {array} Words of the named elements inside the capture
+ */
+function elementWords(elements, space) {
+  const area = space?.area || { x: 0, y: 0, width: Infinity, height: Infinity };
+  const words = [];
+
+  elements.forEach((el, i) => {
+    const name = (el.name || '').replace(/\s+/g, ' ').trim();
+    if (!name) return;
+
+    // Clip to the capture - a window scrolled half out of view
+    const x0 = Math.max(el.rect.x, area.x) - area.x;
+    const y0 = Math.max(el.rect.y, area.y) - area.y;
+    const x1 = Math.min(el.rect.x + el.rect.width, area.x + area.width) - area.x;
+    const y1 = Math.min(el.rect.y + el.rect.height, area.y + area.height) - area.y;
+    if (x1 <= x0 || y1 <= y0) return;
+
+    const bbox = { x0, y0, x1, y1 };
+    for (const text of name.split(' ')) {
+      words.push({
+        text,
+        x: Math.round((x0 + x1) / 2),
+        y: Math.round((y0 + y1) / 2),
+        width: x1 - x0,
+        height: y1 - y0,
+        bbox,
+        confidence: 100,
+        lineId: `a11y-${i}`,
+        role: el.role,
+        enabled: el.enabled !== false,
+        source: 'accessibility',
+      });
+    }
+  });
+
+  return space ? space.tag(words) : words;
+}
+
+/**
+ * elementWords() back to one entry per element, in tree order
+ * @returns {array} [{ name, role, enabled, x, y, bbox, monitor }]
+ */
+function elementList(words) {
+  const elements = new Map();
+  for (const w of words) {
+    if (!elements.has(w.lineId)) {
+      elements.set(w.lineId, { name: [], role: w.role, enabled: w.enabled, x: w.x, y: w.y, bbox: w.bbox, monitor: w.monitor });
+    }
+    elements.get(w.lineId).name.push(w.text);
+  }
+  return [...elements.values()].map(e => ({ ...e, name: e.name.join(' ') }));
+}
+
+// ══════════════════════════════════════════════════════════════
+// ACCESSIBILITY
+// ══════════════════════════════════════════════════════════════
+
+class Accessibility {
+  /**
+   * @param {object} driver - Defaults to the shared driver
+   * @param {object} options - { retryAfter }
+   */
+  constructor(driver = getDriver(), options = {}) {
+    this.driver = driver;
+    this.options = { ...DEFAULTS, ...options };
+    this.failedAt = 0;
+    this.lastError = null;
+  }
+
+  get supported() {
+    return typeof this.driver.elements === 'function';
+  }
+
+  /**
+   * Elements of the last capture's window (the focused one for a
+   * desktop / monitor capture) as words - [] when there is no tree
+   * @returns {Promise<array>}
+   */
+  async read() {
+    if (!this.supported) return [];
+    if (this.failedAt && Date.now() - this.failedAt < this.options.retryAfter) return [];
+
+    const space = this.driver.space || null;
+    try {
+      const elements = await this.driver.elements({ window: space?.window || null });
+      if (this.failedAt) console.log('♿ Accessibility tree is back');
+      this.failedAt = 0;
+      this.lastError = null;
+      return elementWords(elements, space);
+    } catch (err) {
+      if (!this.failedAt) console.log(`♿ No accessibility tree (${err.message}) - using OCR only`);
+      this.failedAt = Date.now();
+      this.lastError = err.message;
+      return [];
+    }
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// CLI
+// ══════════════════════════════════════════════════════════════
+
+if (require.main === module) {
+  const json = process.argv.includes('--json');
+
+  (async () => {
+    const driver = getDriver();
+    // The capture only sets the space (and focuses --window=)
+    const shot = path.join(os.tmpdir(), `_d0t-a11y-${process.pid}.png`);
+    await driver.capture(shot);
+    fs.rmSync(shot, { force: true });
+    const a11y = new Accessibility(driver);
+    const words = await a11y.read();
+    if (a11y.lastError) throw new Error(a11y.lastError);
+
+    const list = elementList(words);
+    if (json) {
+      console.log(JSON.stringify(list, null, 2));
+      return;
+    }
+    console.log(`♿ ${list.length} element(s)${driver.space?.window ? ` in "${driver.space.window.title}"` : ''}`);
+    for (const e of list) {
+      console.log(`   ${e.role.padEnd(9)} "${e.name}" at (${e.x}, ${e.y})${e.enabled ? '' : ' (disabled)'}`);
+    }
+  })().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  Accessibility,
+  elementWords,
+  elementList,
+  DEFAULTS,
+};
@@ -1,30 +1,59 @@
 // D0T Agent - Unified See→Think→Act Loop
-const { exec, spawn } = require('child_process');
-const { createWorker } = require('tesseract.js');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getDriver } = require('./drivers');
+const { getWorker, terminateWorker, recognize, recognizeRegions, resolveRegions, findTemplates } = require('./vision-core');
+const { matchText, DEFAULT_THRESHOLD } = require('./matcher');
+const { Accessibility } = require('./accessibility');
 
 const SCREENSHOT_PATH = path.join(__dirname, 'screenshot.png');
 
+// Agent OCR (tasks, Gateway commands) goes ahead of background watchers
+const OCR_PRIORITY = 1;
+
 class D0TAgent {
-  constructor() {
-    this.lastScreen = null;
+  constructor(options = {}) {
+    this.driver = options.driver || getDriver();
+    this.matchOptions = {
+      fuzzy: options.fuzzy || false,
+      threshold: options.fuzzyThreshold || DEFAULT_THRESHOLD,
+    };
+    this.lastScreen = null;  // Hash of the last OCR'd screenshot
     this.lastWords = [];
+    this.lastElements = [];  // Accessibility-tree words of the last screenshot
     this.lastText = '';
+    this.lastTiming = {};    // ms of the last screenshot / OCR
+    this.lastRegions = null; // Areas the last see() read, null = whole screen
+    // Region reads between full-screen reads, so nothing outside the
+    // regions goes unseen for long
+    this.fullScanEvery = options.fullScanEvery || 10;
+    this.regionScans = this.fullScanEvery - 1;  // First see() reads everything
+    // Image cleanup before OCR: true / false / overrides (vision-core CONFIG.preprocess)
+    this.preprocess = options.preprocess;
+    // Only look at / act on this window - 'Visual Studio Code', '/regex/',
+    // { title, app } (drivers/window-target.js); null = the driver's --window
+    this.window = options.window || null;
+    // false: never bring it to the front (watchers act only while it is)
+    this.focus = options.focus !== false;
+    this.outside = false;    // In outsideTarget() - the whole screen for now
+    // find() asks the accessibility tree (UIA / AT-SPI) before OCR; false = OCR only
+    this.accessibility = options.accessibility === false ? null : new Accessibility(this.driver);
     this.actionQueue = [];
     this.worker = null;
   }
 
   async init() {
+    // Shared pool (vision-core / ocr-pool.js) - workers start on first use
     if (!this.worker) {
-      console.log('🔧 Initializing OCR worker...');
-      this.worker = await createWorker('eng');
-      console.log('✅ OCR ready');
+      this.worker = getWorker({ priority: OCR_PRIORITY });
     }
   }
 
   async cleanup() {
     if (this.worker) {
-      await this.worker.terminate();
+      await terminateWorker();
       this.worker = null;
     }
   }
@@ -33,7 +62,10 @@ class D0TAgent {
   // VISION - Fast screenshot + OCR with word positions
   // ═══════════════════════════════════════════════════════════════
   
-  async see() {
+  // options.regions: only OCR these areas - names ('vscode-chat'), pixel
+  // rects, learned / changed regions (see vision-core resolveRegions).
+  // Every fullScanEvery-th call reads the whole screen anyway.
+  async see(options = {}) {
     const start = Date.now();
     
     // Ensure worker is ready
@@ -41,74 +73,148 @@ class D0TAgent {
     
     // Take screenshot
     await this.screenshot();
-    console.log(`📸 Screenshot: ${Date.now() - start}ms`);
+    this.lastTiming = { screenshot: Date.now() - start };
+    console.log(`📸 Screenshot: ${this.lastTiming.screenshot}ms`);
+    
+    if (options.regions?.length > 0 && ++this.regionScans < this.fullScanEvery) {
+      const { width, height } = await sharp(SCREENSHOT_PATH).metadata();
+      return this.ocrRegions(resolveRegions(options.regions, width, height));
+    }
+    
+    this.regionScans = 0;
+    return this.ocr(screenHash());
+  }
+
+  /**
+   * Like see(), but skips OCR when the screen hasn't changed since the last one
+   */
+  async refresh() {
+    await this.init();
+    await this.screenshot();
     
-    // OCR - get text and estimate positions from lines
+    const hash = screenHash();
+    if (hash === this.lastScreen) return this.lastWords;
+    return this.ocr(hash);
+  }
+
+  // imagePath: OCR a saved image instead of the last screenshot
+  async ocr(hash, imagePath = SCREENSHOT_PATH) {
+    // OCR - blocks output carries real word bounding boxes
     const ocrStart = Date.now();
-    const { data } = await this.worker.recognize(SCREENSHOT_PATH);
+    const [{ data, words }, elements] = await Promise.all([
+      recognize(this.worker, imagePath, { preprocess: this.preprocess }),
+      this.readElements(imagePath),
+    ]);
     
     this.lastText = data.text || '';
+    this.lastWords = this.tagMonitors(words, imagePath);
+    this.lastElements = elements;
+    this.lastScreen = hash;
+    this.lastRegions = null;
+    this.lastTiming.ocr = Date.now() - ocrStart;
     
-    // Parse text into words with estimated positions
-    // Screen is ~1920x1080, estimate 100 chars per line, ~30 lines
-    const lines = this.lastText.split('\n');
-    this.lastWords = [];
+    console.log(`👁️ OCR: ${this.lastTiming.ocr}ms (${this.lastWords.length} words${elementCount(elements)})`);
     
-    const lineHeight = 30; // Approximate pixels per line
-    const charWidth = 8;   // Approximate pixels per character
+    return this.lastWords;
+  }
+
+  async ocrRegions(regions, imagePath = SCREENSHOT_PATH) {
+    const ocrStart = Date.now();
+    const [{ text, words }, elements] = await Promise.all([
+      recognizeRegions(this.worker, imagePath, regions, { preprocess: this.preprocess }),
+      this.readElements(imagePath),
+    ]);
     
-    lines.forEach((line, lineIdx) => {
-      const y = 50 + lineIdx * lineHeight; // Start ~50px from top
-      let x = 50; // Start ~50px from left
-      
-      const words = line.split(/\s+/).filter(w => w.length > 0);
-      words.forEach(word => {
-        this.lastWords.push({
-          text: word,
-          x: x + (word.length * charWidth) / 2,
-          y: y,
-          lineIdx
-        });
-        x += word.length * charWidth + 10; // Word width + space
-      });
-    });
+    this.lastText = text;
+    this.lastWords = this.tagMonitors(words, imagePath);
+    this.lastElements = elements;
+    this.lastScreen = null;  // Partial read - refresh() must OCR again
+    this.lastRegions = regions;
+    this.lastTiming.ocr = Date.now() - ocrStart;
     
-    console.log(`👁️ OCR: ${Date.now() - ocrStart}ms (${this.lastWords.length} words)`);
+    console.log(`👁️ OCR ${regions.length} region(s): ${this.lastTiming.ocr}ms (${words.length} words${elementCount(elements)})`);
     
     return this.lastWords;
   }
 
-  // Remove parseHOCR - not needed with this approach
+  /**
+   * Find image targets (vision-core findTemplates) in the last screenshot
+   * @param {string[]} targets - Template target names
+   * @param {object} options - { threshold, scales, regions }
+   */
+  async findImages(targets, options = {}) {
+    const start = Date.now();
+    const matches = this.tagMonitors(await findTemplates(SCREENSHOT_PATH, targets, options), SCREENSHOT_PATH);
+    console.log(`🖼️ Templates: ${Date.now() - start}ms (${matches.length} matches)`);
+    return matches;
+  }
 
+  // A window target is brought to the front first - we look at it to act on it
   screenshot() {
-    return new Promise((resolve, reject) => {
-      exec(`powershell -ExecutionPolicy Bypass -File "${path.join(__dirname, 'screenshot.ps1')}"`,
-        (err) => err ? reject(err) : resolve());
-    });
+    return this.driver.capture(SCREENSHOT_PATH, { window: this.windowTarget(), focus: this.focus });
+  }
+
+  windowTarget() {
+    if (this.outside) return null;
+    return this.window || this.driver.window || null;
+  }
+
+  // For what isn't in the target window (the OS search box): see and
+  // type without focusing it
+  async outsideTarget(fn) {
+    const outside = this.outside;
+    this.outside = true;
+    try {
+      return await fn();
+    } finally {
+      this.outside = outside;
+    }
+  }
+
+  // Keys and clicks go to the target window, whatever took the focus since
+  async focusTarget() {
+    const target = this.windowTarget();
+    if (target && this.focus) await this.driver.focusWindow(target);
+  }
+
+  // Accessibility elements belong to the live screen - none for --image files
+  async readElements(imagePath) {
+    if (!this.accessibility || imagePath !== SCREENSHOT_PATH) return [];
+    return this.accessibility.read();
+  }
+
+  // Monitor ids on words of our own screenshot (not on --image files)
+  tagMonitors(items, imagePath) {
+    if (imagePath === SCREENSHOT_PATH) this.driver.space?.tag(items);
+    return items;
   }
 
   // ═══════════════════════════════════════════════════════════════
   // FIND - Locate elements on screen by text
   // ═══════════════════════════════════════════════════════════════
   
+  // Options: exact, near, fuzzy, threshold (see matcher.js)
+  // Matches can span several words ("Allow and Review") and carry a score.
+  // Accessibility elements are asked first, OCR words only when none
+  // match; match.source says which ('accessibility' | 'ocr').
+  // ocrOnly: OCR words only (their lineId is an OCR line)
   find(text, options = {}) {
-    const { exact = false, near = null } = options;
-    const search = text.toLowerCase();
+    const { near = null, ocrOnly = false, ...matchOptions } = options;
+    const opts = { ...this.matchOptions, ...matchOptions };
     
-    let matches = this.lastWords.filter(w => {
-      const wordText = w.text.toLowerCase();
-      return exact ? wordText === search : wordText.includes(search);
-    });
+    // Enabled elements first - a greyed-out twin is rarely the one meant
+    let matches = ocrOnly ? [] : matchText(this.lastElements, text, opts)
+      .sort((a, b) => Number(b.enabled) - Number(a.enabled));
+    if (matches.length === 0) {
+      matches = matchText(this.lastWords, text, opts).map(m => ({ ...m, source: 'ocr' }));
+    }
     
-    // If looking for something near another element
+    // If looking for something near another element, rank by the gap
+    // between bounding boxes so long labels don't skew the distance
     if (near && matches.length > 0) {
       const nearEl = this.find(near)[0];
       if (nearEl) {
-        matches = matches.sort((a, b) => {
-          const distA = Math.hypot(a.x - nearEl.x, a.y - nearEl.y);
-          const distB = Math.hypot(b.x - nearEl.x, b.y - nearEl.y);
-          return distA - distB;
-        });
+        matches = matches.sort((a, b) => boxDistance(a, nearEl) - boxDistance(b, nearEl));
       }
     }
     
@@ -129,28 +235,26 @@ class D0TAgent {
   
   async click(x, y) {
     const start = Date.now();
-    await this.runPS(`
-      Add-Type -AssemblyName System.Windows.Forms
-      Add-Type -TypeDefinition @"
-using System;
-using System.Runtime.InteropServices;
-public class Mouse {
-    [DllImport("user32.dll")]
-    public static extern void mouse_event(int dwFlags, int dx, int dy, int dwData, int dwExtraInfo);
-}
-"@
-      [System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point(${x}, ${y})
-      Start-Sleep -Milliseconds 50
-      [Mouse]::mouse_event(0x0002, 0, 0, 0, 0)
-      Start-Sleep -Milliseconds 30
-      [Mouse]::mouse_event(0x0004, 0, 0, 0, 0)
-    `);
+    await this.focusTarget();
+    await this.driver.click(x, y);
     console.log(`🖱️ Click (${x}, ${y}): ${Date.now() - start}ms`);
   }
 
+  // options.fallback { x, y }: where the text was last seen (recordings).
+  // Picks the match closest to it, or clicks it when the text is gone.
   async clickOn(text, options = {}) {
-    const matches = this.find(text, options);
+    const { fallback, ...findOptions } = options;
+    let matches = this.find(text, findOptions);
+    if (fallback && matches.length > 1) {
+      const dist = m => Math.hypot(m.x - fallback.x, m.y - fallback.y);
+      matches = matches.sort((a, b) => dist(a) - dist(b));
+    }
     if (matches.length === 0) {
+      if (fallback) {
+        console.log(`📍 "${text}" not found, clicking recorded position (${fallback.x}, ${fallback.y})`);
+        await this.click(fallback.x, fallback.y);
+        return true;
+      }
       console.log(`❌ Not found: "${text}"`);
       return false;
     }
@@ -162,42 +266,21 @@ public class Mouse {
 
   async type(text) {
     const start = Date.now();
-    // Escape special SendKeys characters
-    const escaped = text.replace(/[+^%~(){}[\]]/g, '{$&}');
-    await this.runPS(`
-      Add-Type -AssemblyName System.Windows.Forms
-      [System.Windows.Forms.SendKeys]::SendWait('${escaped.replace(/'/g, "''")}')
-    `);
+    await this.focusTarget();
+    await this.driver.type(text);
     console.log(`⌨️ Type "${text}": ${Date.now() - start}ms`);
   }
 
   async press(key) {
     const start = Date.now();
-    await this.runPS(`
-      Add-Type -AssemblyName System.Windows.Forms
-      [System.Windows.Forms.SendKeys]::SendWait('${key}')
-    `);
+    await this.focusTarget();
+    await this.driver.key(key);
     console.log(`⌨️ Press ${key}: ${Date.now() - start}ms`);
   }
 
   async hotkey(keys) {
-    // Convert "ctrl+l" to "^l", "alt+f4" to "%{F4}", etc.
-    const keyMap = {
-      'ctrl': '^', 'alt': '%', 'shift': '+', 'win': '^{ESC}',
-      'enter': '{ENTER}', 'tab': '{TAB}', 'esc': '{ESC}', 'escape': '{ESC}',
-      'up': '{UP}', 'down': '{DOWN}', 'left': '{LEFT}', 'right': '{RIGHT}',
-      'backspace': '{BACKSPACE}', 'delete': '{DELETE}', 'home': '{HOME}', 'end': '{END}',
-      'f1': '{F1}', 'f2': '{F2}', 'f3': '{F3}', 'f4': '{F4}', 'f5': '{F5}',
-      'f6': '{F6}', 'f7': '{F7}', 'f8': '{F8}', 'f9': '{F9}', 'f10': '{F10}',
-      'f11': '{F11}', 'f12': '{F12}'
-    };
-    
-    let sendKeys = '';
-    const parts = keys.toLowerCase().split('+');
-    for (const part of parts) {
-      sendKeys += keyMap[part] || part;
-    }
-    await this.press(sendKeys);
+    // Drivers take "ctrl+l" style combos directly
+    await this.press(keys);
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -218,16 +301,122 @@ public class Mouse {
   }
 
   async search(query) {
-    await this.hotkey('ctrl+escape'); // Windows search
-    await this.wait(300);
-    await this.type(query);
-    await this.wait(500);
+    await this.outsideTarget(async () => {
+      await this.hotkey('ctrl+escape'); // Windows search
+      await this.waitForScreenStable({ timeout: 2000, required: false });
+      await this.type(query);
+      await this.waitForScreenStable({ timeout: 3000, required: false });
+    });
   }
 
   async searchAndOpen(query) {
-    await this.search(query);
-    await this.press('{ENTER}');
-    await this.wait(1000);
+    await this.outsideTarget(async () => {
+      await this.search(query);
+      await this.press('{ENTER}');
+      await this.waitForScreenStable({ timeout: 5000, required: false });
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // WAIT - Poll the screen instead of sleeping
+  // ═══════════════════════════════════════════════════════════════
+  
+  /**
+   * Poll until text is on screen
+   * @param {string} text - Text to find
+   * @param {object} options - { timeout, interval, ...find options }
+   * @returns {object} The first match - throws on timeout
+   */
+  async waitForText(text, options = {}) {
+    const { timeout = DEFAULT_WAIT_TIMEOUT, interval = DEFAULT_POLL_INTERVAL, ...findOptions } = options;
+    const match = await this.poll(timeout, interval, () => this.find(text, findOptions)[0]);
+    if (!match) {
+      throw new Error(`Timed out after ${timeout}ms waiting for "${text}"\n${this.summarize()}`);
+    }
+    console.log(`👀 "${text}" appeared at (${match.x}, ${match.y})`);
+    return match;
+  }
+
+  /**
+   * Poll until text is no longer on screen (spinners, "Loading...", dialogs)
+   * @param {string} text - Text that should disappear
+   * @param {object} options - { timeout, interval, ...find options }
+   */
+  async waitForTextGone(text, options = {}) {
+    const { timeout = DEFAULT_WAIT_TIMEOUT, interval = DEFAULT_POLL_INTERVAL, ...findOptions } = options;
+    const gone = await this.poll(timeout, interval, () => this.find(text, findOptions).length === 0);
+    if (!gone) {
+      throw new Error(`Timed out after ${timeout}ms waiting for "${text}" to go away`);
+    }
+    console.log(`👀 "${text}" is gone`);
+  }
+
+  /**
+   * Wait until the screenshot stops changing (no OCR - just captures)
+   * @param {object} options - { timeout, interval, stableFor, required }
+   *   stableFor: identical captures in a row that count as settled
+   *   required:  false to return false on timeout instead of throwing
+   * @returns {boolean} true once stable
+   */
+  async waitForScreenStable(options = {}) {
+    const { timeout = DEFAULT_WAIT_TIMEOUT, interval = 250, stableFor = 2, required = true } = options;
+    const start = Date.now();
+    let previous = null;
+    let same = 0;
+    
+    while (true) {
+      await this.screenshot();
+      const hash = screenHash();
+      same = hash === previous ? same + 1 : 1;
+      previous = hash;
+      
+      if (same >= stableFor) {
+        console.log(`🧘 Screen stable after ${Date.now() - start}ms`);
+        return true;
+      }
+      if (Date.now() - start + interval > timeout) break;
+      await this.wait(interval);
+    }
+    
+    if (required) throw new Error(`Timed out after ${timeout}ms waiting for the screen to settle`);
+    console.log(`⏱️ Screen still changing after ${timeout}ms, moving on`);
+    return false;
+  }
+
+  /**
+   * Fail unless text is (or with absent: true, is not) on screen right now
+   * @param {string} text - Text to check
+   * @param {object} options - { absent, ...find options }
+   */
+  async assertText(text, options = {}) {
+    const { absent = false, ...findOptions } = options;
+    await this.refresh();
+    const found = this.find(text, findOptions).length > 0;
+    
+    if (found === absent) {
+      throw new Error(absent
+        ? `Assertion failed: "${text}" is on screen`
+        : `Assertion failed: "${text}" not on screen\n${this.summarize()}`);
+    }
+    console.log(`✅ Assert: "${text}" ${absent ? 'absent' : 'present'}`);
+  }
+
+  /**
+   * refresh() until check() returns something truthy or time runs out
+   */
+  async poll(timeout, interval, check) {
+    const start = Date.now();
+    while (true) {
+      const attempt = Date.now();
+      await this.refresh();
+      const result = check();
+      if (result) return result;
+      
+      const elapsed = Date.now() - start;
+      if (elapsed >= timeout) return null;
+      // Interval is measured from the start of each attempt; OCR time counts
+      await this.wait(Math.min(Math.max(0, interval - (Date.now() - attempt)), timeout - elapsed));
+    }
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -238,20 +427,6 @@ public class Mouse {
     return new Promise(r => setTimeout(r, ms));
   }
 
-  runPS(script) {
-    return new Promise((resolve, reject) => {
-      const cleaned = script.replace(/\r?\n/g, '\n').trim();
-      const tempFile = path.join(__dirname, '_temp.ps1');
-      require('fs').writeFileSync(tempFile, cleaned);
-      exec(`powershell -ExecutionPolicy Bypass -File "${tempFile}"`,
-        (err, stdout, stderr) => {
-          try { require('fs').unlinkSync(tempFile); } catch {}
-          if (err) reject(err);
-          else resolve(stdout);
-        });
-    });
-  }
-
   // ═══════════════════════════════════════════════════════════════
   // ANALYSIS - Understand what's on screen
   // ═══════════════════════════════════════════════════════════════
@@ -259,19 +434,18 @@ public class Mouse {
   summarize() {
     if (this.lastWords.length === 0) return 'No words detected';
     
-    // Group by rough Y position (lines)
-    const lines = {};
+    // Group by the OCR line each word belongs to
+    const lines = new Map();
     for (const w of this.lastWords) {
-      const lineY = Math.round(w.y / 30) * 30; // Group within 30px
-      if (!lines[lineY]) lines[lineY] = [];
-      lines[lineY].push(w);
+      if (!lines.has(w.lineId)) lines.set(w.lineId, []);
+      lines.get(w.lineId).push(w);
     }
     
-    // Sort each line by X, then combine
-    const sortedLines = Object.keys(lines)
-      .map(Number)
-      .sort((a, b) => a - b)
-      .map(y => lines[y].sort((a, b) => a.x - b.x).map(w => w.text).join(' '));
+    // Order lines top-to-bottom, words left-to-right
+    const sortedLines = [...lines.values()]
+      .map(words => words.sort((a, b) => a.bbox.x0 - b.bbox.x0))
+      .sort((a, b) => a[0].bbox.y0 - b[0].bbox.y0 || a[0].bbox.x0 - b[0].bbox.x0)
+      .map(words => words.map(w => w.text).join(' '));
     
     return sortedLines.slice(0, 10).join('\n'); // First 10 lines
   }
@@ -284,132 +458,311 @@ public class Mouse {
   // AGENT LOOP - See → Think → Act
   // ═══════════════════════════════════════════════════════════════
   
-  async execute(actions) {
-    for (const action of actions) {
-      console.log(`\n▶️ ${action.type}: ${JSON.stringify(action.params || {})}`);
-      
-      switch (action.type) {
-        case 'see':
-          await this.see();
-          break;
-        case 'click':
-          await this.click(action.params.x, action.params.y);
-          break;
-        case 'clickOn':
-          await this.clickOn(action.params.text, action.params);
-          break;
-        case 'type':
-          await this.type(action.params.text);
-          break;
-        case 'press':
-          await this.press(action.params.key);
-          break;
-        case 'hotkey':
-          await this.hotkey(action.params.keys);
-          break;
-        case 'urlBar':
-          await this.urlBar(action.params.url);
-          break;
-        case 'search':
-          await this.search(action.params.query);
-          break;
-        case 'searchAndOpen':
-          await this.searchAndOpen(action.params.query);
-          break;
-        case 'wait':
-          await this.wait(action.params.ms);
-          break;
-        case 'log':
-          console.log(`📝 ${action.params.message}`);
-          break;
+  /**
+   * Run a list of actions in order. A failing step (clickOn that finds
+   * nothing, a missing sequence, a `fail`) throws unless wrapped in
+   * try / retry.
+   *
+   * Control flow (nested lists live in `do`, `then`, `else`, `onError`):
+   *   { type: 'if', params: { visible: 'Save' }, then: [...], else: [...] }
+   *   { type: 'while', params: { visible: 'Loading', max: 20 }, do: [...] }
+   *   { type: 'repeat', params: { times: 3 }, do: [...] }        - ${i} = 0, 1, 2
+   *   { type: 'try', do: [...], onError: [...] }                 - ${error} = message
+   *   { type: 'retry', params: { attempts: 3, delay: 500, backoff: 2 }, do: [...] }
+   *   { type: 'call', params: { name: 'login' } }                - options.sequences
+   *   { type: 'read', params: { label: 'Total:', into: 'total' } } - OCR -> ${total}
+   *   { type: 'set', params: { name: 'tries', value: 0 } }
+   *   { type: 'fail', params: { message: 'Build broke' } }
+   *
+   * Waits (fail the step on timeout):
+   *   { type: 'waitForText', params: { text: 'Done', timeout: 10000, interval: 500 } }
+   *   { type: 'waitForTextGone', params: { text: 'Loading' } }
+   *   { type: 'waitForScreenStable', params: { timeout: 5000, stableFor: 2 } }
+   *   { type: 'assertText', params: { text: 'Saved', absent: false } }
+   *
+   * Conditions: { visible: text } / { notVisible: text } (fresh OCR unless
+   * see: false, plus find() options), or { var, equals | notEquals |
+   * greaterThan | lessThan }. String params may use ${name} variables.
+   *
+   * @param {array} actions - [{ type, params, wait }]
+   * @param {object} options - { from, onStep, signal, vars, sequences, target }
+   *   from:      index to start at (resume after a checkpoint)
+   *   onStep:    called with (index, action, vars) after each top-level action
+   *   signal:    AbortSignal checked before every action
+   *   vars:      initial variables (e.g. restored with a checkpoint)
+   *   sequences: { name: [actions] } for `call`
+   *   target:    { window } - run against that window (task files' target)
+   */
+  async execute(actions, options = {}) {
+    const { from = 0, onStep, target } = options;
+    const ctx = {
+      vars: { ...options.vars },
+      sequences: options.sequences || {},
+      signal: options.signal,
+      depth: 0,
+    };
+    
+    const window = this.window;
+    if (target?.window) {
+      this.window = target.window;
+      console.log(`🪟 Target window: ${JSON.stringify(target.window)}`);
+    }
+    try {
+      for (let i = from; i < actions.length; i++) {
+        await this.runAction(actions[i], ctx);
+        if (onStep) await onStep(i, actions[i], ctx.vars);
       }
-      
-      if (action.wait) await this.wait(action.wait);
+    } finally {
+      this.window = window;
     }
+    return ctx.vars;
   }
-}
 
-// ═══════════════════════════════════════════════════════════════
-// CLI Interface
-// ═══════════════════════════════════════════════════════════════
-
-async function main() {
-  const agent = new D0TAgent();
-  const args = process.argv.slice(2);
-  const cmd = args[0];
+  async runSteps(steps = [], ctx) {
+    for (const step of steps) {
+      await this.runAction(step, ctx);
+    }
+  }
 
-  switch (cmd) {
-    case 'see':
-      await agent.see();
-      console.log('\n' + agent.summarize());
-      break;
-      
-    case 'find':
-      await agent.see();
-      const matches = agent.find(args[1]);
-      if (matches.length > 0) {
-        console.log(`\n🎯 Found "${args[1]}":`);
-        matches.slice(0, 5).forEach(m => 
-          console.log(`   (${m.x}, ${m.y}) - "${m.text}"`));
-      } else {
-        console.log(`\n❌ "${args[1]}" not found`);
+  async runAction(action, ctx) {
+    if (ctx.signal?.aborted) {
+      throw ctx.signal.reason || new Error('Aborted');
+    }
+    
+    const params = interpolate(action.params || {}, ctx.vars);
+    console.log(`\n▶️ ${action.type}: ${JSON.stringify(params)}`);
+    
+    switch (action.type) {
+      case 'see':
+        await this.see();
+        break;
+      case 'click':
+        await this.click(params.x, params.y);
+        break;
+      case 'clickOn':
+        if (!await this.clickOn(params.text, params) && !params.optional) {
+          throw new Error(`Not found: "${params.text}"`);
+        }
+        break;
+      case 'type':
+        await this.type(params.text);
+        break;
+      case 'press':
+        await this.press(params.key);
+        break;
+      case 'hotkey':
+        await this.hotkey(params.keys);
+        break;
+      case 'urlBar':
+        await this.urlBar(params.url);
+        break;
+      case 'search':
+        await this.search(params.query);
+        break;
+      case 'searchAndOpen':
+        await this.searchAndOpen(params.query);
+        break;
+      case 'wait':
+        await this.wait(params.ms);
+        break;
+      case 'log':
+        console.log(`📝 ${params.message}`);
+        break;
+      case 'waitForText':
+        await this.waitForText(params.text, params);
+        break;
+      case 'waitForTextGone':
+        await this.waitForTextGone(params.text, params);
+        break;
+      case 'waitForScreenStable':
+        await this.waitForScreenStable(params);
+        break;
+      case 'assertText':
+        await this.assertText(params.text, params);
+        break;
+        
+      // Control flow
+      case 'if':
+        await this.runSteps(await this.check(params, ctx) ? action.then : action.else, ctx);
+        break;
+        
+      case 'while': {
+        const max = params.max ?? 100;
+        let n = 0;
+        while (await this.check(params, ctx)) {
+          if (n++ >= max) throw new Error(`while: still true after ${max} iterations`);
+          ctx.vars.i = n - 1;
+          await this.runSteps(action.do, ctx);
+        }
+        break;
       }
-      break;
-      
-    case 'click':
-      await agent.click(parseInt(args[1]), parseInt(args[2]));
-      break;
-      
-    case 'clickOn':
-      await agent.see();
-      await agent.clickOn(args[1]);
-      break;
-      
-    case 'type':
-      await agent.type(args.slice(1).join(' '));
-      break;
-      
-    case 'url':
-      await agent.urlBar(args[1]);
-      break;
-      
-    case 'open':
-      await agent.searchAndOpen(args.slice(1).join(' '));
-      break;
-      
-    case 'demo':
-      console.log('🤖 D0T Agent Demo\n');
-      await agent.see();
-      console.log('\n📋 Screen Summary:');
-      console.log(agent.summarize());
-      
-      // Find common UI elements
-      const ui = agent.findAll(['Chrome', 'GitHub', 'File', 'Edit', 'View', 'Search']);
-      console.log('\n🔍 UI Elements Found:');
-      for (const [name, matches] of Object.entries(ui)) {
-        if (matches.length > 0) {
-          console.log(`   ${name}: (${matches[0].x}, ${matches[0].y})`);
+        
+      case 'repeat':
+        for (let n = 0; n < (params.times ?? 1); n++) {
+          ctx.vars.i = n;
+          await this.runSteps(action.do, ctx);
+        }
+        break;
+        
+      case 'try':
+        try {
+          await this.runSteps(action.do, ctx);
+        } catch (err) {
+          if (ctx.signal?.aborted) throw err;
+          console.log(`⚠️ Caught: ${err.message}`);
+          ctx.vars.error = err.message;
+          await this.runSteps(action.onError, ctx);
         }
+        break;
+        
+      case 'retry': {
+        const { attempts = 3, backoff = 2 } = params;
+        let delay = params.delay ?? 500;
+        for (let attempt = 1; ; attempt++) {
+          try {
+            await this.runSteps(action.do, ctx);
+            break;
+          } catch (err) {
+            if (attempt >= attempts || ctx.signal?.aborted) throw err;
+            console.log(`🔁 Attempt ${attempt}/${attempts} failed (${err.message}), retrying in ${delay}ms`);
+            await this.wait(delay);
+            delay *= backoff;
+          }
+        }
+        break;
       }
-      break;
-      
-    default:
-      console.log(`
-🤖 D0T Agent - See → Think → Act
-
-Commands:
-  node agent.js see                    - Screenshot + OCR summary
-  node agent.js find "text"            - Find text on screen with coordinates
-  node agent.js click X Y              - Click at coordinates
-  node agent.js clickOn "text"         - Find and click on text
-  node agent.js type "text"            - Type text
-  node agent.js url "github.com"       - Navigate to URL (Ctrl+L, type, Enter)
-  node agent.js open "Chrome"          - Search and open app
-  node agent.js demo                   - Full demo with analysis
-      `);
+        
+      case 'call': {
+        const steps = ctx.sequences[params.name];
+        if (!steps) throw new Error(`Unknown sequence: ${params.name}`);
+        if (ctx.depth >= MAX_CALL_DEPTH) throw new Error(`call: nested deeper than ${MAX_CALL_DEPTH}`);
+        ctx.depth++;
+        try {
+          await this.runSteps(steps, ctx);
+        } finally {
+          ctx.depth--;
+        }
+        break;
+      }
+        
+      case 'read': {
+        if (params.see !== false) await this.refresh();
+        const value = this.read(params.label, params);
+        if (value === null && !params.optional) {
+          throw new Error(`read: nothing next to "${params.label}"`);
+        }
+        ctx.vars[params.into] = value;
+        console.log(`📖 ${params.into} = ${JSON.stringify(value)}`);
+        break;
+      }
+        
+      case 'set':
+        ctx.vars[params.name] = params.value;
+        break;
+        
+      case 'fail':
+        throw new Error(params.message || 'Task failed');
+        
+      default:
+        throw new Error(`Unknown action: ${action.type}`);
+    }
+    
+    if (action.wait) await this.wait(action.wait);
+  }
+
+  /**
+   * Evaluate an if / while condition
+   */
+  async check(cond, ctx) {
+    if (cond.visible !== undefined || cond.notVisible !== undefined) {
+      if (cond.see !== false) await this.refresh();
+      const { visible, notVisible, see, max, ...findOptions } = cond;
+      const found = this.find(visible ?? notVisible, findOptions).length > 0;
+      return visible !== undefined ? found : !found;
+    }
+    
+    if (cond.var !== undefined) {
+      const value = ctx.vars[cond.var];
+      if ('equals' in cond) return String(value) === String(cond.equals);
+      if ('notEquals' in cond) return String(value) !== String(cond.notEquals);
+      if ('greaterThan' in cond) return toNumber(value) > Number(cond.greaterThan);
+      if ('lessThan' in cond) return toNumber(value) < Number(cond.lessThan);
+      return Boolean(value);
+    }
+    
+    throw new Error(`Condition needs visible, notVisible or var: ${JSON.stringify(cond)}`);
+  }
+
+  /**
+   * Read the value printed after a label on the same line ("Total: 42")
+   * @param {string} label - Text to find
+   * @param {object} options - { pattern (regex, default a number), ...find options }
+   * @returns {string|null} First match of pattern to the right of the label
+   */
+  read(label, options = {}) {
+    const { pattern = '-?\\d[\\d,.]*', into, see, optional, ...findOptions } = options;
+    // The value is OCR text on the label's OCR line
+    const anchor = this.find(label, { ...findOptions, ocrOnly: true })[0];
+    if (!anchor) return null;
+    
+    const regex = new RegExp(pattern);
+    const after = this.lastWords
+      .filter(w => w.lineId === anchor.lineId && w.bbox.x0 >= anchor.bbox.x1 - 2)
+      .sort((a, b) => a.bbox.x0 - b.bbox.x0)
+      .map(w => w.text)
+      .join(' ');
+    
+    const match = after.match(regex);
+    return match ? match[0] : null;
   }
 }
 
-main().catch(console.error);
+const MAX_CALL_DEPTH = 20;
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const DEFAULT_POLL_INTERVAL = 500;
+
+// Cheap change detection: hash the PNG bytes of the last capture
+function screenHash() {
+  return crypto.createHash('md5').update(fs.readFileSync(SCREENSHOT_PATH)).digest('hex');
+}
+
+// " + 12 elements" for the OCR log line
+function elementCount(elements) {
+  return elements.length > 0 ? ` + ${new Set(elements.map(e => e.lineId)).size} elements` : '';
+}
+
+// Replace ${name} in string params with task variables
+function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  }
+  if (Array.isArray(value)) return value.map(v => interpolate(v, vars));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = interpolate(v, vars);
+    return out;
+  }
+  return value;
+}
+
+function toNumber(value) {
+  return Number(String(value).replace(/,/g, ''));
+}
+
+// Gap between two word boxes (0 when they overlap)
+function boxDistance(a, b) {
+  const dx = Math.max(0, a.bbox.x0 - b.bbox.x1, b.bbox.x0 - a.bbox.x1);
+  const dy = Math.max(0, a.bbox.y0 - b.bbox.y1, b.bbox.y0 - a.bbox.y1);
+  return Math.hypot(dx, dy);
+}
 
 module.exports = D0TAgent;
+
+// ═══════════════════════════════════════════════════════════════
+// CLI Interface - see d0t.js
+// ═══════════════════════════════════════════════════════════════
+
+// After the export: d0t.js requires this module back
+if (require.main === module) {
+  require('./d0t').run(process.argv.slice(2)).then((code) => process.exit(code));
+}
@@ -14,6 +14,20 @@
  *   node autonomous.js              - Start autonomous mode
  *   node autonomous.js --aggressive - Faster polling, more actions
  *   node autonomous.js --voice      - Enable voice commands
+ *   node autonomous.js --supervised - Ask the Gateway before every click
+ *   node autonomous.js --ask-uncertain
+ *                                   - Ask only for fuzzy/partial matches
+ *   node autonomous.js --headless --launch="code ."
+ *                                   - Run inside a private Xvfb display
+ *   node autonomous.js --regions=vscode-chat,dialog
+ *                                   - Only OCR these areas + learned button
+ *                                     spots (full scan every 10th poll)
+ *   node autonomous.js --images=approve-check,play
+ *                                   - Also click these icon buttons
+ *                                     (templates/<target>.png)
+ *   node autonomous.js --window="Visual Studio Code"
+ *                                   - Only watch / click inside this window
+ *                                     (drivers/window-target.js)
  */
 
 const D0TAgent = require('./agent');
@@ -22,6 +36,14 @@ const fs = require('fs');
 const path = require('path');
 const { exec, spawn } = require('child_process');
 const WebSocket = require('ws');
+const sharp = require('sharp');
+const { useDriver } = require('./drivers');
+const { VirtualDisplay, headlessOptions } = require('./drivers/xvfb');
+const { backgroundWindow } = require('./drivers/window-target');
+const { createEngine } = require('./engine');
+const { windowContext } = require('./policy');
+const { deniedEvent } = require('./gateway-client');
+const { learnedRegions } = require('./vision-core');
 
 // ══════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -31,25 +53,36 @@ const CONFIG = {
   // Polling
   pollInterval: process.argv.includes('--aggressive') ? 2000 : 5000,
   
-  // Buttons to auto-click (priority order)
-  autoClickPatterns: [
-    'Continue', 'Keep', 'Allow', 'Proceed', 'Yes', 'Run', 'OK',
-    'Accept', 'Confirm', 'Submit', 'Next', 'Approve',
-    'Allow and Review',  // VS Code specific
-  ],
-  
-  // Require confirmation scans before clicking
-  confirmScans: 2,
-  
-  // Rate limiting
-  maxActionsPerMinute: 20,
-  cooldownAfterClick: 1000,
+  // Click decisions (confirm twice, rate limit, cooldown) - see engine.js
+  engine: 'autonomous',
   
   // Voice commands
   voiceEnabled: process.argv.includes('--voice'),
   
   // Gateway connection
   gatewayUrl: 'ws://localhost:8089',
+  gatewayToken: process.env.D0T_TOKEN,  // act scope (set by the Gateway when it spawns us)
+  
+  // Human approval over the Gateway (policy 'ask' rules always use it)
+  approval: {
+    supervised: process.argv.includes('--supervised'),
+    askUncertain: process.argv.includes('--ask-uncertain'),
+    timeout: parseInt(process.argv.find(a => a.startsWith('--approval-timeout='))?.split('=')[1] || '60') * 1000,
+    defaultAction: process.argv.includes('--approve-on-timeout') ? 'approve' : 'reject',
+    cropRadius: { x: 400, y: 200 },
+  },
+  
+  // Region OCR (--regions=) - named areas from vision-core CONFIG.regions
+  scanRegions: process.argv.find(a => a.startsWith('--regions='))?.split('=')[1].split(',') || [],
+  
+  // Icon-only buttons (--images=) - template targets from templates/
+  images: process.argv.find(a => a.startsWith('--images='))?.split('=')[1].split(',') || [],
+  
+  // One window only (--window=) - 'Visual Studio Code', '/regex/'
+  window: process.argv.find(a => a.startsWith('--window='))?.split('=').slice(1).join('=') || process.env.D0T_WINDOW || null,
+  
+  // Headless virtual display (--headless, --resolution=, --launch=)
+  headless: headlessOptions(),
   
   // Learning
   sessionFile: path.join(__dirname, 'autonomous-session.json'),
@@ -67,20 +100,26 @@ const state = {
   gateway: null,
   
   // Tracking
-  actionsThisMinute: 0,
-  lastAction: 0,
   totalActions: 0,
   
-  // Confirmation system (see button twice before clicking)
-  pendingButton: null,
-  pendingCount: 0,
-  pendingPos: null,
+  // Confirmation, rate limit and cooldown live in the decision engine
+  engine: createEngine(CONFIG.engine, {
+    images: CONFIG.images,
+    supervised: CONFIG.approval.supervised,
+    askBelowScore: CONFIG.approval.askUncertain ? 1 : 0,
+  }),
+  
+  // Approval requests waiting on the Gateway: id -> resolve(approved)
+  approvals: new Map(),
   
   // Learning
   session: loadSession(),
   
   // Voice
   voiceProcess: null,
+  
+  // Headless
+  display: null,
 };
 
 function loadSession() {
@@ -144,13 +183,15 @@ function log(icon, msg, detail = '') {
 
 function connectGateway() {
   try {
-    state.gateway = new WebSocket(CONFIG.gatewayUrl);
+    state.gateway = new WebSocket(CONFIG.gatewayUrl, {
+      headers: CONFIG.gatewayToken ? { Authorization: `Bearer ${CONFIG.gatewayToken}` } : {},
+    });
     
     state.gateway.on('open', () => {
       log('🔗', 'Connected to Gateway');
       state.gateway.send(JSON.stringify({
         type: 'register',
-        payload: { name: 'autonomous', version: '1.0' },
+        payload: { name: 'autonomous', version: '1.0', token: CONFIG.gatewayToken },
       }));
     });
     
@@ -185,6 +226,10 @@ function handleGatewayMessage(msg) {
         clickAt(msg.payload.x, msg.payload.y);
       }
       break;
+      
+    case 'approval-result':
+      state.approvals.get(msg.payload.id)?.(msg.payload);
+      break;
   }
 }
 
@@ -271,13 +316,30 @@ function handleVoiceCommand(command) {
 // CORE AUTONOMOUS LOGIC
 // ══════════════════════════════════════════════════════════════
 
+async function startHeadless() {
+  state.display = new VirtualDisplay(CONFIG.headless);
+  await state.display.start();
+  useDriver({ driver: 'x11', display: state.display.display });
+  log('🖥️', `Virtual display ${state.display.display} (${state.display.resolution})`);
+  
+  for (const command of CONFIG.headless.apps) {
+    state.display.launch(command);
+    log('🚀', `Launched: ${command}`);
+  }
+}
+
 async function initialize() {
   log('🤖', 'Initializing D0T Autonomous...');
   
+  // Own a virtual display before anything captures the screen
+  if (CONFIG.headless.enabled) {
+    await startHeadless();
+  }
+  
   // Initialize agent
-  state.agent = new D0TAgent();
+  state.agent = new D0TAgent({ window: CONFIG.window, focus: false });
   await state.agent.init();
-  log('✅', 'Agent ready');
+  log('✅', 'Agent ready', CONFIG.window ? `(window: ${CONFIG.window})` : '');
   
   // Try to connect to browser (optional)
   try {
@@ -298,103 +360,215 @@ async function initialize() {
   log('✅', 'Initialization complete');
 }
 
+// --regions plus where buttons were clicked before; [] = whole screen
+function scanRegions() {
+  if (CONFIG.scanRegions.length === 0) return [];
+  return [...CONFIG.scanRegions, ...learnedRegions(state.session.learnedPositions)];
+}
+
 async function scanAndClick() {
-  // Rate limiting
-  if (state.actionsThisMinute >= CONFIG.maxActionsPerMinute) {
+  // Rate limit / cooldown first - no point taking a screenshot
+  if (!state.engine.ready().ready) {
     return null;
   }
   
-  // Cooldown
-  if (Date.now() - state.lastAction < CONFIG.cooldownAfterClick) {
+  // Take screenshot and OCR
+  const start = Date.now();
+  const regions = scanRegions();
+  await state.agent.see({ regions });
+  
+  // Target window behind another app - its buttons aren't ours to click
+  const behind = backgroundWindow(state.agent.driver.space);
+  if (behind) {
+    log('🪟', `"${behind.title}" is not in front - waiting`);
     return null;
   }
   
-  // Take screenshot and OCR
-  const start = Date.now();
-  await state.agent.see();
+  const targets = state.engine.imageTargets();
+  const images = targets.length > 0 ? await state.agent.findImages(targets, { regions }) : [];
   const scanTime = Date.now() - start;
   
-  // Find buttons
-  for (const pattern of CONFIG.autoClickPatterns) {
-    const matches = state.agent.find(pattern);
-    
-    if (matches.length > 0) {
-      const match = matches[0];
-      
-      // Confirmation system: need to see button twice
-      if (state.pendingButton === pattern && 
-          Math.abs(state.pendingPos.x - match.x) < 50 &&
-          Math.abs(state.pendingPos.y - match.y) < 50) {
-        state.pendingCount++;
-        
-        if (state.pendingCount >= CONFIG.confirmScans) {
-          // Confirmed! Click it
-          log('🎯', `Confirmed "${pattern}" at (${match.x}, ${match.y})`, `[${state.pendingCount} scans]`);
-          
-          await clickAt(match.x, match.y);
-          
-          // Learn this position
-          state.session.learnedPositions[pattern] = {
-            x: match.x,
-            y: match.y,
-            lastSeen: new Date().toISOString(),
-            clickCount: (state.session.learnedPositions[pattern]?.clickCount || 0) + 1,
-          };
-          
-          // Track success
-          state.session.successfulPatterns[pattern] = 
-            (state.session.successfulPatterns[pattern] || 0) + 1;
-          
-          // Log action
-          logAction({
-            action: 'click',
-            pattern,
-            x: match.x,
-            y: match.y,
-            scanTime,
-          });
-          
-          // Reset pending
-          state.pendingButton = null;
-          state.pendingCount = 0;
-          state.pendingPos = null;
-          
-          // Notify Gateway
-          notifyGateway({
-            type: 'clicked',
-            pattern,
-            x: match.x,
-            y: match.y,
-          });
-          
-          saveSession();
-          return { pattern, x: match.x, y: match.y };
-        }
-      } else {
-        // First time seeing this button
-        state.pendingButton = pattern;
-        state.pendingCount = 1;
-        state.pendingPos = { x: match.x, y: match.y };
-        log('👁️', `Saw "${pattern}" at (${match.x}, ${match.y})`, '[confirming...]');
-      }
-      
-      return null; // Wait for confirmation
+  const window = await windowContext(state.agent.driver, state.engine.policy);
+  let decision = state.engine.choose(state.agent.lastWords, { window, images });
+  reportDenials(decision);
+  if (['click', 'ask'].includes(decision.action) && state.agent.lastRegions && state.engine.policy) {
+    decision = await verifyContext(decision, window);
+    if (!decision) return null;
+  }
+  if (decision.action === 'ask') {
+    if (!await askApproval(decision)) {
+      return null;
     }
+  } else if (decision.action !== 'click') {
+    if (decision.target) {
+      log('👁️', decision.reason, '[confirming...]');
+    }
+    return null;
   }
   
-  // Nothing found, reset pending
-  state.pendingButton = null;
-  state.pendingCount = 0;
-  state.pendingPos = null;
+  const { pattern, x, y } = decision.target;
+  log('🎯', `Confirmed "${pattern}" at (${x}, ${y})`, `[${CONFIG.engine} engine]`);
   
-  return null;
+  await clickAt(x, y);
+  state.engine.recordClick(decision.target);
+  
+  // Learn this position
+  state.session.learnedPositions[pattern] = {
+    x,
+    y,
+    lastSeen: new Date().toISOString(),
+    clickCount: (state.session.learnedPositions[pattern]?.clickCount || 0) + 1,
+  };
+  
+  // Track success
+  state.session.successfulPatterns[pattern] = 
+    (state.session.successfulPatterns[pattern] || 0) + 1;
+  
+  // Log action
+  logAction({
+    action: 'click',
+    pattern,
+    x,
+    y,
+    scanTime,
+  });
+  
+  // Notify Gateway
+  notifyGateway({
+    type: 'clicked',
+    pattern,
+    x,
+    y,
+  });
+  
+  saveSession();
+  return { pattern, x, y };
+}
+
+/**
+ * A region read (--regions, learned spots) only has the text right at the
+ * button - read what the safety policy reads around it before acting
+ * @param {object} decision - Engine decision with action 'click' or 'ask'
+ * @param {string|null} window - Active window title (windowContext())
+ * @returns {Promise<object|null>} The decision (now 'ask' if a rule says
+ *   so), null when the policy refuses the button
+ */
+async function verifyContext(decision, window) {
+  await state.agent.ocrRegions([state.engine.policy.contextRegion(decision.target)]);
+  const verdict = state.engine.verify(decision.target, state.agent.lastWords, { window });
+  reportDenials(verdict);
+  if (!verdict.allowed) {
+    log('🛡️', `"${decision.target.pattern}" not clicked`, `[${verdict.reason}]`);
+    return null;
+  }
+  if (verdict.ask) return { ...decision, action: 'ask', reason: verdict.reason, verdict };
+  return { ...decision, verdict };
+}
+
+// ══════════════════════════════════════════════════════════════
+// APPROVALS - ask a human over the Gateway
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Crop the last screenshot around a button for the approval request
+ * @returns {Promise<string|null>} Base64 PNG
+ */
+async function cropAround(target) {
+  try {
+    const image = sharp(path.join(__dirname, 'screenshot.png'));
+    const { width, height } = await image.metadata();
+    const { x: rx, y: ry } = CONFIG.approval.cropRadius;
+    const left = Math.max(0, Math.round(target.x - rx));
+    const top = Math.max(0, Math.round(target.y - ry));
+    const buffer = await image
+      .extract({
+        left,
+        top,
+        width: Math.min(width - left, rx * 2),
+        height: Math.min(height - top, ry * 2),
+      })
+      .png()
+      .toBuffer();
+    return buffer.toString('base64');
+  } catch (err) {
+    log('⚠️', 'Could not crop screenshot:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Send an approval-request and wait for a human (or the timeout)
+ * @param {object} decision - Engine decision with action 'ask'
+ * @returns {Promise<boolean>} Whether to click
+ */
+async function askApproval(decision) {
+  const { target, verdict } = decision;
+  const { timeout, defaultAction } = CONFIG.approval;
+  
+  if (state.gateway?.readyState !== WebSocket.OPEN) {
+    log('🙋', `No Gateway to ask about "${target.pattern}"`, `[${defaultAction}]`);
+    return defaultAction === 'approve';
+  }
+  
+  const id = `approval-${Date.now()}`;
+  const request = {
+    id,
+    pattern: target.pattern,
+    text: target.text,
+    x: target.x,
+    y: target.y,
+    score: target.score,
+    reason: decision.reason,
+    context: verdict?.context || '',
+    image: await cropAround(target),
+    timeout,
+    defaultAction,
+  };
+  
+  log('🙋', `Asking Gateway about "${target.pattern}" at (${target.x}, ${target.y})`, `[${timeout / 1000}s, then ${defaultAction}]`);
+  
+  const result = await new Promise((resolve) => {
+    // Our own timer too, in case the Gateway goes away mid-question
+    const timer = setTimeout(() => resolve({ approved: defaultAction === 'approve', decidedBy: 'timeout' }), timeout + 5000);
+    state.approvals.set(id, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+    state.gateway.send(JSON.stringify({ type: 'approval-request', payload: request }));
+  });
+  state.approvals.delete(id);
+  
+  logAction({ action: result.approved ? 'approved' : 'rejected', pattern: target.pattern, x: target.x, y: target.y, decidedBy: result.decidedBy });
+  if (!result.approved) {
+    log('🚫', `Rejected "${target.pattern}"`, `[${result.decidedBy}]`);
+    return false;
+  }
+  
+  // The screen may have moved on while we waited - make sure the button is still there
+  await state.agent.see();
+  const still = state.agent.find(target.pattern)
+    .find(m => Math.abs(m.x - target.x) < 50 && Math.abs(m.y - target.y) < 50);
+  if (!still) {
+    log('⚠️', `"${target.pattern}" is gone - approval not used`);
+    return false;
+  }
+  
+  log('✅', `Approved "${target.pattern}"`, `[${result.decidedBy}]`);
+  return true;
+}
+
+function reportDenials(decision) {
+  for (const denial of decision.denied || []) {
+    const { target, verdict } = denial;
+    log('🛡️', `Refused "${target.pattern}" at (${target.x}, ${target.y})`, `[${verdict.reason}]`);
+    logAction({ action: 'denied', pattern: target.pattern, x: target.x, y: target.y, rule: verdict.rule });
+    notifyGateway(deniedEvent(denial));
+  }
 }
 
 async function clickAt(x, y) {
   await state.agent.click(x, y);
   
-  state.lastAction = Date.now();
-  state.actionsThisMinute++;
   state.totalActions++;
   state.session.totalClicks++;
   
@@ -406,8 +580,6 @@ async function clickOnText(text) {
   const success = await state.agent.clickOn(text);
   
   if (success) {
-    state.lastAction = Date.now();
-    state.actionsThisMinute++;
     state.totalActions++;
     state.session.totalClicks++;
     
@@ -425,14 +597,9 @@ async function mainLoop() {
   state.running = true;
   
   log('🚀', 'Autonomous mode ACTIVE');
-  log('ℹ️', `Watching for: ${CONFIG.autoClickPatterns.slice(0, 5).join(', ')}...`);
+  log('ℹ️', `Watching for: ${state.engine.config.patterns.slice(0, 5).join(', ')}...`);
   log('ℹ️', `Poll interval: ${CONFIG.pollInterval}ms`);
   
-  // Reset rate limiter every minute
-  setInterval(() => {
-    state.actionsThisMinute = 0;
-  }, 60000);
-  
   while (state.running) {
     try {
       await scanAndClick();
@@ -485,6 +652,10 @@ async function main() {
       await state.browser.close();
     }
     
+    if (state.display) {
+      await state.display.stop();
+    }
+    
     log('✅', `Session saved. Total actions: ${state.totalActions}`);
     process.exit(0);
   });
@@ -493,7 +664,17 @@ async function main() {
   await mainLoop();
 }
 
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+// For tests - drive scanAndClick() with a stub agent / Gateway
+module.exports = {
+  CONFIG,
+  state,
+  scanAndClick,
+  handleGatewayMessage,
+};
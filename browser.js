@@ -24,6 +24,16 @@
 const http = require('http');
 const WebSocket = require('ws');
 
+/**
+ * Error with a code callers can branch on (d0t --json reports it)
+ * @param {string} code - UNAVAILABLE, TIMEOUT, NOT_FOUND or EVAL_ERROR
+ */
+function browserError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
 // ══════════════════════════════════════════════════════════════
 // CDP CLIENT
 // ══════════════════════════════════════════════════════════════
@@ -49,7 +59,7 @@ class D0TBrowser {
     this.pageTarget = targets.find(t => t.type === 'page');
     
     if (!this.pageTarget) {
-      throw new Error('No browser page found. Is Chrome running with --remote-debugging-port=9222?');
+      throw browserError('UNAVAILABLE', 'No browser page found. Is Chrome running with --remote-debugging-port=9222?');
     }
 
     // Connect WebSocket to the page
@@ -90,7 +100,7 @@ class D0TBrowser {
           }
         });
       }).on('error', (e) => {
-        reject(new Error(`Chrome not found on port ${this.debugPort}. Start with: chrome --remote-debugging-port=9222`));
+        reject(browserError('UNAVAILABLE', `Chrome not found on port ${this.debugPort}. Start with: chrome --remote-debugging-port=9222`));
       });
     });
   }
@@ -129,7 +139,7 @@ class D0TBrowser {
       await this.sleep(100);
     }
     
-    throw new Error('Page load timeout');
+    throw browserError('TIMEOUT', 'Page load timeout');
   }
 
   async getUrl() {
@@ -156,7 +166,7 @@ class D0TBrowser {
     `);
     
     if (!clicked) {
-      throw new Error(`Element not found: ${selector}`);
+      throw browserError('NOT_FOUND', `Element not found: ${selector}`);
     }
     
     console.log(`🖱️ Click: ${selector}`);
@@ -199,7 +209,7 @@ class D0TBrowser {
     `);
     
     if (!clicked) {
-      throw new Error(`Text not found: ${text}`);
+      throw browserError('NOT_FOUND', `Text not found: ${text}`);
     }
     
     console.log(`🖱️ Click text: "${text}"`);
@@ -288,7 +298,7 @@ class D0TBrowser {
     });
     
     if (result.exceptionDetails) {
-      throw new Error(result.exceptionDetails.text);
+      throw browserError('EVAL_ERROR', result.exceptionDetails.text);
     }
     
     return result.result.value;
@@ -302,7 +312,7 @@ class D0TBrowser {
     });
     
     if (result.exceptionDetails) {
-      throw new Error(result.exceptionDetails.text);
+      throw browserError('EVAL_ERROR', result.exceptionDetails.text);
     }
     
     return result.result.value;
@@ -395,93 +405,13 @@ class D0TBrowser {
   }
 }
 
+module.exports = D0TBrowser;
+
 // ══════════════════════════════════════════════════════════════
-// CLI INTERFACE
+// CLI INTERFACE - `d0t browser <command>` (see d0t.js)
 // ══════════════════════════════════════════════════════════════
 
-async function main() {
-  const args = process.argv.slice(2);
-  const cmd = args[0];
-  
-  if (!cmd || cmd === '--help') {
-    console.log(`
-🌐 D0T Browser Control - Chrome DevTools Protocol
-
-First, start Chrome with:
-  chrome --remote-debugging-port=9222
-
-Commands:
-  node browser.js connect           - Test CDP connection
-  node browser.js goto <url>        - Navigate to URL
-  node browser.js click <selector>  - Click element by CSS selector
-  node browser.js clickText <text>  - Click element containing text
-  node browser.js type <sel> <text> - Type in element
-  node browser.js info              - Get page info (buttons, links, etc)
-  node browser.js screenshot        - Take screenshot
-  node browser.js eval <js>         - Evaluate JavaScript
-    `);
-    return;
-  }
-  
-  const browser = new D0TBrowser();
-  
-  try {
-    await browser.connect();
-    
-    switch (cmd) {
-      case 'connect':
-        console.log('✅ Connected!');
-        console.log('📄 Page:', await browser.getUrl());
-        console.log('📋 Title:', await browser.getTitle());
-        break;
-        
-      case 'goto':
-        await browser.goto(args[1]);
-        break;
-        
-      case 'click':
-        await browser.click(args[1]);
-        break;
-        
-      case 'clickText':
-        await browser.clickText(args.slice(1).join(' '));
-        break;
-        
-      case 'type':
-        await browser.type(args[1], args.slice(2).join(' '));
-        break;
-        
-      case 'info':
-        const info = await browser.getPageInfo();
-        console.log('\n📄 Page Info:');
-        console.log(`URL: ${info.url}`);
-        console.log(`Title: ${info.title}`);
-        console.log(`\n🔘 Buttons: ${info.buttons.join(', ')}`);
-        console.log(`\n🔗 Links: ${info.links.map(l => l.text).slice(0, 10).join(', ')}`);
-        console.log(`\n📝 Inputs: ${info.inputs.map(i => i.name || i.id || i.type).join(', ')}`);
-        break;
-        
-      case 'screenshot':
-        await browser.screenshotToFile('browser-screenshot.png');
-        break;
-        
-      case 'eval':
-        const result = await browser.evaluate(args.slice(1).join(' '));
-        console.log(result);
-        break;
-        
-      default:
-        console.log('Unknown command:', cmd);
-    }
-  } catch (err) {
-    console.error('❌ Error:', err.message);
-  } finally {
-    await browser.close();
-  }
-}
-
+// After the export: d0t.js requires this module back
 if (require.main === module) {
-  main();
+  require('./d0t').run(['browser', ...process.argv.slice(2)]).then((code) => process.exit(code));
 }
-
-module.exports = D0TBrowser;
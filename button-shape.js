@@ -0,0 +1,233 @@
+/**
+ * D0T Button Shape - Is this word on a button, or just text?
+ * ══════════════════════════════════════════════════════════════
+ *
+ * OCR finds "Continue" in chat history as readily as on a button. A button
+ * is a small enclosed box around its label, so look at the pixels:
+ * - Flood-fill the background right around the word - small steps only
+ *   (a box edge is a step, even the faint ones of dark themes), and never
+ *   too far from the label background
+ * - Body text: the fill runs off into the surrounding panel
+ * - Button: the fill stops at a box edge - a contrasting filled box
+ *   ('filled') or an outline on the same background ('border')
+ * - Rounded corners and a label-sized box raise the score
+ *
+ * score 0..1 - 0 = the background isn't enclosed (plain text),
+ * 0.4-0.7 = enclosed but panel-sized (chat bubble, input box),
+ * 0.9+ = a label-sized box with clean edges, 1 = with round corners.
+ *
+ * Usage:
+ *   const shapes = new ButtonShapes();
+ *   await shapes.load('screenshot.png');
+ *   const { score, box, fill } = shapes.score(word.bbox);
+ */
+
+const { grayImage } = require('./template-match');
+
+const DEFAULTS = {
+  tolerance: 24,     // Gray levels a background pixel may differ from the label background
+  step: 8,           // ... and from its neighbour (dark theme borders are ~15 levels)
+  reachX: 10,        // How far a box may extend past the word (x text height, at least 150px)
+  reachY: 2.5,       // ... and above / below it (x text height, at least 24px)
+  minReachX: 150,
+  minReachY: 24,
+};
+
+// ══════════════════════════════════════════════════════════════
+// SHAPE
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Score how button-like the surroundings of a word are
+ * @param {object} screen - grayImage() result
+ * @param {object} bbox - { x0, y0, x1, y1 } of the word / phrase
+ * @param {object} options - See DEFAULTS
+ * @returns {{score: number, box: object|null, fill: string|null, rounded: boolean}}
+ */
+function clickableScore(screen, bbox, options = {}) {
+  const { tolerance, step, reachX, reachY, minReachX, minReachY } = { ...DEFAULTS, ...options };
+  const none = { score: 0, box: null, fill: null, rounded: false };
+  const textHeight = Math.max(1, bbox.y1 - bbox.y0);
+
+  // Search window: the largest box we'd still call a button
+  const rx = Math.max(minReachX, Math.round(reachX * textHeight));
+  const ry = Math.max(minReachY, Math.round(reachY * textHeight));
+  const win = {
+    x0: Math.max(0, bbox.x0 - rx),
+    y0: Math.max(0, bbox.y0 - ry),
+    x1: Math.min(screen.width - 1, bbox.x1 + rx),
+    y1: Math.min(screen.height - 1, bbox.y1 + ry),
+  };
+  const ring = ringPixels(screen, bbox, win);
+  if (ring.length === 0) return none;
+
+  const background = median(ring.map(p => p.value));
+  const similar = (v) => Math.abs(v - background) <= tolerance;
+  const seeds = ring.filter(p => Math.abs(p.value - background) <= step);
+
+  const region = floodFill(screen, win, seeds, similar, step);
+  if (region.leaked) return none;
+
+  const box = region.box;
+  const boxWidth = box.x1 - box.x0 + 1;
+  const boxHeight = box.y1 - box.y0 + 1;
+
+  // Edges: how much of the line just outside the box differs from the fill
+  const outside = outline(screen, box);
+  if (outside.length === 0) return none;
+  const edge = outside.filter(v => Math.abs(v - background) > step).length / outside.length;
+
+  // Filled box: the area past the edge has another color than the label background
+  const beyond = outline(screen, { x0: box.x0 - 3, y0: box.y0 - 3, x1: box.x1 + 3, y1: box.y1 + 3 });
+  const fill = beyond.length > 0 && Math.abs(median(beyond) - background) > step ? 'filled' : 'border';
+
+  // Button-sized: not much taller than its label (a panel or card is)
+  const tight = boxHeight <= textHeight * 3.5 ? 1 : 0;
+
+  const rounded = isRounded(screen, box, similar);
+
+  const score = Math.min(1, 0.4 + 0.2 * edge + 0.3 * tight + (rounded ? 0.1 : 0));
+  return { score, box: { x: box.x0, y: box.y0, width: boxWidth, height: boxHeight }, fill, rounded };
+}
+
+// Pixels in a 2px ring just outside the word - the label background
+function ringPixels(screen, bbox, win) {
+  const pixels = [];
+  const x0 = Math.max(win.x0, bbox.x0 - 3);
+  const y0 = Math.max(win.y0, bbox.y0 - 3);
+  const x1 = Math.min(win.x1, bbox.x1 + 3);
+  const y1 = Math.min(win.y1, bbox.y1 + 3);
+
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const inside = x > bbox.x0 - 2 && x < bbox.x1 + 2 && y > bbox.y0 - 2 && y < bbox.y1 + 2;
+      if (!inside) pixels.push({ x, y, value: screen.data[y * screen.width + x] });
+    }
+  }
+  return pixels;
+}
+
+// 4-connected fill inside the window; leaked = touched the window edge
+function floodFill(screen, win, seeds, similar, step) {
+  const w = win.x1 - win.x0 + 1;
+  const h = win.y1 - win.y0 + 1;
+  const seen = new Uint8Array(w * h);
+  const queue = new Int32Array(w * h);
+  let head = 0;
+  let tail = 0;
+  const box = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+
+  for (const s of seeds) {
+    const i = (s.y - win.y0) * w + (s.x - win.x0);
+    if (!seen[i]) {
+      seen[i] = 1;
+      queue[tail++] = i;
+    }
+  }
+
+  while (head < tail) {
+    const i = queue[head++];
+    const lx = i % w;
+    const ly = (i - lx) / w;
+    if (lx === 0 || ly === 0 || lx === w - 1 || ly === h - 1) return { leaked: true, box };
+
+    const x = lx + win.x0;
+    const y = ly + win.y0;
+    if (x < box.x0) box.x0 = x;
+    if (y < box.y0) box.y0 = y;
+    if (x > box.x1) box.x1 = x;
+    if (y > box.y1) box.y1 = y;
+
+    const value = screen.data[y * screen.width + x];
+    for (const n of [i - 1, i + 1, i - w, i + w]) {
+      if (seen[n]) continue;
+      const nx = n % w + win.x0;
+      const ny = Math.floor(n / w) + win.y0;
+      const next = screen.data[ny * screen.width + nx];
+      if (Math.abs(next - value) <= step && similar(next)) {
+        seen[n] = 1;
+        queue[tail++] = n;
+      }
+    }
+  }
+
+  return { leaked: false, box };
+}
+
+// Pixel values on the rectangle one pixel outside box (clipped to the screen)
+function outline(screen, box) {
+  const values = [];
+  const at = (x, y) => {
+    if (x >= 0 && y >= 0 && x < screen.width && y < screen.height) values.push(screen.data[y * screen.width + x]);
+  };
+  for (let x = box.x0 - 1; x <= box.x1 + 1; x++) {
+    at(x, box.y0 - 1);
+    at(x, box.y1 + 1);
+  }
+  for (let y = box.y0; y <= box.y1; y++) {
+    at(box.x0 - 1, y);
+    at(box.x1 + 1, y);
+  }
+  return values;
+}
+
+// Rounded: the box's corner pixels aren't background, a few pixels in they are
+function isRounded(screen, box, similar) {
+  const inset = 3;
+  const value = (x, y) => screen.data[y * screen.width + x];
+  const corners = [
+    [box.x0, box.y0, 1, 1],
+    [box.x1, box.y0, -1, 1],
+    [box.x0, box.y1, 1, -1],
+    [box.x1, box.y1, -1, -1],
+  ];
+  const round = corners.filter(([x, y, dx, dy]) =>
+    !similar(value(x, y)) && similar(value(x + dx * inset, y + dy * inset)));
+  return round.length >= 3;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// ══════════════════════════════════════════════════════════════
+// BUTTON SHAPES
+// ══════════════════════════════════════════════════════════════
+
+class ButtonShapes {
+  /**
+   * @param {object} options - { tolerance, step, reachX, reachY, minReachX, minReachY }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.screen = null;
+    this.cache = new Map();
+  }
+
+  /**
+   * Load the screenshot to score words in
+   * @param {string|Buffer} image - PNG path or buffer
+   */
+  async load(image) {
+    this.screen = await grayImage(image);
+    this.cache.clear();
+    return this;
+  }
+
+  /**
+   * See clickableScore() - cached per bbox
+   */
+  score(bbox) {
+    if (!this.screen) throw new Error('ButtonShapes: load() a screenshot first');
+    const key = `${bbox.x0},${bbox.y0},${bbox.x1},${bbox.y1}`;
+    if (!this.cache.has(key)) this.cache.set(key, clickableScore(this.screen, bbox, this.options));
+    return this.cache.get(key);
+  }
+}
+
+module.exports = {
+  ButtonShapes,
+  clickableScore,
+  DEFAULTS,
+};
@@ -0,0 +1,655 @@
+#!/usr/bin/env node
+/**
+ * D0T CLI - One entry point for the agent, browser, Gateway and tasks
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Usage:
+ *   d0t see [--image=file]              - Screenshot (or image) + OCR summary
+ *       --regions=vscode-chat,dialog      Only OCR these areas (vision-core CONFIG.regions)
+ *       --preprocess                      Upscale / invert / sharpen before OCR
+ *   d0t find <text> [--fuzzy|--exact]   - Find text on screen (--image=file too)
+ *       --ocr-only                        Skip the accessibility tree (accessibility.js)
+ *   d0t elements                        - Buttons, fields, links from the accessibility tree
+ *   d0t bench <image...>                - OCR confidence with / without preprocessing
+ *   d0t displays                        - Monitors, their ids and scaling
+ *   d0t windows                         - Open windows (targets for --window=)
+ *   d0t click <x> <y>                   - Click at coordinates
+ *   d0t clickOn <text> [--fuzzy]        - Find text and click it
+ *   d0t type <text>                     - Type text
+ *   d0t press <key>                     - Press a key / combo (enter, ctrl+l)
+ *   d0t url <url>                       - Ctrl+L, type, Enter
+ *   d0t open <app>                      - Search and open an app
+ *   d0t browser <command> ...           - Chrome via CDP (see `d0t browser`)
+ *   d0t gateway start [flags]           - Start the Gateway (gateway.js flags)
+ *   d0t auto start [flags]              - Start the autonomous controller
+ *   d0t task run <file> [name=value]    - Run a task file (see task-file.js)
+ *       --gateway[=ws://host:port]        Queue it on a running Gateway instead
+ *       --wait                            With --gateway: wait for the result
+ *       --mode=guardian|turbo|sword       Mode to run in (default turbo)
+ *   d0t task validate <file> [name=value]
+ *
+ * Global flags:
+ *   --driver=windows|x11   --display=:99   (see drivers/index.js)
+ *   --monitor=all|primary|<id>             Screen to capture (default all; D0T_MONITOR)
+ *   --window="Visual Studio Code"          Only that window - captured, focused before
+ *                                          input, coordinates relative to it (D0T_WINDOW)
+ *   --json                 One JSON object on stdout, human logs on stderr:
+ *                            { ok: true, command, result, timing: { total } }
+ *                            { ok: false, command, error: { code, message, exit, details }, timing }
+ *                          see / find results carry OCR words with bboxes and
+ *                          screenshot / OCR timings
+ *
+ * Exit codes: 0 ok, 1 failed (not found, task failed, unreachable),
+ *             2 usage error or invalid task file
+ * Error codes (--json): see ERRORS below
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { spawn } = require('child_process');
+const { loadTaskFile, modeAllows, MODES } = require('./task-file');
+const { Keyboard } = require('./keyboard');
+const { resolveRegions } = require('./vision-core');
+
+const DEFAULT_GATEWAY_URL = process.env.D0T_GATEWAY || 'ws://localhost:8089';
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+
+// Error code -> exit code. Errors from other modules keep their code when
+// it is listed here (task-file INVALID_TASK, browser.js codes), else FAILED
+const ERRORS = {
+  USAGE: EXIT.USAGE,
+  INVALID_TASK: EXIT.USAGE,
+  NOT_FOUND: EXIT.FAILED,
+  UNAVAILABLE: EXIT.FAILED,
+  TIMEOUT: EXIT.FAILED,
+  TASK_FAILED: EXIT.FAILED,
+  EVAL_ERROR: EXIT.FAILED,
+  FAILED: EXIT.FAILED,
+};
+
+/**
+ * Error that ends the command with the exit code for its code
+ * @param {string} code - One of ERRORS
+ * @param {string} message - Human readable detail
+ */
+function cliError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Commands taking task parameters (name=value); everywhere else an
+// argument like "a=b" is text to type / find
+const PARAM_COMMANDS = ['task', 'run', 'validate'];
+
+/**
+ * Split arguments into --flags, name=value task params and positionals
+ * @param {string[]} argv
+ * @param {object} options - { params: collect name=value (PARAM_COMMANDS) }
+ */
+function parseArgs(argv, options = {}) {
+  const flags = {};
+  const params = {};
+  const positional = [];
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      flags[key] = rest.length ? rest.join('=') : true;
+    } else if (options.params && /^\w+=/.test(arg)) {
+      const [key, ...rest] = arg.split('=');
+      params[key] = rest.join('=');
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { flags, params, positional };
+}
+
+function requireArgs(positional, count, usage) {
+  if (positional.length < count) throw cliError('USAGE', `Usage: d0t ${usage}`);
+}
+
+// ══════════════════════════════════════════════════════════════
+// AGENT COMMANDS
+// ══════════════════════════════════════════════════════════════
+
+async function withAgent(fn, options = {}) {
+  const D0TAgent = require('./agent');
+  const agent = new D0TAgent(options);
+  try {
+    return await fn(agent);
+  } finally {
+    await agent.cleanup();
+  }
+}
+
+// Screenshot + OCR, or OCR of --image=file (saved screenshots, CI);
+// --regions=vscode-chat,dialog reads only those areas
+async function look(agent, flags) {
+  const regions = typeof flags.regions === 'string' ? flags.regions.split(',') : [];
+  if (typeof flags.image !== 'string') return agent.see({ regions });
+  
+  const image = path.resolve(flags.image);
+  await agent.init();
+  agent.lastTiming = {};
+  if (regions.length === 0) return agent.ocr(null, image);
+  const { width, height } = await sharp(image).metadata();
+  return agent.ocrRegions(resolveRegions(regions, width, height), image);
+}
+
+// A single look - --regions means only those, no periodic full scan;
+// --preprocess cleans the image up first (vision-core CONFIG.preprocess);
+// --ocr-only leaves the accessibility tree out
+function lookOptions(flags) {
+  return {
+    fullScanEvery: Infinity,
+    preprocess: flags.preprocess ? true : undefined,
+    accessibility: !flags['ocr-only'],
+  };
+}
+
+// Where a find() match came from: "accessibility button" / "ocr 87%"
+function matchSource(match) {
+  return match.source === 'accessibility' ? `accessibility ${match.role}` : `ocr ${Math.round(match.confidence)}%`;
+}
+
+const AGENT_COMMANDS = {
+  see: {
+    usage: 'see [--image=file] [--regions=a,b] [--preprocess]',
+    run: ({ flags }) => withAgent(async (agent) => {
+      await look(agent, flags);
+      const summary = agent.summarize();
+      console.log('\n' + summary);
+      return { summary, text: agent.lastText, words: agent.lastWords, regions: agent.lastRegions, timing: agent.lastTiming };
+    }, lookOptions(flags)),
+  },
+
+  find: {
+    usage: 'find <text> [--fuzzy] [--exact] [--image=file] [--regions=a,b] [--preprocess] [--ocr-only]',
+    run: ({ positional, flags }) => withAgent(async (agent) => {
+      requireArgs(positional, 1, AGENT_COMMANDS.find.usage);
+      const text = positional.join(' ');
+      await look(agent, flags);
+      const matches = agent.find(text, { fuzzy: Boolean(flags.fuzzy), exact: Boolean(flags.exact) });
+      if (matches.length === 0) {
+        throw cliError('NOT_FOUND', `"${text}" not found`);
+      }
+      console.log(`\n🎯 Found "${text}":`);
+      matches.slice(0, 5).forEach(m =>
+        console.log(`   (${m.x}, ${m.y}) - "${m.text}" [${matchSource(m)}, score ${m.score.toFixed(2)}]`));
+      return { text, matches, timing: agent.lastTiming };
+    }, lookOptions(flags)),
+  },
+
+  elements: {
+    usage: 'elements',
+    run: () => withAgent(async (agent) => {
+      const { elementList } = require('./accessibility');
+      await agent.screenshot();
+      const elements = elementList(await agent.accessibility.read());
+      if (agent.accessibility.lastError) throw cliError('UNAVAILABLE', agent.accessibility.lastError);
+      console.log(`\n♿ ${elements.length} element(s):`);
+      for (const e of elements) {
+        console.log(`   (${e.x}, ${e.y}) ${e.role} "${e.name}"${e.enabled ? '' : ' (disabled)'}`);
+      }
+      return { elements };
+    }),
+  },
+
+  bench: {
+    usage: 'bench <image...>',
+    run: async ({ positional }) => {
+      requireArgs(positional, 1, AGENT_COMMANDS.bench.usage);
+      const vision = require('./vision-core');
+      try {
+        const results = await vision.bench(positional);
+        console.log(vision.benchReport(results));
+        return { results };
+      } finally {
+        await vision.terminateWorker();
+      }
+    },
+  },
+
+  displays: {
+    usage: 'displays',
+    run: async () => {
+      const { getDriver } = require('./drivers');
+      const displays = await getDriver().displays({ refresh: true });
+      console.log(`\n🖥️ ${displays.length} display(s):`);
+      for (const d of displays) {
+        const { x, y, width, height } = d.physical;
+        console.log(`   ${d.id}${d.primary ? ' (primary)' : ''} - ${d.name}: ${width}x${height} at (${x}, ${y}), scale ${d.scale}`);
+      }
+      return { displays };
+    },
+  },
+
+  windows: {
+    usage: 'windows',
+    run: async () => {
+      const { getDriver } = require('./drivers');
+      const windows = await getDriver().windows();
+      console.log(`\n🪟 ${windows.length} window(s):`);
+      for (const w of windows) {
+        const { x, y, width, height } = w.rect;
+        const flags = [w.focused && 'focused', w.minimized && 'minimized'].filter(Boolean).join(', ');
+        console.log(`   "${w.title}" [${w.app}]${flags ? ` (${flags})` : ''}: ${width}x${height} at (${x}, ${y})`);
+      }
+      return { windows };
+    },
+  },
+
+  click: {
+    usage: 'click <x> <y>',
+    run: ({ positional }) => withAgent(async (agent) => {
+      requireArgs(positional, 2, AGENT_COMMANDS.click.usage);
+      const [x, y] = positional.map(Number);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) throw cliError('USAGE', 'x and y must be numbers');
+      await agent.click(x, y);
+      return { x, y };
+    }),
+  },
+
+  clickOn: {
+    usage: 'clickOn <text> [--fuzzy]',
+    run: ({ positional, flags }) => withAgent(async (agent) => {
+      requireArgs(positional, 1, AGENT_COMMANDS.clickOn.usage);
+      const text = positional.join(' ');
+      await agent.see();
+      const target = agent.find(text, { fuzzy: Boolean(flags.fuzzy) })[0];
+      if (!await agent.clickOn(text, { fuzzy: Boolean(flags.fuzzy) })) {
+        throw cliError('NOT_FOUND', `"${text}" not found`);
+      }
+      return { text, x: target.x, y: target.y };
+    }),
+  },
+
+  type: {
+    usage: 'type <text>',
+    run: async ({ positional }) => {
+      requireArgs(positional, 1, AGENT_COMMANDS.type.usage);
+      const text = positional.join(' ');
+      await Keyboard.type(text);
+      return { text };
+    },
+  },
+
+  press: {
+    usage: 'press <key>',
+    run: async ({ positional }) => {
+      requireArgs(positional, 1, AGENT_COMMANDS.press.usage);
+      await Keyboard.press(positional[0]);
+      return { key: positional[0] };
+    },
+  },
+
+  url: {
+    usage: 'url <url>',
+    run: ({ positional }) => withAgent(async (agent) => {
+      requireArgs(positional, 1, AGENT_COMMANDS.url.usage);
+      await agent.urlBar(positional[0]);
+      return { url: positional[0] };
+    }),
+  },
+
+  open: {
+    usage: 'open <app>',
+    run: ({ positional }) => withAgent(async (agent) => {
+      requireArgs(positional, 1, AGENT_COMMANDS.open.usage);
+      const query = positional.join(' ');
+      await agent.searchAndOpen(query);
+      return { query };
+    }),
+  },
+};
+
+// ══════════════════════════════════════════════════════════════
+// BROWSER
+// ══════════════════════════════════════════════════════════════
+
+const BROWSER_USAGE = `
+🌐 d0t browser - Chrome DevTools Protocol
+
+First, start Chrome with:
+  chrome --remote-debugging-port=9222
+
+Commands:
+  d0t browser connect           - Test CDP connection
+  d0t browser goto <url>        - Navigate to URL
+  d0t browser click <selector>  - Click element by CSS selector
+  d0t browser clickText <text>  - Click element containing text
+  d0t browser type <sel> <text> - Type in element
+  d0t browser info              - Get page info (buttons, links, etc)
+  d0t browser screenshot [file] - Take screenshot
+  d0t browser eval <js>         - Evaluate JavaScript
+  (--port=9222 for another debugging port)
+`;
+
+async function browserCommand({ positional, flags }) {
+  const [cmd, ...args] = positional;
+  const commands = ['connect', 'goto', 'click', 'clickText', 'type', 'info', 'screenshot', 'eval'];
+  if (!commands.includes(cmd)) {
+    console.log(BROWSER_USAGE);
+    if (cmd) throw cliError('USAGE', `Unknown browser command: ${cmd}`);
+    return null;
+  }
+
+  const D0TBrowser = require('./browser');
+  const browser = new D0TBrowser(flags.port ? Number(flags.port) : undefined);
+  try {
+    await browser.connect();
+
+    switch (cmd) {
+      case 'connect': {
+        const result = { url: await browser.getUrl(), title: await browser.getTitle() };
+        console.log('📄 Page:', result.url);
+        console.log('📋 Title:', result.title);
+        return result;
+      }
+      case 'goto':
+        requireArgs(args, 1, 'browser goto <url>');
+        await browser.goto(args[0]);
+        return { url: args[0] };
+      case 'click':
+        requireArgs(args, 1, 'browser click <selector>');
+        await browser.click(args[0]);
+        return { selector: args[0] };
+      case 'clickText':
+        requireArgs(args, 1, 'browser clickText <text>');
+        await browser.clickText(args.join(' '));
+        return { text: args.join(' ') };
+      case 'type':
+        requireArgs(args, 2, 'browser type <selector> <text>');
+        await browser.type(args[0], args.slice(1).join(' '));
+        return { selector: args[0], text: args.slice(1).join(' ') };
+      case 'info': {
+        const info = await browser.getPageInfo();
+        console.log('\n📄 Page Info:');
+        console.log(`URL: ${info.url}`);
+        console.log(`Title: ${info.title}`);
+        console.log(`\n🔘 Buttons: ${info.buttons.join(', ')}`);
+        console.log(`\n🔗 Links: ${info.links.map(l => l.text).slice(0, 10).join(', ')}`);
+        console.log(`\n📝 Inputs: ${info.inputs.map(i => i.name || i.id || i.type).join(', ')}`);
+        return info;
+      }
+      case 'screenshot': {
+        const file = await browser.screenshotToFile(args[0] || 'browser-screenshot.png');
+        return { file: path.resolve(file) };
+      }
+      case 'eval': {
+        const result = await browser.evaluate(args.join(' '));
+        console.log(result);
+        return { result };
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// GATEWAY / AUTONOMOUS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Run one of the long-lived scripts in the foreground
+ * @param {string} script - gateway.js / autonomous.js
+ * @param {string[]} args - Its own flags plus the global ones
+ * @param {boolean} json - Send its output to stderr, stdout is for the result
+ */
+function runScript(script, args, json) {
+  return new Promise((resolve) => {
+    const stdio = ['inherit', json ? 2 : 'inherit', 'inherit'];
+    const child = spawn(process.execPath, [path.join(__dirname, script), ...args], { stdio });
+    // Stopping d0t stops the service (Ctrl+C already reaches both)
+    process.on('SIGTERM', () => child.kill('SIGTERM'));
+    child.on('exit', (code) => resolve(code === 0 || code === null ? EXIT.OK : EXIT.FAILED));
+    child.on('error', (err) => {
+      console.error(`❌ ${script}: ${err.message}`);
+      resolve(EXIT.FAILED);
+    });
+  });
+}
+
+function serviceCommand(script, name) {
+  return async ({ positional, flags, raw }) => {
+    if (positional[0] !== 'start') {
+      throw cliError('USAGE', `Usage: d0t ${name} start [flags]`);
+    }
+    return { exit: await runScript(script, raw.filter(a => a !== 'start'), Boolean(flags.json)) };
+  };
+}
+
+// ══════════════════════════════════════════════════════════════
+// TASKS
+// ══════════════════════════════════════════════════════════════
+
+async function taskCommand({ positional, flags, params }) {
+  const [sub, file] = positional;
+  if (sub !== 'run' && sub !== 'validate') {
+    throw cliError('USAGE', 'Usage: d0t task run|validate <file> [name=value ...]');
+  }
+  if (!file) throw cliError('USAGE', `Usage: d0t task ${sub} <file> [name=value ...]`);
+
+  // Throws INVALID_TASK with the per-field errors
+  const task = loadTaskFile(file, params);
+
+  if (sub === 'validate') {
+    console.log(`✅ ${file}: "${task.name}" (${task.mode}, ${task.actions.length} steps) is valid`);
+    return { valid: true, task };
+  }
+
+  const mode = flags.mode || 'turbo';
+  if (!MODES.includes(mode)) {
+    throw cliError('USAGE', `Unknown mode "${mode}" (available: ${MODES.join(', ')})`);
+  }
+  if (!modeAllows(mode, task.mode)) {
+    throw cliError('USAGE', `"${task.name}" needs ${task.mode} mode (running in ${mode}, use --mode=${task.mode})`);
+  }
+
+  console.log(`▶️ ${task.name}${task.description ? ` - ${task.description}` : ''}`);
+  if (flags.gateway) {
+    const url = flags.gateway === true ? DEFAULT_GATEWAY_URL : flags.gateway;
+    return submitToGateway(task, { url, wait: Boolean(flags.wait) });
+  }
+
+  return withAgent(async (agent) => {
+    const start = Date.now();
+    try {
+      const vars = await agent.execute(task.actions, { sequences: task.sequences, vars: task.params, target: task.target });
+      console.log(`✅ ${task.name} completed`);
+      return { name: task.name, status: 'completed', vars, elapsed: Date.now() - start };
+    } catch (err) {
+      throw cliError('TASK_FAILED', `${task.name} failed: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Queue a task on a running Gateway
+ * @param {object} task - Resolved task from loadTaskFile
+ * @param {object} options - { url, wait }
+ * @returns {Promise<object>} { id, status } - throws if it fails
+ */
+function submitToGateway(task, { url, wait }) {
+  const WebSocket = require('ws');
+  const token = process.env.D0T_TOKEN;
+
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+    let taskId = null;
+
+    const fail = (code, message) => {
+      socket.close();
+      reject(cliError(code, message));
+    };
+
+    socket.on('error', (err) => reject(cliError('UNAVAILABLE', `Gateway not reachable at ${url}: ${err.message}`)));
+
+    // Rejected token (4001, no message first) or the Gateway went away mid
+    // --wait; after resolve / reject this is a no-op
+    socket.on('close', (code, reason) => {
+      const why = String(reason || '') || `code ${code}`;
+      reject(code === 4001
+        ? cliError('UNAVAILABLE', `Gateway refused the connection: ${why} (check D0T_TOKEN)`)
+        : cliError('FAILED', `Gateway closed the connection${taskId ? ` before ${taskId} finished` : ''} (${why})`));
+    });
+
+    socket.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (err) {
+        fail('FAILED', `Unreadable Gateway message: ${err.message}`);
+        return;
+      }
+
+      if (msg.type === 'auth-required') {
+        fail('UNAVAILABLE', 'Set D0T_TOKEN to a Gateway token (act scope)');
+      } else if (msg.type === 'welcome') {
+        socket.send(JSON.stringify({
+          type: 'task',
+          id: 'run',
+          payload: {
+            name: task.name,
+            actions: task.actions,
+            sequences: task.sequences,
+            priority: task.priority,
+            ...(task.target && { target: task.target }),
+          },
+        }));
+      } else if (msg.type === 'taskQueued' && msg.id === 'run') {
+        taskId = msg.task.id;
+        console.log(`📋 Queued ${task.name} as ${taskId}`);
+        if (!wait) {
+          socket.close();
+          resolve({ id: taskId, status: 'queued' });
+        }
+      } else if (msg.type === 'taskCompleted' && msg.task.id === taskId) {
+        const { status, error } = msg.task;
+        if (status !== 'completed') {
+          fail('TASK_FAILED', `${task.name} ${status}${error ? `: ${error}` : ''}`);
+          return;
+        }
+        console.log(`✅ ${task.name} completed`);
+        socket.close();
+        resolve({ id: taskId, status });
+      } else if (msg.type === 'error' && msg.id === 'run') {
+        fail('FAILED', `${msg.code}: ${msg.message}`);
+      }
+    });
+  });
+}
+
+// ══════════════════════════════════════════════════════════════
+// CLI
+// ══════════════════════════════════════════════════════════════
+
+const COMMANDS = {
+  ...Object.fromEntries(Object.entries(AGENT_COMMANDS).map(([name, c]) => [name, c.run])),
+  browser: browserCommand,
+  gateway: serviceCommand('gateway.js', 'gateway'),
+  auto: serviceCommand('autonomous.js', 'auto'),
+  task: taskCommand,
+  // Shorthands from before the task subcommand existed
+  run: (args) => taskCommand({ ...args, positional: ['run', ...args.positional] }),
+  validate: (args) => taskCommand({ ...args, positional: ['validate', ...args.positional] }),
+};
+
+function usage() {
+  console.log(`
+🤖 D0T - See → Think → Act
+
+Commands:
+  d0t see [--image=file]              - Screenshot (or image) + OCR summary
+      --regions=vscode-chat,dialog      Only OCR these areas
+      --preprocess                      Upscale / invert / sharpen first
+  d0t bench <image...>                - Preprocessing gains on saved screenshots
+  d0t find <text> [--fuzzy|--exact]   - Find text on screen with coordinates
+      --ocr-only                        Skip the accessibility tree
+  d0t elements                        - Buttons, fields, links from the accessibility tree
+  d0t displays                        - Monitors, their ids and scaling
+  d0t windows                         - Open windows (targets for --window=)
+  d0t click <x> <y>                   - Click at coordinates
+  d0t clickOn <text> [--fuzzy]        - Find and click on text
+  d0t type <text>                     - Type text
+  d0t press <key>                     - Press a key or combo (enter, ctrl+l)
+  d0t url <url>                       - Navigate (Ctrl+L, type, Enter)
+  d0t open <app>                      - Search and open an app
+  d0t browser <command>               - Chrome via CDP (d0t browser for help)
+  d0t gateway start [flags]           - Start the Gateway
+  d0t auto start [flags]              - Start the autonomous controller
+  d0t task run <file> [name=value]    - Run a task file (--gateway, --wait, --mode=)
+  d0t task validate <file>            - Check a task file
+
+Global flags:
+  --driver=windows|x11  --display=:99  --monitor=all|primary|<id>  --json
+  --window="Visual Studio Code"       Only look at / act in that window
+
+Exit codes: 0 ok, 1 failed, 2 usage error
+  `);
+}
+
+/**
+ * Run a d0t command
+ * @param {string[]} argv - Arguments after `d0t`
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  const [command, ...rest] = argv;
+  const { flags, params, positional } = parseArgs(rest, { params: PARAM_COMMANDS.includes(command) });
+  const json = Boolean(flags.json);
+  const start = Date.now();
+
+  // Keep stdout for the JSON result; human logs go to stderr
+  const log = console.log;
+  if (json) console.log = console.error;
+
+  let result = null;
+  let exit = EXIT.OK;
+  let error = null;
+
+  try {
+    const handler = COMMANDS[command];
+    if (!handler) {
+      usage();
+      if (command && command !== 'help' && command !== '--help') {
+        throw cliError('USAGE', `Unknown command: ${command}`);
+      }
+    } else {
+      result = await handler({ positional, flags, params, raw: rest });
+      if (result && typeof result.exit === 'number') exit = result.exit;
+    }
+  } catch (err) {
+    error = {
+      code: ERRORS[err.code] === undefined ? 'FAILED' : err.code,
+      message: err.message,
+      ...(err.errors && { details: err.errors }),
+    };
+    exit = ERRORS[error.code];
+    error.exit = exit;
+    console.error(`❌ ${err.message}`);
+  } finally {
+    console.log = log;
+  }
+
+  if (json) {
+    const timing = { total: Date.now() - start };
+    process.stdout.write(JSON.stringify(error
+      ? { ok: false, command, error, timing }
+      : { ok: true, command, result, timing }) + '\n');
+  }
+  return exit;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = {
+  run,
+  EXIT,
+  ERRORS,
+};
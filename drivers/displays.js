@@ -0,0 +1,209 @@
+/**
+ * D0T Displays - Monitors and screenshot <-> cursor coordinates
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Drivers describe each monitor as:
+ *
+ *   { id, name, primary, bounds, physical, scale }
+ *   bounds   - where it sits in cursor coordinates (what the OS mouse API
+ *              takes - logical units on a 150% scaled Windows desktop)
+ *   physical - where it sits in screenshot pixels (desktop-wide)
+ *   scale    - screenshot pixels per cursor unit (1.5 at 150%)
+ *
+ * A ScreenSpace describes one capture - one monitor or the whole virtual
+ * desktop - and converts points between its image pixels and cursor
+ * coordinates, monitor by monitor (offsets can be negative: a monitor left
+ * of the primary one starts at x = -1920).
+ *
+ * The drivers keep the space of their last capture, so the rest of D0T
+ * works in screenshot pixels: move / click / cursor / watchInput convert.
+ * A window capture (window-target.js) is a space cropped to the window.
+ *
+ * Capture target (--monitor= / D0T_MONITOR / capture(path, { monitor })):
+ *   all      - the whole virtual desktop (default)
+ *   primary  - the primary monitor
+ *   <id>     - one monitor (ids from `node d0t.js displays`)
+ */
+
+const TARGETS = ['all', 'primary'];
+
+// Monitors rarely change - drivers re-read them at most this often
+const DISPLAYS_TTL = 30000;
+
+// ══════════════════════════════════════════════════════════════
+// DISPLAYS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Build a display, deriving scale from the two rectangles
+ * @param {object} info - { id, name, primary, bounds, physical }
+ */
+function display({ id, name, primary = false, bounds, physical = bounds }) {
+  return {
+    id: String(id),
+    name: name || `Display ${id}`,
+    primary,
+    bounds: { ...bounds },
+    physical: { ...physical },
+    scale: bounds.width > 0 ? Math.round((physical.width / bounds.width) * 100) / 100 : 1,
+  };
+}
+
+/**
+ * The monitors a capture target covers
+ * @param {array} displays - Driver displays()
+ * @param {string} target - 'all', 'primary' or a display id
+ * @returns {array}
+ */
+function selectDisplays(displays, target = 'all') {
+  if (displays.length === 0) throw new Error('No displays found');
+  const wanted = String(target);
+  if (wanted === 'all') return displays;
+  if (wanted === 'primary') return [displays.find(d => d.primary) || displays[0]];
+
+  const match = displays.find(d => d.id === wanted || d.name === wanted);
+  if (!match) {
+    throw new Error(`Unknown monitor "${target}" (available: ${[...TARGETS, ...displays.map(d => d.id)].join(', ')})`);
+  }
+  return [match];
+}
+
+// Smallest rectangle around all of them
+function union(rects) {
+  const x0 = Math.min(...rects.map(r => r.x));
+  const y0 = Math.min(...rects.map(r => r.y));
+  const x1 = Math.max(...rects.map(r => r.x + r.width));
+  const y1 = Math.max(...rects.map(r => r.y + r.height));
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+function contains(rect, { x, y }) {
+  return x >= rect.x && y >= rect.y && x < rect.x + rect.width && y < rect.y + rect.height;
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// ══════════════════════════════════════════════════════════════
+// SCREEN SPACE
+// ══════════════════════════════════════════════════════════════
+
+class ScreenSpace {
+  /**
+   * @param {array} displays - Driver displays()
+   * @param {string} target - 'all', 'primary' or a display id
+   * @param {object} options - { crop: rect in desktop pixels, window: window-target windowInfo() }
+   */
+  constructor(displays, target = 'all', options = {}) {
+    this.target = String(target);
+    this.displays = selectDisplays(displays, target);
+    // The captured area, in desktop-wide screenshot pixels
+    this.area = union(this.displays.map(d => d.physical));
+    if (options.crop) {
+      const crop = options.crop;
+      this.displays = this.displays.filter(d => intersects(d.physical, crop));
+      if (this.displays.length === 0) throw new Error('Capture area is not on any monitor');
+      this.area = { x: crop.x, y: crop.y, width: crop.width, height: crop.height };
+    }
+    // The window this space is cropped to, null for a monitor / desktop capture
+    this.window = options.window || null;
+  }
+
+  get width() {
+    return this.area.width;
+  }
+
+  get height() {
+    return this.area.height;
+  }
+
+  /**
+   * Monitor under a point of the capture image (nearest one if between monitors)
+   * @param {object} point - { x, y } in image pixels
+   */
+  displayAt(point) {
+    const desktop = { x: point.x + this.area.x, y: point.y + this.area.y };
+    const hit = this.displays.find(d => contains(d.physical, desktop));
+    if (hit) return hit;
+
+    const distance = (d) => {
+      const dx = Math.max(d.physical.x - desktop.x, 0, desktop.x - (d.physical.x + d.physical.width));
+      const dy = Math.max(d.physical.y - desktop.y, 0, desktop.y - (d.physical.y + d.physical.height));
+      return Math.hypot(dx, dy);
+    };
+    return [...this.displays].sort((a, b) => distance(a) - distance(b))[0];
+  }
+
+  /**
+   * Image pixels -> cursor coordinates
+   * @param {object} point - { x, y } in image pixels
+   * @returns {{x: number, y: number, monitor: string}}
+   */
+  toCursor(point) {
+    const d = this.displayAt(point);
+    const px = point.x + this.area.x - d.physical.x;
+    const py = point.y + this.area.y - d.physical.y;
+    return {
+      x: Math.round(d.bounds.x + px / d.scale),
+      y: Math.round(d.bounds.y + py / d.scale),
+      monitor: d.id,
+    };
+  }
+
+  /**
+   * Cursor coordinates -> image pixels (may fall outside a single-monitor capture)
+   * @param {object} point - { x, y } in cursor coordinates
+   * @returns {{x: number, y: number, monitor: string|null}}
+   */
+  toPixels(point) {
+    const d = this.displays.find(m => contains(m.bounds, point));
+    if (!d) {
+      // Another monitor than the captured one - no pixel of ours
+      return { x: point.x, y: point.y, monitor: null };
+    }
+    return {
+      x: Math.round(d.physical.x - this.area.x + (point.x - d.bounds.x) * d.scale),
+      y: Math.round(d.physical.y - this.area.y + (point.y - d.bounds.y) * d.scale),
+      monitor: d.id,
+    };
+  }
+
+  /**
+   * Set .monitor on OCR words / matches (anything with x, y in image pixels)
+   * @param {array} items
+   * @returns {array} The same items
+   */
+  tag(items) {
+    for (const item of items) item.monitor = this.displayAt(item).id;
+    return items;
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// DRIVER HELPERS
+// ══════════════════════════════════════════════════════════════
+
+// Screenshot pixels -> cursor; before the first capture there is no space
+// and coordinates pass through
+function cursorPoint(space, x, y) {
+  return space ? space.toCursor({ x, y }) : { x, y };
+}
+
+// Cursor -> screenshot pixels
+function pixelPoint(space, x, y) {
+  if (!space) return { x, y };
+  const p = space.toPixels({ x, y });
+  return { x: p.x, y: p.y };
+}
+
+module.exports = {
+  ScreenSpace,
+  display,
+  selectDisplays,
+  union,
+  cursorPoint,
+  pixelPoint,
+  TARGETS,
+  DISPLAYS_TTL,
+};
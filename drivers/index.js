@@ -0,0 +1,101 @@
+/**
+ * D0T Drivers - Pluggable input/screen layer
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Every D0T entry point (agent, ghost, timeout sensor, Electron app,
+ * keyboard) talks to the machine through one driver:
+ *
+ *   capture(outPath, { monitor, window, focus })
+ *                     - Save a PNG of the desktop, one monitor or one window
+ *   displays()        - Monitors with offsets and DPI scale (displays.js)
+ *   move(x, y)        - Move the cursor
+ *   click(x, y)       - Move + left click
+ *   cursor()          - Current cursor position {x, y}
+ *   key(combo)        - Press a key or combo ("enter", "ctrl+l", "{ENTER}")
+ *   type(text)        - Type literal text
+ *   windowTitle()     - Title of the focused window
+ *   windows()         - Top-level windows with their rects (window-target.js)
+ *   focusWindow(target) - Bring the window matching a target to the front
+ *   elements({ window }) - Buttons, fields, links... of a window from the
+ *                     accessibility tree, in desktop pixels (accessibility.js)
+ *   watchInput(onEvent, onError) - Global click/key events until stop()
+ *
+ * The driver is picked once at startup:
+ *   --driver=windows|x11   or   D0T_DRIVER=windows|x11
+ * defaulting to windows on win32 and x11 everywhere else.
+ * The X11 display can be set with --display=:99 or D0T_DISPLAY.
+ * The monitor to capture with --monitor=all|primary|<id> or D0T_MONITOR,
+ * or a single window with --window="Visual Studio Code" or D0T_WINDOW.
+ *
+ * Coordinates everywhere are screenshot pixels of the last capture; the
+ * driver converts them to cursor coordinates per monitor (offset, scale).
+ * OCR callers add monitor ids to words with driver.space.tag(words).
+ * A window capture is window-relative: driver.space.window says which
+ * window, and whether it was in front.
+ *
+ * Headless mode (see xvfb.js) swaps the shared driver for one bound to
+ * its own virtual display with useDriver().
+ */
+
+const WindowsDriver = require('./windows');
+const X11Driver = require('./x11');
+const { normalizeKey } = require('./keys');
+
+const DRIVERS = {
+  windows: WindowsDriver,
+  x11: X11Driver,
+};
+
+function argValue(name) {
+  return process.argv.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+}
+
+function defaultDriverName() {
+  return process.platform === 'win32' ? 'windows' : 'x11';
+}
+
+/**
+ * Create a new driver instance
+ * @param {object} options - { driver, display, monitor, window, timeout }
+ * @returns {WindowsDriver|X11Driver}
+ */
+function createDriver(options = {}) {
+  const name = options.driver || argValue('driver') || process.env.D0T_DRIVER || defaultDriverName();
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(`Unknown driver "${name}" (available: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return new Driver({
+    ...options,
+    display: options.display || argValue('display') || process.env.D0T_DISPLAY,
+    monitor: options.monitor || argValue('monitor') || process.env.D0T_MONITOR,
+    window: options.window || argValue('window') || process.env.D0T_WINDOW,
+  });
+}
+
+let shared = null;
+
+/**
+ * Get the process-wide driver, creating it on first use
+ */
+function getDriver() {
+  if (!shared) shared = createDriver();
+  return shared;
+}
+
+/**
+ * Replace the process-wide driver (e.g. to target a virtual display)
+ * @param {object} options - Same as createDriver()
+ */
+function useDriver(options = {}) {
+  shared = createDriver(options);
+  return shared;
+}
+
+module.exports = {
+  createDriver,
+  getDriver,
+  useDriver,
+  normalizeKey,
+  DRIVERS,
+};
@@ -0,0 +1,115 @@
+/**
+ * D0T Key Names
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Every driver takes keys in one normalized form:
+ *   "enter", "ctrl+l", "ctrl+shift+p", "alt+f4", "a"
+ *
+ * Older callers still pass SendKeys strings ("{ENTER}", "^l", "%{F4}"),
+ * so normalizeKey() accepts both and each driver only has to translate
+ * the normalized form into its own syntax.
+ */
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'win'];
+
+const ALIASES = {
+  control: 'ctrl',
+  cmd: 'win', meta: 'win', super: 'win', windows: 'win',
+  esc: 'escape',
+  return: 'enter',
+  del: 'delete',
+  bs: 'backspace', bksp: 'backspace',
+  pgup: 'pageup', pgdn: 'pagedown',
+  ins: 'insert',
+};
+
+// SendKeys modifier prefixes: ^ = ctrl, % = alt, + = shift
+const SENDKEYS_MODIFIERS = { '^': 'ctrl', '%': 'alt', '+': 'shift' };
+
+function alias(name) {
+  return ALIASES[name] || name;
+}
+
+function isSendKeys(key) {
+  return /^[\^%+]*(\{[^}]+\}|~|.)$/.test(key) && (/[{}~]/.test(key) || /^[\^%+]./.test(key));
+}
+
+/**
+ * Convert a key (SendKeys or combo syntax) to the normalized combo form
+ * @param {string} key - e.g. "{ENTER}", "^l", "ctrl+l", "Enter"
+ * @returns {string} Normalized combo, e.g. "enter", "ctrl+l"
+ */
+function normalizeKey(key) {
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new Error(`Invalid key: ${JSON.stringify(key)}`);
+  }
+
+  if (isSendKeys(key)) {
+    const parts = [];
+    let i = 0;
+    while (SENDKEYS_MODIFIERS[key[i]] && i < key.length - 1) {
+      parts.push(SENDKEYS_MODIFIERS[key[i]]);
+      i++;
+    }
+    const rest = key.slice(i);
+    if (rest === '~') parts.push('enter');
+    else if (rest.startsWith('{')) parts.push(alias(rest.slice(1, -1).toLowerCase()));
+    else parts.push(rest.toLowerCase());
+    return parts.join('+');
+  }
+
+  // A lone "+" is the plus key, not an empty combo
+  if (key === '+') return '+';
+
+  return key
+    .split('+')
+    .map(p => alias(p.trim().toLowerCase()))
+    .join('+');
+}
+
+/**
+ * Split a normalized combo into modifiers and the main key
+ * @param {string} combo - Normalized combo from normalizeKey()
+ * @returns {{modifiers: string[], key: string}}
+ */
+function splitCombo(combo) {
+  if (combo === '+') return { modifiers: [], key: '+' };
+  const parts = combo.split('+');
+  const key = parts.pop();
+  return { modifiers: parts.filter(p => MODIFIERS.includes(p)), key };
+}
+
+// US layout: what shift+key types (used when recording input)
+const SHIFTED = {
+  '1': '!', '2': '@', '3': '#', '4': '$', '5': '%', '6': '^', '7': '&', '8': '*', '9': '(', '0': ')',
+  '-': '_', '=': '+', '[': '{', ']': '}', '\\': '|', ';': ':', "'": '"', ',': '<', '.': '>', '/': '?', '`': '~',
+};
+
+/**
+ * Build a recorded key event from a key name and the held modifiers
+ * @param {string} key - Normalized key name ("a", "enter", "f5", ".")
+ * @param {string[]} modifiers - Held modifiers (ctrl, alt, shift, win)
+ * @returns {{type: 'key', combo: string, text: string|null}}
+ *   text is the character typed, when the key types one
+ */
+function keyEvent(key, modifiers = []) {
+  const held = MODIFIERS.filter(m => modifiers.includes(m));
+  const combo = [...held, key].join('+');
+  
+  let text = null;
+  if (!held.some(m => m !== 'shift')) {
+    const shift = held.includes('shift');
+    if (key === 'space') text = ' ';
+    else if (/^[a-z]$/.test(key)) text = shift ? key.toUpperCase() : key;
+    else if (key.length === 1) text = shift ? (SHIFTED[key] || key) : key;
+  }
+  
+  return { type: 'key', combo, text };
+}
+
+module.exports = {
+  normalizeKey,
+  splitCombo,
+  keyEvent,
+  MODIFIERS,
+};
@@ -0,0 +1,196 @@
+/**
+ * D0T Window Target - Point D0T at one application window
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Drivers list top-level windows as:
+ *
+ *   { id, title, app, pid, focused, minimized, rect }
+ *   app  - process / class name ("Code", "chrome")
+ *   rect - where it sits in desktop-wide screenshot pixels
+ *
+ * A window target picks one of them:
+ *   'Visual Studio Code'   - case-insensitive part of the title or app name
+ *   '/- Google Chrome$/'   - a regex on the title or app name
+ *   { title, app }        - both must match (either may be left out)
+ *
+ * With a target, capture() crops the screenshot to the window and the
+ * capture's ScreenSpace maps window-relative pixels back to the cursor,
+ * so nothing outside the window is seen or clicked.
+ *
+ * Set it with --window= / D0T_WINDOW, capture(path, { window }), the
+ * agent's window option or a task's `target: { window }`.
+ */
+
+const { ScreenSpace } = require('./displays');
+
+// ══════════════════════════════════════════════════════════════
+// TARGETS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a window target
+ * @param {string|RegExp|object} target
+ * @returns {{title: RegExp|null, app: RegExp|null, any: boolean, label: string}|null} null = no target
+ *   any: a plain target - title or app may match
+ */
+function parseWindowTarget(target) {
+  if (!target) return null;
+  if (typeof target === 'string' || target instanceof RegExp) {
+    const pattern = toPattern(target);
+    return { title: pattern, app: pattern, any: true, label: String(target) };
+  }
+  if (typeof target === 'object' && (target.title || target.app)) {
+    return {
+      title: target.title ? toPattern(target.title) : null,
+      app: target.app ? toPattern(target.app) : null,
+      any: false,
+      label: [target.app, target.title].filter(Boolean).join(': '),
+    };
+  }
+  throw new Error(`Invalid window target: ${JSON.stringify(target)} (use a title, "/regex/" or { title, app })`);
+}
+
+// '/regex/flags' -> RegExp, anything else -> literal, case-insensitive
+function toPattern(value) {
+  if (value instanceof RegExp) return value;
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(value);
+  if (regex) return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`);
+  return new RegExp(String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+function windowMatches(win, target) {
+  const title = target.title ? target.title.test(win.title || '') : false;
+  const app = target.app ? target.app.test(win.app || '') : false;
+  if (target.any) return title || app;
+  return (!target.title || title) && (!target.app || app);
+}
+
+/**
+ * Best window for a target - the focused one, then title matches over app
+ * matches, then the largest visible one
+ * @param {array} windows - Driver windows()
+ * @param {string|RegExp|object} target
+ * @returns {object|null}
+ */
+function findWindow(windows, target) {
+  const wanted = parseWindowTarget(target);
+  if (!wanted) return null;
+
+  const area = (w) => (w.minimized ? 0 : w.rect.width * w.rect.height);
+  const rank = (w) => (w.focused ? 2 : 0) + (wanted.title?.test(w.title || '') ? 1 : 0);
+  return windows
+    .filter(w => windowMatches(w, wanted))
+    .sort((a, b) => rank(b) - rank(a) || area(b) - area(a))[0] || null;
+}
+
+/**
+ * findWindow() that throws with the open windows when nothing matches
+ */
+function requireWindow(windows, target) {
+  const win = findWindow(windows, target);
+  if (!win) {
+    const open = windows.slice(0, 8).map(w => `"${w.title}"`).join(', ');
+    throw new Error(`No window matches "${parseWindowTarget(target).label}" (open: ${open || 'none'})`);
+  }
+  return win;
+}
+
+// ══════════════════════════════════════════════════════════════
+// GEOMETRY
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Part of a window rect that is on some monitor (windows hang off screen edges)
+ * @param {object} rect - Window rect in screenshot pixels
+ * @param {array} displays - Driver displays()
+ * @returns {object|null} null when the window is entirely off screen
+ */
+function visibleRect(rect, displays) {
+  let best = null;
+  for (const d of displays) {
+    const x0 = Math.max(rect.x, d.physical.x);
+    const y0 = Math.max(rect.y, d.physical.y);
+    const x1 = Math.min(rect.x + rect.width, d.physical.x + d.physical.width);
+    const y1 = Math.min(rect.y + rect.height, d.physical.y + d.physical.height);
+    if (x1 <= x0 || y1 <= y0) continue;
+    best = best
+      ? {
+        x: Math.min(best.x, x0),
+        y: Math.min(best.y, y0),
+        width: Math.max(best.x + best.width, x1) - Math.min(best.x, x0),
+        height: Math.max(best.y + best.height, y1) - Math.min(best.y, y0),
+      }
+      : { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+  }
+  return best;
+}
+
+// What a ScreenSpace / log line needs to know about the window
+function windowInfo(win) {
+  return { id: win.id, title: win.title, app: win.app, focused: win.focused };
+}
+
+/**
+ * The captured target window, if it wasn't in front - other apps may cover
+ * it, so what we saw may be theirs: watchers look but don't click
+ * @param {ScreenSpace|null} space - driver.space after a capture
+ * @returns {object|null} windowInfo(), null when clicking is fine
+ */
+function backgroundWindow(space) {
+  return space?.window && !space.window.focused ? space.window : null;
+}
+
+// ══════════════════════════════════════════════════════════════
+// DRIVER HELPERS
+// ══════════════════════════════════════════════════════════════
+//
+// Shared by the drivers - they supply windows(), displays() and
+// activateWindow(id)
+
+/**
+ * ScreenSpace for capturing a window
+ * @param {object} driver
+ * @param {string|RegExp|object} target - Window target
+ * @param {object} options - { focus: bring it to the front first }
+ * @returns {Promise<ScreenSpace>} space.area = the window's on-screen rect
+ */
+async function windowSpace(driver, target, options = {}) {
+  let win = requireWindow(await driver.windows(), target);
+  if (options.focus && !win.focused) {
+    win = await activate(driver, win, target);
+  }
+  if (win.minimized) throw new Error(`Window "${win.title}" is minimized`);
+
+  const displays = await driver.displays();
+  const crop = visibleRect(win.rect, displays);
+  if (!crop) throw new Error(`Window "${win.title}" is off screen`);
+  return new ScreenSpace(displays, 'all', { crop, window: windowInfo(win) });
+}
+
+/**
+ * Bring a window to the front unless it already is
+ * @returns {Promise<object>} The window, as listed after focusing
+ */
+async function focusWindow(driver, target) {
+  const win = requireWindow(await driver.windows(), target);
+  return win.focused ? win : activate(driver, win, target);
+}
+
+// Activate and list again - restoring a minimized window moves it
+async function activate(driver, win, target) {
+  await driver.activateWindow(win.id);
+  const after = findWindow(await driver.windows(), target) || win;
+  if (!after.focused) console.log(`⚠️ Could not bring "${win.title}" to the front`);
+  return after;
+}
+
+module.exports = {
+  parseWindowTarget,
+  findWindow,
+  requireWindow,
+  visibleRect,
+  windowInfo,
+  backgroundWindow,
+  windowSpace,
+  focusWindow,
+};
@@ -0,0 +1,648 @@
+/**
+ * D0T Windows Driver - PowerShell + user32
+ * ══════════════════════════════════════════════════════════════
+ *
+ * The original D0T input/screen code, moved behind the driver interface:
+ * - Screen capture via System.Drawing CopyFromScreen
+ * - Mouse via Cursor.Position + user32 mouse_event
+ * - Keyboard via System.Windows.Forms.SendKeys (keybd_event for combos
+ *   with the Windows key, which SendKeys cannot press)
+ *
+ * DPI: captures run per-monitor DPI aware (real pixels, every monitor),
+ * mouse scripts DPI unaware (logical coordinates). displays() reads the
+ * monitors both ways, so a 150% monitor gets scale 1.5 - see displays.js.
+ * Window rects come from the same per-monitor aware thread (real pixels).
+ *
+ * Accessibility elements (accessibility.js) come from UI Automation, the
+ * API click-button.ps1 uses, read in one cached FindAll per window.
+ */
+
+const { exec, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeKey, splitCombo, keyEvent } = require('./keys');
+const { ScreenSpace, display, cursorPoint, pixelPoint, DISPLAYS_TTL } = require('./displays');
+const { windowSpace, focusWindow } = require('./window-target');
+
+const SENDKEYS_MODIFIERS = { ctrl: '^', alt: '%', shift: '+' };
+
+const SENDKEYS_NAMES = {
+  enter: '{ENTER}', tab: '{TAB}', escape: '{ESC}',
+  backspace: '{BACKSPACE}', delete: '{DELETE}', insert: '{INSERT}',
+  up: '{UP}', down: '{DOWN}', left: '{LEFT}', right: '{RIGHT}',
+  home: '{HOME}', end: '{END}', pageup: '{PGUP}', pagedown: '{PGDN}',
+  space: ' ',
+};
+
+// Virtual-key codes -> normalized key names (for watchInput)
+const VK_NAMES = {
+  0x08: 'backspace', 0x09: 'tab', 0x0D: 'enter', 0x1B: 'escape', 0x20: 'space',
+  0x21: 'pageup', 0x22: 'pagedown', 0x23: 'end', 0x24: 'home',
+  0x25: 'left', 0x26: 'up', 0x27: 'right', 0x28: 'down', 0x2D: 'insert', 0x2E: 'delete',
+  0xBA: ';', 0xBB: '=', 0xBC: ',', 0xBD: '-', 0xBE: '.', 0xBF: '/', 0xC0: '`',
+  0xDB: '[', 0xDC: '\\', 0xDD: ']', 0xDE: "'",
+};
+
+// Modifier virtual-key codes (for keybd_event)
+const VK_MODIFIERS = { ctrl: 0x11, alt: 0x12, shift: 0x10, win: 0x5B };
+
+// SetThreadDpiAwarenessContext values
+const DPI_UNAWARE = -1;
+const DPI_PER_MONITOR = -4;
+
+// Thread DPI awareness + monitor list (Windows 10 1607+; older ones stay unaware)
+const SCREENS_TYPE = `
+Add-Type -TypeDefinition @"
+using System;
+using System.Collections.Generic;
+using System.Runtime.InteropServices;
+public class D0TScreens {
+    [StructLayout(LayoutKind.Sequential)]
+    public struct RECT { public int Left, Top, Right, Bottom; }
+    [StructLayout(LayoutKind.Sequential, CharSet = CharSet.Unicode)]
+    public struct MONITORINFOEX {
+        public int Size; public RECT Monitor; public RECT Work; public uint Flags;
+        [MarshalAs(UnmanagedType.ByValTStr, SizeConst = 32)] public string Device;
+    }
+    delegate bool MonitorEnumProc(IntPtr monitor, IntPtr hdc, IntPtr rect, IntPtr data);
+    [DllImport("user32.dll")]
+    static extern bool EnumDisplayMonitors(IntPtr hdc, IntPtr clip, MonitorEnumProc proc, IntPtr data);
+    [DllImport("user32.dll", CharSet = CharSet.Unicode)]
+    static extern bool GetMonitorInfo(IntPtr monitor, ref MONITORINFOEX info);
+    [DllImport("user32.dll")]
+    static extern IntPtr SetThreadDpiAwarenessContext(IntPtr context);
+    public static void Use(int context) {
+        try { SetThreadDpiAwarenessContext(new IntPtr(context)); } catch (EntryPointNotFoundException) {}
+    }
+    public static string List(int context) {
+        Use(context);
+        var lines = new List<string>();
+        EnumDisplayMonitors(IntPtr.Zero, IntPtr.Zero, (m, h, r, d) => {
+            var info = new MONITORINFOEX();
+            info.Size = Marshal.SizeOf(typeof(MONITORINFOEX));
+            if (GetMonitorInfo(m, ref info)) {
+                lines.Add(String.Join("|", info.Device, (info.Flags & 1) != 0 ? "1" : "0",
+                    info.Monitor.Left, info.Monitor.Top,
+                    info.Monitor.Right - info.Monitor.Left, info.Monitor.Bottom - info.Monitor.Top));
+            }
+            return true;
+        }, IntPtr.Zero);
+        return String.Join(";", lines);
+    }
+}
+"@
+`;
+
+// Top-level windows and bringing one to the front
+const WINDOWS_TYPE = `
+Add-Type -TypeDefinition @"
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Runtime.InteropServices;
+using System.Text;
+public class D0TWindows {
+    [StructLayout(LayoutKind.Sequential)]
+    public struct RECT { public int Left, Top, Right, Bottom; }
+    delegate bool WindowEnumProc(IntPtr hWnd, IntPtr data);
+    [DllImport("user32.dll")]
+    static extern bool EnumWindows(WindowEnumProc proc, IntPtr data);
+    [DllImport("user32.dll")]
+    static extern bool IsWindowVisible(IntPtr hWnd);
+    [DllImport("user32.dll")]
+    static extern bool IsIconic(IntPtr hWnd);
+    [DllImport("user32.dll")]
+    static extern IntPtr GetForegroundWindow();
+    [DllImport("user32.dll", CharSet = CharSet.Unicode)]
+    static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+    [DllImport("user32.dll")]
+    static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint pid);
+    [DllImport("user32.dll")]
+    static extern bool GetWindowRect(IntPtr hWnd, out RECT rect);
+    [DllImport("dwmapi.dll")]
+    static extern int DwmGetWindowAttribute(IntPtr hWnd, int attribute, out RECT value, int size);
+    [DllImport("dwmapi.dll")]
+    static extern int DwmGetWindowAttribute(IntPtr hWnd, int attribute, out int value, int size);
+    [DllImport("user32.dll")]
+    static extern bool ShowWindow(IntPtr hWnd, int command);
+    [DllImport("user32.dll")]
+    static extern bool SetForegroundWindow(IntPtr hWnd);
+    [DllImport("user32.dll")]
+    static extern void keybd_event(byte vk, byte scan, int flags, int extra);
+    public static string List() {
+        var foreground = GetForegroundWindow();
+        var lines = new List<string>();
+        EnumWindows((h, d) => {
+            int cloaked;
+            if (!IsWindowVisible(h)) return true;
+            if (DwmGetWindowAttribute(h, 14, out cloaked, 4) == 0 && cloaked != 0) return true;
+            var title = new StringBuilder(512);
+            if (GetWindowText(h, title, 512) == 0) return true;
+            RECT r;
+            // Extended frame bounds leave out the invisible resize border
+            if (DwmGetWindowAttribute(h, 9, out r, Marshal.SizeOf(typeof(RECT))) != 0) GetWindowRect(h, out r);
+            uint pid;
+            GetWindowThreadProcessId(h, out pid);
+            string app = "";
+            try { app = Process.GetProcessById((int)pid).ProcessName; } catch (Exception) {}
+            lines.Add(String.Join("\t", h.ToInt64(), pid, app, h == foreground ? "1" : "0", IsIconic(h) ? "1" : "0",
+                r.Left, r.Top, r.Right - r.Left, r.Bottom - r.Top, title.ToString()));
+            return true;
+        }, IntPtr.Zero);
+        return String.Join("\n", lines);
+    }
+    public static long Foreground() {
+        return GetForegroundWindow().ToInt64();
+    }
+    public static void Activate(long id) {
+        var h = new IntPtr(id);
+        if (IsIconic(h)) ShowWindow(h, 9);
+        // Windows only hands the foreground to the process with the last input
+        keybd_event(0x12, 0, 0, 0);
+        keybd_event(0x12, 0, 2, 0);
+        SetForegroundWindow(h);
+    }
+}
+"@
+`;
+
+// UI Automation control types -> accessibility.js roles
+const UIA_ROLES = {
+  Button: 'button', SplitButton: 'button', CheckBox: 'checkbox', RadioButton: 'radio',
+  MenuItem: 'menuitem', Hyperlink: 'link', ComboBox: 'combobox', Edit: 'textbox',
+  TabItem: 'tab', ListItem: 'listitem',
+};
+
+let tempCounter = 0;
+
+class WindowsDriver {
+  constructor(options = {}) {
+    this.name = 'windows';
+    this.options = options;
+    this.monitor = options.monitor || 'all';
+    this.window = options.window || null;  // Window target (window-target.js)
+    this.space = null;        // ScreenSpace of the last capture
+    this.displayList = null;
+    this.displaysAt = 0;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SCREEN
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Save a PNG of the whole desktop, one monitor or one window
+   * @param {string} outPath
+   * @param {object} options - { monitor: 'all' | 'primary' | id, window: target, focus }
+   *   window: window target (window-target.js) - wins over monitor;
+   *           null = none, even with a --window default
+   *   focus:  bring that window to the front first
+   */
+  async capture(outPath, options = {}) {
+    const target = options.window !== undefined ? options.window : this.window;
+    const space = target
+      ? await windowSpace(this, target, { focus: options.focus })
+      : new ScreenSpace(await this.displays(), options.monitor || this.monitor);
+    const { x, y, width, height } = space.area;
+    await this.runPS(`
+${SCREENS_TYPE}
+[D0TScreens]::Use(${DPI_PER_MONITOR})
+Add-Type -AssemblyName System.Drawing
+$b = New-Object System.Drawing.Bitmap(${width}, ${height})
+$g = [System.Drawing.Graphics]::FromImage($b)
+$g.CopyFromScreen(${x}, ${y}, 0, 0, $b.Size)
+$b.Save('${psString(outPath)}')
+$g.Dispose()
+$b.Dispose()
+`);
+    this.space = space;
+    return outPath;
+  }
+
+  /**
+   * Monitors with cursor (logical) and pixel (physical) rectangles
+   * @param {object} options - { refresh }
+   * @returns {Promise<array>} See displays.js
+   */
+  async displays(options = {}) {
+    if (this.displayList && !options.refresh && Date.now() - this.displaysAt < DISPLAYS_TTL) {
+      return this.displayList;
+    }
+
+    const out = await this.runPS(`
+${SCREENS_TYPE}
+Write-Output ([D0TScreens]::List(${DPI_UNAWARE}))
+Write-Output ([D0TScreens]::List(${DPI_PER_MONITOR}))
+`);
+    const [logical, physical] = out.trim().split(/\r?\n/).map(parseMonitors);
+    this.displayList = physical.map((p) => {
+      const l = logical.find(m => m.device === p.device) || p;
+      return display({
+        id: /(\d+)$/.exec(p.device)?.[1] || p.device,
+        name: p.device,
+        primary: p.primary,
+        bounds: l.rect,
+        physical: p.rect,
+      });
+    });
+    this.displaysAt = Date.now();
+    return this.displayList;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // MOUSE
+  // ═══════════════════════════════════════════════════════════
+
+  // Coordinates are screenshot pixels of the last capture (see displays.js)
+
+  async move(x, y) {
+    const p = cursorPoint(this.space, int(x), int(y));
+    await this.runPS(`
+${SCREENS_TYPE}
+[D0TScreens]::Use(${DPI_UNAWARE})
+Add-Type -AssemblyName System.Windows.Forms
+[System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point(${p.x}, ${p.y})
+`);
+  }
+
+  async click(x, y) {
+    const p = cursorPoint(this.space, int(x), int(y));
+    await this.runPS(`
+${SCREENS_TYPE}
+[D0TScreens]::Use(${DPI_UNAWARE})
+Add-Type -AssemblyName System.Windows.Forms
+Add-Type -TypeDefinition @"
+using System;
+using System.Runtime.InteropServices;
+public class Mouse {
+    [DllImport("user32.dll")]
+    public static extern void mouse_event(int dwFlags, int dx, int dy, int dwData, int dwExtraInfo);
+}
+"@
+[System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point(${p.x}, ${p.y})
+Start-Sleep -Milliseconds 50
+[Mouse]::mouse_event(0x0002, 0, 0, 0, 0)
+Start-Sleep -Milliseconds 30
+[Mouse]::mouse_event(0x0004, 0, 0, 0, 0)
+`);
+  }
+
+  async cursor() {
+    const out = await this.runPS(`
+${SCREENS_TYPE}
+[D0TScreens]::Use(${DPI_UNAWARE})
+Add-Type -AssemblyName System.Windows.Forms
+$p = [System.Windows.Forms.Cursor]::Position
+Write-Output "$($p.X),$($p.Y)"
+`);
+    const [x, y] = out.trim().split(',').map(Number);
+    return pixelPoint(this.space, x, y);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // KEYBOARD
+  // ═══════════════════════════════════════════════════════════
+
+  async key(combo) {
+    const normalized = normalizeKey(combo);
+    const { modifiers, key } = splitCombo(normalized);
+
+    // SendKeys has no Windows key - press it as virtual keys instead
+    if (key === 'win' || modifiers.includes('win')) {
+      await this.pressKeys(toVirtualKeys(normalized));
+      return;
+    }
+    await this.sendKeys(toSendKeys(normalized));
+  }
+
+  async type(text) {
+    const escaped = text
+      .replace(/[+^%~(){}[\]]/g, '{$&}')
+      .replace(/\n/g, '{ENTER}')
+      .replace(/\t/g, '{TAB}');
+    await this.sendKeys(escaped);
+  }
+
+  sendKeys(keys) {
+    return this.runPS(`
+Add-Type -AssemblyName System.Windows.Forms
+[System.Windows.Forms.SendKeys]::SendWait('${psString(keys)}')
+`);
+  }
+
+  /**
+   * Press virtual keys in order, then release them in reverse
+   * @param {number[]} vks - Modifiers first, main key last
+   */
+  pressKeys(vks) {
+    return this.runPS(`
+Add-Type @"
+using System.Runtime.InteropServices;
+public class D0TKeys {
+    [DllImport("user32.dll")]
+    public static extern void keybd_event(byte vk, byte scan, int flags, int extra);
+}
+"@
+$keys = @(${vks.join(', ')})
+foreach ($k in $keys) { [D0TKeys]::keybd_event($k, 0, 0, 0) }
+[array]::Reverse($keys)
+foreach ($k in $keys) { [D0TKeys]::keybd_event($k, 0, 2, 0) }
+`);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // WINDOWS
+  // ═══════════════════════════════════════════════════════════
+
+  async windowTitle() {
+    const out = await this.runPS(`
+Add-Type -TypeDefinition @"
+using System;
+using System.Text;
+using System.Runtime.InteropServices;
+public class Win {
+    [DllImport("user32.dll")]
+    public static extern IntPtr GetForegroundWindow();
+    [DllImport("user32.dll", CharSet = CharSet.Unicode)]
+    public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+}
+"@
+$sb = New-Object System.Text.StringBuilder 512
+[void][Win]::GetWindowText([Win]::GetForegroundWindow(), $sb, 512)
+Write-Output $sb.ToString()
+`);
+    return out.trim();
+  }
+
+  /**
+   * Visible top-level windows with a title, front to back
+   * @returns {Promise<array>} [{ id, title, app, pid, focused, minimized, rect }]
+   */
+  async windows() {
+    const out = await this.runPS(`
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+${SCREENS_TYPE}
+${WINDOWS_TYPE}
+[D0TScreens]::Use(${DPI_PER_MONITOR})
+Write-Output ([D0TWindows]::List())
+`);
+    return parseWindows(out);
+  }
+
+  /**
+   * Bring the window matching a target to the front (window-target.js)
+   * @returns {Promise<object>} The window
+   */
+  focusWindow(target = this.window) {
+    return focusWindow(this, target);
+  }
+
+  async activateWindow(id) {
+    await this.runPS(`
+${WINDOWS_TYPE}
+[D0TWindows]::Activate(${Number(id)})
+`);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ACCESSIBILITY
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Interactive elements of one window from UI Automation
+   * @param {object} options - { window: { id } of a windows() entry, default the focused one }
+   * @returns {Promise<array>} [{ name, role, enabled, rect }] - rect in desktop pixels
+   */
+  async elements(options = {}) {
+    const hwnd = options.window ? Number(options.window.id) : '[D0TWindows]::Foreground()';
+    const out = await this.runPS(`
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+${SCREENS_TYPE}
+${WINDOWS_TYPE}
+[D0TScreens]::Use(${DPI_PER_MONITOR})
+Add-Type -AssemblyName UIAutomationClient
+Add-Type -AssemblyName UIAutomationTypes
+$A = [System.Windows.Automation.AutomationElement]
+$root = $A::FromHandle([IntPtr]${hwnd})
+$conditions = [System.Windows.Automation.Condition[]]@(
+  foreach ($t in @(${Object.keys(UIA_ROLES).map(t => `'${t}'`).join(', ')})) {
+    New-Object System.Windows.Automation.PropertyCondition($A::ControlTypeProperty, [System.Windows.Automation.ControlType]::$t)
+  }
+)
+$cache = New-Object System.Windows.Automation.CacheRequest
+foreach ($p in @($A::NameProperty, $A::ControlTypeProperty, $A::BoundingRectangleProperty, $A::IsEnabledProperty, $A::IsOffscreenProperty)) {
+  $cache.Add($p)
+}
+$cache.AutomationElementMode = [System.Windows.Automation.AutomationElementMode]::None
+$scope = $cache.Activate()
+try {
+  $found = $root.FindAll([System.Windows.Automation.TreeScope]::Descendants, [System.Windows.Automation.OrCondition]::new($conditions))
+} finally {
+  $scope.Dispose()
+}
+foreach ($e in $found) {
+  $c = $e.Cached
+  $r = $c.BoundingRectangle
+  if ($c.IsOffscreen -or $r.IsEmpty -or $r.Width -le 0 -or $r.Height -le 0) { continue }
+  $type = $c.ControlType.ProgrammaticName -replace '^ControlType\\.', ''
+  Write-Output ((@($type, [int]$c.IsEnabled, [int]$r.Left, [int]$r.Top, [int]$r.Width, [int]$r.Height, ($c.Name -replace '\\s+', ' ')) -join [char]9))
+}
+`, { timeout: 20000 });
+    return parseElements(out);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // INPUT EVENTS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Watch global mouse/keyboard input (polls GetAsyncKeyState)
+   * @param {function} onEvent - { type: 'click', x, y, button } or keyEvent()
+   * @param {function} onError - Called if the watcher dies
+   * @returns {{stop: function}}
+   */
+  watchInput(onEvent, onError = () => {}) {
+    const tempFile = path.join(os.tmpdir(), `_d0t-${process.pid}-watch.ps1`);
+    fs.writeFileSync(tempFile, `
+${SCREENS_TYPE}
+[D0TScreens]::Use(${DPI_UNAWARE})
+Add-Type -AssemblyName System.Windows.Forms
+Add-Type -TypeDefinition @"
+using System;
+using System.Runtime.InteropServices;
+public class KeyState {
+    [DllImport("user32.dll")]
+    public static extern short GetAsyncKeyState(int vKey);
+}
+"@
+function Held($vk) { ([KeyState]::GetAsyncKeyState($vk) -band 0x8000) -ne 0 }
+$down = @{}
+while ($true) {
+  for ($vk = 1; $vk -lt 255; $vk++) {
+    $pressed = Held $vk
+    if ($pressed -and -not $down[$vk]) {
+      $p = [System.Windows.Forms.Cursor]::Position
+      $mods = 0
+      if (Held 0x10) { $mods += 1 }
+      if (Held 0x11) { $mods += 2 }
+      if (Held 0x12) { $mods += 4 }
+      if ((Held 0x5B) -or (Held 0x5C)) { $mods += 8 }
+      [Console]::Out.WriteLine("$vk $($p.X) $($p.Y) $mods")
+      [Console]::Out.Flush()
+    }
+    $down[$vk] = $pressed
+  }
+  Start-Sleep -Milliseconds 10
+}
+`.trim());
+
+    const child = spawn('powershell', ['-ExecutionPolicy', 'Bypass', '-File', tempFile], { windowsHide: true });
+    let buffer = '';
+    child.stdout.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        const [vk, cx, cy, mods] = line.trim().split(' ').map(Number);
+        const { x, y } = pixelPoint(this.space, cx, cy);
+        const event = toInputEvent(vk, x, y, mods);
+        if (event) onEvent(event);
+      }
+    });
+    let stopped = false;
+    child.on('error', onError);
+    child.on('exit', (code) => {
+      try { fs.unlinkSync(tempFile); } catch {}
+      if (!stopped) onError(new Error(`Input hook exited (code ${code})`));
+    });
+
+    return {
+      stop: () => {
+        stopped = true;
+        child.kill();
+      },
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // POWERSHELL
+  // ═══════════════════════════════════════════════════════════
+
+  runPS(script, options = {}) {
+    return new Promise((resolve, reject) => {
+      const cleaned = script.replace(/\r?\n/g, '\n').trim();
+      const tempFile = path.join(os.tmpdir(), `_d0t-${process.pid}-${tempCounter++}.ps1`);
+      fs.writeFileSync(tempFile, cleaned);
+      exec(`powershell -ExecutionPolicy Bypass -File "${tempFile}"`,
+        { windowsHide: true, timeout: options.timeout || this.options.timeout || 10000 },
+        (err, stdout) => {
+          try { fs.unlinkSync(tempFile); } catch {}
+          if (err) reject(err);
+          else resolve(stdout);
+        });
+    });
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// HELPERS
+// ══════════════════════════════════════════════════════════════
+
+function int(n) {
+  const v = Math.round(Number(n));
+  if (!Number.isFinite(v)) throw new Error(`Invalid coordinate: ${n}`);
+  return v;
+}
+
+// "\\.\DISPLAY1|1|0|0|1920|1080;..." -> [{ device, primary, rect }]
+function parseMonitors(line = '') {
+  return line.split(';').filter(Boolean).map((entry) => {
+    const [device, primary, x, y, width, height] = entry.split('|');
+    return { device, primary: primary === '1', rect: { x: +x, y: +y, width: +width, height: +height } };
+  });
+}
+
+// "id\tpid\tapp\tfocused\tminimized\tx\ty\tw\th\ttitle" lines -> windows
+function parseWindows(out) {
+  return out.split(/\r?\n/).filter(line => line.trim()).map((line) => {
+    const [id, pid, app, focused, minimized, x, y, width, height, ...title] = line.split('\t');
+    return {
+      id,
+      title: title.join('\t'),
+      app,
+      pid: Number(pid),
+      focused: focused === '1',
+      minimized: minimized === '1',
+      rect: { x: +x, y: +y, width: +width, height: +height },
+    };
+  });
+}
+
+// "Button\t1\tx\ty\tw\th\tname" lines -> elements
+function parseElements(out) {
+  return out.split(/\r?\n/).filter(line => line.trim()).map((line) => {
+    const [type, enabled, x, y, width, height, ...name] = line.split('\t');
+    return {
+      name: name.join(' ').trim(),
+      role: UIA_ROLES[type] || type.toLowerCase(),
+      enabled: enabled === '1',
+      rect: { x: +x, y: +y, width: +width, height: +height },
+    };
+  });
+}
+
+function psString(s) {
+  return String(s).replace(/'/g, "''");
+}
+
+function toInputEvent(vk, x, y, mods) {
+  if (vk === 0x01) return { type: 'click', x, y, button: 'left' };
+  if (vk === 0x02) return { type: 'click', x, y, button: 'right' };
+
+  let key = VK_NAMES[vk];
+  if (vk >= 0x30 && vk <= 0x39) key = String.fromCharCode(vk);
+  else if (vk >= 0x41 && vk <= 0x5A) key = String.fromCharCode(vk).toLowerCase();
+  else if (vk >= 0x70 && vk <= 0x7B) key = `f${vk - 0x6F}`;
+  // Modifiers themselves, mouse buttons 3-5, locks, media keys...
+  if (!key) return null;
+
+  const modifiers = [];
+  if (mods & 1) modifiers.push('shift');
+  if (mods & 2) modifiers.push('ctrl');
+  if (mods & 4) modifiers.push('alt');
+  if (mods & 8) modifiers.push('win');
+  return keyEvent(key, modifiers);
+}
+
+function toSendKeys(combo) {
+  const { modifiers, key } = splitCombo(combo);
+
+  let main;
+  if (SENDKEYS_NAMES[key]) main = SENDKEYS_NAMES[key];
+  else if (/^f\d{1,2}$/.test(key)) main = `{${key.toUpperCase()}}`;
+  else if (key.length === 1) main = key.replace(/[+^%~(){}[\]]/, '{$&}');
+  else main = `{${key.toUpperCase()}}`;
+
+  return modifiers.map(m => SENDKEYS_MODIFIERS[m]).join('') + main;
+}
+
+/**
+ * Normalized combo -> virtual-key codes for pressKeys()
+ * @throws {Error} For a main key without a virtual-key code here
+ */
+function toVirtualKeys(combo) {
+  const { modifiers, key } = splitCombo(combo);
+  const vks = modifiers.map(m => VK_MODIFIERS[m]);
+  if (VK_MODIFIERS[key]) return [...vks, VK_MODIFIERS[key]];
+
+  let vk = Object.keys(VK_NAMES).find(code => VK_NAMES[code] === key);
+  if (vk) vk = Number(vk);
+  else if (/^[a-z0-9]$/.test(key)) vk = key.toUpperCase().charCodeAt(0);
+  else if (/^f([1-9]|1[0-2])$/.test(key)) vk = 0x6F + Number(key.slice(1));
+  if (!vk) throw new Error(`Key "${combo}" is not supported on this driver`);
+
+  return [...vks, vk];
+}
+
+module.exports = WindowsDriver;
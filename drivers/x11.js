@@ -0,0 +1,454 @@
+/**
+ * D0T X11 Driver - xdotool + ImageMagick
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Linux implementation of the driver interface:
+ * - Screen capture via ImageMagick `import -window root`
+ * - Mouse and keyboard via xdotool (XTest under the hood)
+ *
+ * Requirements:
+ *   apt install xdotool imagemagick
+ *   apt install wmctrl        (window targets only)
+ *   apt install python3-gi gir1.2-atspi-2.0   (accessibility elements only)
+ *
+ * The target display comes from options.display, falling back to $DISPLAY.
+ * Monitors come from xrandr; X11 has one pixel space for screenshots and
+ * the cursor, so only a single-monitor capture's offset needs converting.
+ *
+ * Accessibility elements (accessibility.js) come from AT-SPI through a
+ * python3-gi helper. GTK / Qt apps expose them by default; Chrome and
+ * Electron apps (VS Code) only with accessibility support switched on
+ * (--force-renderer-accessibility).
+ */
+
+const { execFile, spawn } = require('child_process');
+const { normalizeKey, splitCombo, keyEvent } = require('./keys');
+const { ScreenSpace, display, cursorPoint, pixelPoint, DISPLAYS_TTL } = require('./displays');
+const { windowSpace, focusWindow } = require('./window-target');
+
+const XDOTOOL_MODIFIERS = { ctrl: 'ctrl', alt: 'alt', shift: 'shift', win: 'super' };
+
+const XDOTOOL_NAMES = {
+  enter: 'Return', tab: 'Tab', escape: 'Escape',
+  backspace: 'BackSpace', delete: 'Delete', insert: 'Insert',
+  up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+  home: 'Home', end: 'End', pageup: 'Page_Up', pagedown: 'Page_Down',
+  space: 'space', win: 'super',
+  '+': 'plus', '-': 'minus', '=': 'equal', '.': 'period', ',': 'comma',
+  '/': 'slash', '\\': 'backslash', ';': 'semicolon', "'": 'apostrophe',
+  '[': 'bracketleft', ']': 'bracketright', '`': 'grave',
+};
+
+// Debian/Ubuntu package for each tool we shell out to
+const PACKAGES = { xdotool: 'xdotool', import: 'imagemagick', xmodmap: 'x11-xserver-utils', xrandr: 'x11-xserver-utils', wmctrl: 'wmctrl',
+  python3: 'python3-gi gir1.2-atspi-2.0',
+};
+
+// Keysyms -> normalized key names (for watchInput)
+const KEYSYM_NAMES = {
+  ...Object.fromEntries(Object.entries(XDOTOOL_NAMES).map(([name, keysym]) => [keysym, name])),
+  Prior: 'pageup', Next: 'pagedown', KP_Enter: 'enter', ISO_Left_Tab: 'tab',
+};
+
+const KEYSYM_MODIFIERS = {
+  Shift_L: 'shift', Shift_R: 'shift',
+  Control_L: 'ctrl', Control_R: 'ctrl',
+  Alt_L: 'alt', Alt_R: 'alt', Meta_L: 'alt', Meta_R: 'alt',
+  Super_L: 'win', Super_R: 'win',
+};
+
+// AT-SPI walk of the active (or named) window -> JSON elements on stdout.
+// argv[1]: { title } - a window title, or {} for the active window
+const ATSPI_SCRIPT = `
+import json, sys
+import gi
+gi.require_version('Atspi', '2.0')
+from gi.repository import Atspi
+
+R = Atspi.Role
+ROLES = {
+    R.PUSH_BUTTON: 'button', R.TOGGLE_BUTTON: 'button', R.CHECK_BOX: 'checkbox',
+    R.RADIO_BUTTON: 'radio', R.MENU_ITEM: 'menuitem', R.CHECK_MENU_ITEM: 'menuitem',
+    R.RADIO_MENU_ITEM: 'menuitem', R.LINK: 'link', R.COMBO_BOX: 'combobox',
+    R.ENTRY: 'textbox', R.PASSWORD_TEXT: 'textbox', R.PAGE_TAB: 'tab', R.LIST_ITEM: 'listitem',
+}
+S = Atspi.StateType
+MAX_NODES = 5000
+MAX_ELEMENTS = 500
+
+target = json.loads(sys.argv[1])
+elements = []
+visited = 0
+
+def chosen(frame):
+    if target.get('title'):
+        return frame.get_name() == target['title']
+    return frame.get_state_set().contains(S.ACTIVE)
+
+def walk(node):
+    global visited
+    if node is None or visited >= MAX_NODES or len(elements) >= MAX_ELEMENTS:
+        return
+    visited += 1
+    try:
+        states = node.get_state_set()
+        if not states.contains(S.SHOWING):
+            return
+        role = ROLES.get(node.get_role())
+        if role is None and node.get_role() == R.TEXT and states.contains(S.EDITABLE):
+            role = 'textbox'
+        if role:
+            r = node.get_component_iface().get_extents(Atspi.CoordType.SCREEN)
+            if r.width > 0 and r.height > 0:
+                elements.append({
+                    'name': node.get_name() or '',
+                    'role': role,
+                    'enabled': states.contains(S.ENABLED) and states.contains(S.SENSITIVE),
+                    'rect': {'x': r.x, 'y': r.y, 'width': r.width, 'height': r.height},
+                })
+        for i in range(node.get_child_count()):
+            walk(node.get_child_at_index(i))
+    except Exception:
+        pass  # Apps come and go mid-walk
+
+desktop = Atspi.get_desktop(0)
+for a in range(desktop.get_child_count()):
+    app = desktop.get_child_at_index(a)
+    for f in range(app.get_child_count() if app else 0):
+        frame = app.get_child_at_index(f)
+        if frame is not None and chosen(frame):
+            walk(frame)
+print(json.dumps(elements))
+`;
+
+class X11Driver {
+  constructor(options = {}) {
+    this.name = 'x11';
+    this.options = options;
+    this.display = options.display || process.env.DISPLAY || ':0';
+    this.monitor = options.monitor || 'all';
+    this.window = options.window || null;  // Window target (window-target.js)
+    this.space = null;        // ScreenSpace of the last capture
+    this.displayList = null;
+    this.displaysAt = 0;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SCREEN
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Save a PNG of the whole desktop, one monitor or one window
+   * @param {string} outPath
+   * @param {object} options - { monitor: 'all' | 'primary' | id, window: target, focus }
+   *   window: window target (window-target.js) - wins over monitor;
+   *           null = none, even with a --window default
+   *   focus:  bring that window to the front first
+   */
+  async capture(outPath, options = {}) {
+    const monitor = options.monitor || this.monitor;
+    const target = options.window !== undefined ? options.window : this.window;
+    const args = ['-display', this.display, '-window', 'root'];
+    let space = null;
+    if (target) {
+      // Crop the root window rather than `import -window <id>`: what is
+      // on screen there is what a click would hit
+      space = await windowSpace(this, target, { focus: options.focus });
+      const { x, y, width, height } = space.area;
+      args.push('-crop', `${width}x${height}+${x}+${y}`);
+    } else if (monitor !== 'all') {
+      space = new ScreenSpace(await this.displays(), monitor);
+      const { x, y, width, height } = space.area;
+      args.push('-crop', `${width}x${height}+${x}+${y}`);
+    } else {
+      // The root window is the whole X screen already - the space only
+      // tells which monitor a word is on
+      space = await this.displays().then(list => new ScreenSpace(list, 'all'), () => null);
+    }
+    await this.run('import', [...args, `png:${outPath}`]);
+    this.space = space;
+    return outPath;
+  }
+
+  /**
+   * Monitors from xrandr (one for the whole screen without RandR)
+   * @param {object} options - { refresh }
+   * @returns {Promise<array>} See displays.js
+   */
+  async displays(options = {}) {
+    if (this.displayList && !options.refresh && Date.now() - this.displaysAt < DISPLAYS_TTL) {
+      return this.displayList;
+    }
+
+    let monitors = [];
+    try {
+      monitors = parseMonitors(await this.run('xrandr', ['--listmonitors']));
+    } catch (err) {
+      // Fall back to the screen size below
+    }
+    if (monitors.length === 0) {
+      const [width, height] = (await this.xdotool(['getdisplaygeometry'])).trim().split(/\s+/).map(Number);
+      monitors = [{ id: '0', name: 'screen', primary: true, rect: { x: 0, y: 0, width, height } }];
+    }
+
+    this.displayList = monitors.map(m => display({ id: m.id, name: m.name, primary: m.primary, bounds: m.rect }));
+    this.displaysAt = Date.now();
+    return this.displayList;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // MOUSE
+  // ═══════════════════════════════════════════════════════════
+
+  // Coordinates are screenshot pixels of the last capture (see displays.js)
+
+  async move(x, y) {
+    const p = cursorPoint(this.space, int(x), int(y));
+    await this.xdotool(['mousemove', '--sync', p.x, p.y]);
+  }
+
+  async click(x, y) {
+    const p = cursorPoint(this.space, int(x), int(y));
+    await this.xdotool(['mousemove', '--sync', p.x, p.y, 'click', '1']);
+  }
+
+  async cursor() {
+    const out = await this.xdotool(['getmouselocation', '--shell']);
+    const x = Number(/X=(-?\d+)/.exec(out)?.[1]);
+    const y = Number(/Y=(-?\d+)/.exec(out)?.[1]);
+    return pixelPoint(this.space, x, y);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // KEYBOARD
+  // ═══════════════════════════════════════════════════════════
+
+  async key(combo) {
+    await this.xdotool(['key', '--clearmodifiers', toKeysym(normalizeKey(combo))]);
+  }
+
+  async type(text) {
+    await this.xdotool(['type', '--clearmodifiers', '--delay', '12', '--', text]);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // WINDOWS
+  // ═══════════════════════════════════════════════════════════
+
+  async windowTitle() {
+    const out = await this.xdotool(['getactivewindow', 'getwindowname']);
+    return out.trim();
+  }
+
+  /**
+   * Managed top-level windows (wmctrl); ones that aren't mapped - minimized
+   * or on another desktop - come back as minimized
+   * @returns {Promise<array>} [{ id, title, app, pid, focused, minimized, rect }]
+   */
+  async windows() {
+    const [list, active, visible] = await Promise.all([
+      this.run('wmctrl', ['-l', '-p', '-G', '-x']),
+      this.xdotool(['getactivewindow']).catch(() => ''),
+      // Exits 1 when nothing matches
+      this.xdotool(['search', '--onlyvisible', '--name', '.*']).catch(() => ''),
+    ]);
+    const mapped = new Set(visible.split('\n').filter(Boolean).map(Number));
+    return parseWindows(list).map(w => ({
+      ...w,
+      focused: w.id === active.trim(),
+      minimized: !mapped.has(Number(w.id)),
+    }));
+  }
+
+  /**
+   * Bring the window matching a target to the front (window-target.js)
+   * @returns {Promise<object>} The window
+   */
+  focusWindow(target = this.window) {
+    return focusWindow(this, target);
+  }
+
+  async activateWindow(id) {
+    await this.xdotool(['windowactivate', '--sync', id]);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ACCESSIBILITY
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Interactive elements of one window from AT-SPI
+   * @param {object} options - { window: { title } of a windows() entry, default the active one }
+   * @returns {Promise<array>} [{ name, role, enabled, rect }] - rect in screen pixels
+   */
+  async elements(options = {}) {
+    const target = options.window ? { title: options.window.title } : {};
+    try {
+      return JSON.parse(await this.run('python3', ['-c', ATSPI_SCRIPT, JSON.stringify(target)]));
+    } catch (err) {
+      if (/No module named 'gi'|Namespace Atspi/.test(err.message)) {
+        throw new Error(`AT-SPI not available - apt install ${PACKAGES.python3}`);
+      }
+      throw err;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // INPUT EVENTS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Watch global mouse/keyboard input (xinput test-xi2 raw events)
+   * Needs xinput and xmodmap (apt install xinput x11-xserver-utils)
+   * @param {function} onEvent - { type: 'click', x, y, button } or keyEvent()
+   * @param {function} onError - Called if the watcher dies
+   * @returns {{stop: function}}
+   */
+  watchInput(onEvent, onError = () => {}) {
+    let child = null;
+    let stopped = false;
+    const held = new Map();  // keysym -> modifier
+    
+    this.run('xmodmap', ['-pke']).then((table) => {
+      if (stopped) return;
+      const keysyms = {};
+      for (const line of table.split('\n')) {
+        const m = /^keycode\s+(\d+)\s*=\s*(\S+)/.exec(line);
+        if (m) keysyms[m[1]] = m[2];
+      }
+      
+      // stdbuf: xinput block-buffers when stdout is a pipe
+      child = spawn('stdbuf', ['-oL', 'xinput', 'test-xi2', '--root'], {
+        env: { ...process.env, DISPLAY: this.display },
+      });
+      let event = null;
+      let buffer = '';
+      child.stdout.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const type = /^EVENT type \d+ \((\w+)\)/.exec(line);
+          if (type) {
+            event = type[1];
+            continue;
+          }
+          const detail = /^\s+detail: (\d+)/.exec(line);
+          if (!detail) continue;
+          
+          if (event === 'RawButtonPress' && (detail[1] === '1' || detail[1] === '3')) {
+            const button = detail[1] === '1' ? 'left' : 'right';
+            this.cursor().then(({ x, y }) => onEvent({ type: 'click', x, y, button }), onError);
+          } else if (event === 'RawKeyPress' || event === 'RawKeyRelease') {
+            const keysym = keysyms[detail[1]];
+            if (KEYSYM_MODIFIERS[keysym]) {
+              if (event === 'RawKeyPress') held.set(keysym, KEYSYM_MODIFIERS[keysym]);
+              else held.delete(keysym);
+            } else if (event === 'RawKeyPress' && keysym) {
+              const key = KEYSYM_NAMES[keysym] || (/^F\d{1,2}$/.test(keysym) ? keysym.toLowerCase() : keysym);
+              if (key.length === 1 || /^[a-z]+\d*$/.test(key)) {
+                onEvent(keyEvent(key.length === 1 ? key.toLowerCase() : key, [...held.values()]));
+              }
+            }
+          }
+        }
+      });
+      child.on('error', (err) => onError(err.code === 'ENOENT' ? new Error('xinput not found - apt install xinput') : err));
+      // No XInput2 on the server, display gone...
+      child.on('exit', (code) => {
+        if (!stopped) onError(new Error(`xinput exited (code ${code})`));
+      });
+    }, onError);
+    
+    return {
+      stop: () => {
+        stopped = true;
+        child?.kill();
+      },
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // PROCESS
+  // ═══════════════════════════════════════════════════════════
+
+  xdotool(args) {
+    return this.run('xdotool', args.map(String));
+  }
+
+  run(cmd, args) {
+    return new Promise((resolve, reject) => {
+      execFile(cmd, args, {
+        env: { ...process.env, DISPLAY: this.display },
+        timeout: this.options.timeout || 10000,
+      }, (err, stdout, stderr) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            reject(new Error(`${cmd} not found - apt install ${PACKAGES[cmd] || cmd}`));
+          } else {
+            reject(new Error(`${cmd} failed: ${(stderr || err.message).trim()}`));
+          }
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// HELPERS
+// ══════════════════════════════════════════════════════════════
+
+function int(n) {
+  const v = Math.round(Number(n));
+  if (!Number.isFinite(v)) throw new Error(`Invalid coordinate: ${n}`);
+  return v;
+}
+
+// " 0: +*DP-1 2560/597x1440/336+0+0  DP-1" -> [{ id, name, primary, rect }]
+function parseMonitors(out) {
+  const monitors = [];
+  for (const line of out.split('\n')) {
+    const m = /^\s*(\d+):\s+\+?(\*?)(\S+)\s+(\d+)\/\d+x(\d+)\/\d+\+(-?\d+)\+(-?\d+)/.exec(line);
+    if (!m) continue;
+    monitors.push({
+      id: m[1],
+      name: m[3],
+      primary: m[2] === '*',
+      rect: { x: +m[6], y: +m[7], width: +m[4], height: +m[5] },
+    });
+  }
+  return monitors;
+}
+
+// "0x03a00007  0 4242  0 24 1920 1056  code.Code  host  Title" -> windows
+// (ids in decimal, like xdotool prints them)
+function parseWindows(out) {
+  const windows = [];
+  for (const line of out.split('\n')) {
+    const m = /^(0x[0-9a-f]+)\s+-?\d+\s+(\d+)\s+(-?\d+)\s+(-?\d+)\s+(\d+)\s+(\d+)\s+(\S+)\s+\S+\s*(.*)$/i.exec(line);
+    if (!m) continue;
+    windows.push({
+      id: String(parseInt(m[1], 16)),
+      title: m[8],
+      app: m[7].split('.').pop(),
+      pid: Number(m[2]),
+      rect: { x: +m[3], y: +m[4], width: +m[5], height: +m[6] },
+    });
+  }
+  return windows;
+}
+
+function toKeysym(combo) {
+  const { modifiers, key } = splitCombo(combo);
+
+  let main;
+  if (XDOTOOL_NAMES[key]) main = XDOTOOL_NAMES[key];
+  else if (/^f\d{1,2}$/.test(key)) main = key.toUpperCase();
+  else main = key;
+
+  return [...modifiers.map(m => XDOTOOL_MODIFIERS[m]), main].join('+');
+}
+
+module.exports = X11Driver;
@@ -0,0 +1,176 @@
+/**
+ * D0T Virtual Display - Headless X server (Xvfb)
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Lets the gateway/autonomous stack own a private X display, launch the
+ * apps it drives inside it, and keep every screenshot and click on that
+ * display instead of a real desktop. Used for containers and CI.
+ *
+ * Requirements:
+ *   apt install xvfb xdotool imagemagick
+ *
+ * Flags (shared by gateway.js and autonomous.js):
+ *   --headless                 Start and own an Xvfb display
+ *   --display=:99              Display number (default: first free from :99)
+ *   --resolution=1920x1080x24  Screen size and depth
+ *   --launch="code --wait"     App to start inside the display (repeatable)
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+const DEFAULT_RESOLUTION = '1920x1080x24';
+const X11_SOCKET_DIR = '/tmp/.X11-unix';
+
+class VirtualDisplay {
+  constructor(options = {}) {
+    this.display = options.display || null;
+    this.resolution = options.resolution || DEFAULT_RESOLUTION;
+    this.startTimeout = options.startTimeout || 10000;
+    this.process = null;
+    this.apps = [];
+  }
+
+  get env() {
+    return { ...process.env, DISPLAY: this.display };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // LIFECYCLE
+  // ═══════════════════════════════════════════════════════════
+
+  async start() {
+    if (this.process) return this;
+
+    if (!/^\d+x\d+(x\d+)?$/.test(this.resolution)) {
+      throw new Error(`Invalid resolution "${this.resolution}" (expected WIDTHxHEIGHT[xDEPTH])`);
+    }
+    const screen = this.resolution.split('x').length === 2 ? `${this.resolution}x24` : this.resolution;
+
+    this.display = this.display || findFreeDisplay();
+
+    this.process = spawn('Xvfb', [this.display, '-screen', '0', screen, '-nolisten', 'tcp'], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+
+    let stderr = '';
+    this.process.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    await new Promise((resolve, reject) => {
+      const started = Date.now();
+      const onExit = (code) => {
+        clearInterval(timer);
+        this.process = null;
+        reject(new Error(`Xvfb exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+      };
+      const onError = (err) => {
+        clearInterval(timer);
+        this.process = null;
+        reject(err.code === 'ENOENT' ? new Error('Xvfb not found - install xvfb') : err);
+      };
+
+      this.process.once('exit', onExit);
+      this.process.once('error', onError);
+
+      const timer = setInterval(() => {
+        if (fs.existsSync(socketPath(this.display))) {
+          clearInterval(timer);
+          this.process.off('exit', onExit);
+          this.process.off('error', onError);
+          resolve();
+        } else if (Date.now() - started > this.startTimeout) {
+          clearInterval(timer);
+          this.stop();
+          reject(new Error(`Xvfb did not start on ${this.display} within ${this.startTimeout}ms`));
+        }
+      }, 100);
+    });
+
+    return this;
+  }
+
+  async stop() {
+    for (const app of this.apps) {
+      if (app.exitCode === null) app.kill('SIGTERM');
+    }
+    this.apps = [];
+
+    if (this.process) {
+      const proc = this.process;
+      this.process = null;
+      await new Promise((resolve) => {
+        const timer = setTimeout(() => { proc.kill('SIGKILL'); resolve(); }, 3000);
+        proc.once('exit', () => { clearTimeout(timer); resolve(); });
+        proc.kill('SIGTERM');
+      });
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // APPS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Start an app inside the virtual display
+   * @param {string} command - Shell command line, e.g. "code --disable-gpu ."
+   * @returns {ChildProcess}
+   */
+  launch(command) {
+    if (!this.process) {
+      throw new Error('Virtual display is not running');
+    }
+    const app = spawn(command, {
+      shell: true,
+      env: this.env,
+      stdio: 'ignore',
+      detached: false,
+    });
+    app.command = command;
+    this.apps.push(app);
+    return app;
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// HELPERS
+// ══════════════════════════════════════════════════════════════
+
+function socketPath(display) {
+  return `${X11_SOCKET_DIR}/X${display.replace(/^:/, '').split('.')[0]}`;
+}
+
+function findFreeDisplay(from = 99) {
+  for (let n = from; n < from + 100; n++) {
+    if (!fs.existsSync(`${X11_SOCKET_DIR}/X${n}`) && !fs.existsSync(`/tmp/.X${n}-lock`)) {
+      return `:${n}`;
+    }
+  }
+  throw new Error(`No free X display found from :${from}`);
+}
+
+/**
+ * Read headless options from argv/env
+ * @param {string[]} argv - Defaults to process.argv
+ * @returns {{enabled: boolean, display: string, resolution: string, apps: string[]}}
+ */
+function headlessOptions(argv = process.argv) {
+  const value = (name) => {
+    const arg = argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3).replace(/^"(.*)"$/, '$1') : undefined;
+  };
+
+  return {
+    enabled: argv.includes('--headless') || process.env.D0T_HEADLESS === '1',
+    display: value('display') || process.env.D0T_DISPLAY,
+    resolution: value('resolution') || process.env.D0T_RESOLUTION || DEFAULT_RESOLUTION,
+    apps: argv
+      .filter(a => a.startsWith('--launch='))
+      .map(a => a.slice('--launch='.length).replace(/^"(.*)"$/, '$1')),
+  };
+}
+
+module.exports = {
+  VirtualDisplay,
+  headlessOptions,
+  DEFAULT_RESOLUTION,
+};
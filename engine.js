@@ -0,0 +1,504 @@
+/**
+ * D0T DECISION ENGINE
+ * ══════════════════════════════════════════════════════════════
+ *
+ * One auto-click brain for ghost, autonomous, smart-auto, the timeout
+ * sensor and the Electron ghost. Each of those is now a preset over this
+ * engine, so a fix lands once and strategies can be mixed in config.
+ *
+ * STRATEGIES (all optional, set in config):
+ *   patterns            Buttons to look for (also the default priority);
+ *                       'image:<target>' = icon found by template matching
+ *                       (vision-core findTemplates, passed in context.images)
+ *   images              Template targets appended to patterns as 'image:<target>'
+ *   priority            Click order when several buttons are visible
+ *   match               Matcher options { exact, fuzzy, threshold, minConfidence }
+ *   regions             Tiers of screen areas; first tier with a hit wins
+ *   minClickable        Drop text matches that don't sit on a button-like box
+ *                       (button-shape.js score, needs context.shapes);
+ *                       image targets are exempt
+ *   confirmScans        See the same button N scans in a row before clicking
+ *   buttonCooldown      ms before the same button text may be clicked again
+ *   cooldownAfterClick  ms before any click after a click
+ *   maxActionsPerMinute Rate limit over a sliding minute
+ *   loopThreshold       Skip a spot clicked this many times within loopWindow
+ *   stuckSwitch         After N clicks on the same button, prefer another one
+ *   idleScans           Only act after N scans with no screen change
+ *   policy              Safety rules checked before every click (policy.js);
+ *                       true = shared policy, false = off, or a Policy/config
+ *   supervised          Ask a human (action 'ask') before every click
+ *   askBelowScore       Ask a human when the match score is below this
+ *
+ * Usage:
+ *   const engine = createEngine('ghost', { confirmScans: 3 });
+ *   const images = await findTemplates(screenshot, engine.imageTargets());
+ *   const shapes = await new ButtonShapes().load(screenshot);
+ *   const decision = engine.decide(words, { screenChanged, images, shapes });
+ *   if (decision.action === 'click') { ...click...; engine.recordClick(decision.target); }
+ *   decision.denied lists buttons the policy refused (report these)
+ *   action 'ask' means: get human approval, then click and recordClick()
+ *   words from region-only OCR: read engine.policy.contextRegion(target)
+ *   too and engine.verify(target, contextWords) before clicking
+ */
+
+const { matchText } = require('./matcher');
+const { Policy, getPolicy } = require('./policy');
+
+// Patterns naming an image target instead of text ('image:approve-check')
+const IMAGE_PREFIX = 'image:';
+
+// ══════════════════════════════════════════════════════════════
+// PRESETS - the former per-file defaults
+// ══════════════════════════════════════════════════════════════
+
+const DEFAULTS = {
+  patterns: ['Continue', 'Allow', 'Keep', 'Yes', 'OK', 'Run', 'Proceed'],
+  priority: null,
+  images: [],
+  match: {},
+  regions: [],
+  minClickable: 0,
+  confirmScans: 1,
+  confirmTolerance: 50,
+  buttonCooldown: 0,
+  cooldownAfterClick: 0,
+  maxActionsPerMinute: Infinity,
+  loopThreshold: 0,
+  loopWindow: 30000,
+  loopRadius: 50,
+  stuckSwitch: 0,
+  idleScans: 0,
+  policy: true,
+  denyReportInterval: 60000,
+  supervised: false,
+  askBelowScore: 0,
+};
+
+const PRESETS = {
+  // ghost.js - confirm twice, only words on buttons, stuck detection
+  ghost: {
+    patterns: ['Continue', 'Keep', 'Allow', 'Proceed', 'Yes', 'Run', 'OK'],
+    priority: ['Allow', 'Yes', 'OK', 'Keep', 'Proceed', 'Run', 'Continue'],
+    match: { exact: true, fuzzy: true, threshold: 0.85, minConfidence: 50 },
+    // Label-sized box around the word - "Continue" in chat history isn't one
+    minClickable: 0.75,
+    confirmScans: 2,
+    maxActionsPerMinute: 10,
+    stuckSwitch: 2,
+  },
+
+  // autonomous.js - confirm twice, rate limit, short global cooldown
+  autonomous: {
+    // Phrases are matched across words, so list them before their first word
+    patterns: [
+      'Continue', 'Keep',
+      'Allow and Review',  // VS Code specific
+      'Allow', 'Proceed', 'Yes', 'Run', 'OK',
+      'Accept', 'Confirm', 'Submit', 'Next', 'Approve',
+    ],
+    confirmScans: 2,
+    maxActionsPerMinute: 20,
+    cooldownAfterClick: 1000,
+  },
+
+  // smart-auto.js - per-button cooldown and loop avoidance
+  smart: {
+    patterns: ['Allow', 'Continue', 'Keep', 'Yes', 'OK', 'Run', 'Proceed', 'Accept'],
+    buttonCooldown: 10000,
+    loopThreshold: 3,
+    cooldownAfterClick: 1000,
+  },
+
+  // timeout-sensor.js - only act once the screen has gone still
+  timeout: {
+    patterns: ['Continue', 'Keep', 'Allow', 'Yes', 'OK', 'Proceed', 'Run', 'Review', 'Accept', 'Confirm', 'Pause'],
+    match: { exact: true, fuzzy: true, threshold: 0.85, minConfidence: 70 },
+    idleScans: 2,
+    cooldownAfterClick: 3000,
+  },
+
+  // main.js Electron ghost - vision-core words (confidence is 0-1 there)
+  electron: {
+    patterns: ['Continue', 'Allow', 'Keep', 'Run', 'Yes', 'OK', 'Proceed'],
+    match: { fuzzy: true, minConfidence: 0.3 },
+  },
+};
+
+// ══════════════════════════════════════════════════════════════
+// ENGINE
+// ══════════════════════════════════════════════════════════════
+
+class DecisionEngine {
+  constructor(config = {}) {
+    this.config = { ...DEFAULTS, ...config, match: { ...DEFAULTS.match, ...config.match } };
+    const images = this.config.images.map(t => IMAGE_PREFIX + t).filter(p => !this.config.patterns.includes(p));
+    this.config.patterns = [...this.config.patterns, ...images];
+    this.policy = resolvePolicy(this.config.policy);
+    this.reset();
+  }
+
+  reset() {
+    this.pending = null;        // { key, count } - button waiting for confirmation
+    this.clicks = [];           // [{ pattern, x, y, time }] - recent clicks
+    this.lastClickTime = {};    // pattern -> timestamp
+    this.lastClicked = null;    // pattern of the last click
+    this.sameButtonCount = 0;
+    this.unchangedScans = 0;
+    this.reportedDenials = new Map();  // button key -> last reported timestamp
+    this.stats = { decisions: 0, clicks: 0, loopsAvoided: 0, denied: 0 };
+  }
+
+  get actionsThisMinute() {
+    const since = Date.now() - 60000;
+    return this.clicks.filter(c => c.time > since).length;
+  }
+
+  /**
+   * Cheap gate that needs no OCR: idle gating, rate limit, global cooldown.
+   * Call before OCR to skip scans that could never click.
+   * @param {object} context - { screenChanged, now }
+   * @returns {{ready: boolean, reason?: string}}
+   */
+  ready(context = {}) {
+    const { idleScans, maxActionsPerMinute, cooldownAfterClick } = this.config;
+    const now = context.now || Date.now();
+
+    if (idleScans > 0 && context.screenChanged !== undefined) {
+      if (context.screenChanged) {
+        this.unchangedScans = 0;
+        return { ready: false, reason: 'Screen active' };
+      }
+      this.unchangedScans++;
+      if (this.unchangedScans < idleScans) {
+        return { ready: false, reason: `Screen unchanged (${this.unchangedScans}/${idleScans})` };
+      }
+    }
+
+    if (this.actionsThisMinute >= maxActionsPerMinute) {
+      return { ready: false, reason: 'Rate limited' };
+    }
+
+    const lastClick = this.clicks[this.clicks.length - 1];
+    if (lastClick && now - lastClick.time < cooldownAfterClick) {
+      return { ready: false, reason: 'Cooling down' };
+    }
+
+    return { ready: true };
+  }
+
+  /**
+   * Template targets the patterns ask for - run findTemplates() for these
+   * @returns {string[]} Target names (without the 'image:' prefix)
+   */
+  imageTargets() {
+    return this.config.patterns
+      .filter(p => p.startsWith(IMAGE_PREFIX))
+      .map(p => p.slice(IMAGE_PREFIX.length));
+  }
+
+  /**
+   * Find every configured button in the words (before any filtering)
+   * @param {array} words - OCR words
+   * @param {array} images - findTemplates() matches for the image patterns
+   * @returns {array} Candidates with pattern, text, x, y, bbox, confidence, score
+   */
+  candidates(words, images = []) {
+    const found = [];
+    for (const pattern of this.config.patterns) {
+      if (pattern.startsWith(IMAGE_PREFIX)) {
+        const target = pattern.slice(IMAGE_PREFIX.length);
+        for (const m of images.filter(i => i.pattern === target)) {
+          found.push({
+            pattern,
+            text: pattern,
+            x: m.x,
+            y: m.y,
+            bbox: m.bbox,
+            confidence: m.confidence,
+            score: m.score,
+            monitor: m.monitor,
+          });
+        }
+        continue;
+      }
+      for (const m of matchText(words, pattern, this.config.match)) {
+        found.push({
+          pattern,
+          text: m.text,
+          x: m.x,
+          y: m.y,
+          bbox: m.bbox,
+          confidence: m.confidence,
+          score: m.score,
+          monitor: m.monitor,
+        });
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Pick a button from OCR words, applying regions, cooldowns, loop and
+   * stuck detection, safety policy, priority and confirmation.
+   * @param {array} words - OCR words
+   * @param {object} context - { now, window, images, shapes } (window = active
+   *   window title, images = findTemplates() matches for 'image:' patterns,
+   *   shapes = ButtonShapes loaded with the same screenshot)
+   * @returns {object} { action: 'click'|'ask', target, reason } or { action: 'wait', reason },
+   *   plus denied: [{ target, verdict }] for newly refused buttons
+   */
+  choose(words, context = {}) {
+    const now = context.now || Date.now();
+    const all = this.candidates(words, context.images);
+
+    if (all.length === 0) {
+      this.pending = null;
+      return { action: 'wait', reason: 'No buttons found', candidates: all };
+    }
+
+    // Button shape: plain text (chat history, docs) is not a control
+    if (context.shapes) {
+      for (const b of all) {
+        if (!b.pattern.startsWith(IMAGE_PREFIX)) b.clickable = context.shapes.score(b.bbox).score;
+      }
+    }
+    let buttons = this.filterClickable(all);
+    if (buttons.length === 0) {
+      this.pending = null;
+      return { action: 'wait', reason: 'No matches on a button', candidates: all };
+    }
+
+    buttons = this.filterRegions(buttons);
+    if (buttons.length === 0) {
+      this.pending = null;
+      return { action: 'wait', reason: 'No buttons in configured regions', candidates: all };
+    }
+
+    buttons = buttons.filter(b => !this.onCooldown(b.pattern, now));
+    if (buttons.length === 0) {
+      return { action: 'wait', reason: 'Buttons on cooldown', candidates: all };
+    }
+
+    const beforeLoops = buttons.length;
+    buttons = buttons.filter(b => !this.isLoop(b, now));
+    this.stats.loopsAvoided += beforeLoops - buttons.length;
+    if (buttons.length === 0) {
+      return { action: 'wait', reason: 'Loop detected', candidates: all };
+    }
+
+    // Safety policy: never click what the text around the button forbids
+    const denied = [];
+    const verdicts = new Map();
+    if (this.policy) {
+      buttons = buttons.filter(b => {
+        const verdict = this.policy.check(words, b, { window: context.window });
+        verdicts.set(b, verdict);
+        if (verdict.allowed) return true;
+        if (this.shouldReportDenial(b, now)) denied.push({ target: b, verdict });
+        return false;
+      });
+      this.stats.denied += denied.length;
+      if (buttons.length === 0) {
+        this.pending = null;
+        return { action: 'wait', reason: 'Denied by policy', candidates: all, denied };
+      }
+    }
+
+    this.sortByPriority(buttons);
+
+    // Stuck detection: same button clicked repeatedly, try a different one
+    let best = buttons[0];
+    let reason = `"${best.text}"`;
+    const { stuckSwitch } = this.config;
+    if (stuckSwitch > 0 && this.sameButtonCount >= stuckSwitch) {
+      const other = buttons.find(b => b.pattern !== this.lastClicked);
+      if (other) {
+        best = other;
+        reason = `Switching from "${this.lastClicked}" to "${other.text}" (stuck detection)`;
+      }
+    }
+
+    // Confirmation: the same button in the same spot for N scans
+    const { confirmScans, confirmTolerance } = this.config;
+    if (confirmScans > 1) {
+      const key = `${best.pattern}@${Math.round(best.x / confirmTolerance)}x${Math.round(best.y / confirmTolerance)}`;
+      if (this.pending?.key === key) {
+        this.pending.count++;
+      } else {
+        this.pending = { key, count: 1 };
+      }
+      if (this.pending.count < confirmScans) {
+        return {
+          action: 'wait',
+          reason: `Saw "${best.text}" - confirming (${this.pending.count}/${confirmScans})`,
+          target: best,
+          candidates: all,
+          denied,
+        };
+      }
+      this.pending = null;
+      reason = `Confirmed ${reason}`;
+    }
+
+    this.stats.decisions++;
+
+    // Human in the loop: policy 'ask' rules, uncertain matches, supervised mode
+    const verdict = verdicts.get(best);
+    if (verdict?.ask || this.config.supervised || best.score < this.config.askBelowScore) {
+      const why = verdict?.ask ? verdict.reason
+        : this.config.supervised ? 'Supervised mode'
+        : `Uncertain match (score ${best.score.toFixed(2)})`;
+      return { action: 'ask', target: best, reason: `${why}: ${reason}`, verdict, candidates: all, denied };
+    }
+
+    return { action: 'click', target: best, reason, candidates: all, denied };
+  }
+
+  /**
+   * Run the safety policy again on a chosen button, with words read around
+   * it (policy.contextRegion()) - for choose() calls on region-only OCR,
+   * which misses a prompt outside the regions
+   * @param {object} target - choose() target
+   * @param {array} words - OCR words covering the context region
+   * @param {object} context - { now, window }
+   * @returns {object} Policy verdict (allowed, ask, reason...) plus denied:
+   *   [{ target, verdict }] when newly refused
+   */
+  verify(target, words, context = {}) {
+    if (!this.policy) return { allowed: true, ask: false, reason: 'No policy', denied: [] };
+    const verdict = this.policy.check(words, target, { window: context.window });
+    if (verdict.allowed) return { ...verdict, denied: [] };
+
+    this.stats.denied++;
+    this.pending = null;
+    const report = this.shouldReportDenial(target, context.now || Date.now());
+    return { ...verdict, denied: report ? [{ target, verdict }] : [] };
+  }
+
+  /**
+   * ready() + choose() in one call
+   */
+  decide(words, context = {}) {
+    const gate = this.ready(context);
+    if (!gate.ready) return { action: 'wait', reason: gate.reason, candidates: [] };
+    return this.choose(words, context);
+  }
+
+  /**
+   * Tell the engine a click happened (drives cooldowns, rate limit, loops)
+   */
+  recordClick(target, now = Date.now()) {
+    this.clicks.push({ pattern: target.pattern, x: target.x, y: target.y, time: now });
+    const keepFrom = now - Math.max(60000, this.config.loopWindow);
+    this.clicks = this.clicks.filter(c => c.time > keepFrom);
+
+    this.lastClickTime[target.pattern] = now;
+    if (target.pattern === this.lastClicked) {
+      this.sameButtonCount++;
+    } else {
+      this.lastClicked = target.pattern;
+      this.sameButtonCount = 1;
+    }
+
+    this.unchangedScans = 0;
+    this.pending = null;
+    this.stats.clicks++;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // STRATEGY HELPERS
+  // ═══════════════════════════════════════════════════════════
+
+  filterClickable(buttons) {
+    const { minClickable } = this.config;
+    if (!minClickable) return buttons;
+    // Unscored (no context.shapes, image targets) pass
+    return buttons.filter(b => b.clickable === undefined || b.clickable >= minClickable);
+  }
+
+  filterRegions(buttons) {
+    const { regions } = this.config;
+    if (!regions || regions.length === 0) return buttons;
+
+    // A flat list of regions is a single tier
+    const tiers = Array.isArray(regions[0]) ? regions : [regions];
+    for (const tier of tiers) {
+      const inTier = buttons.filter(b => tier.some(r => inRegion(b, r)));
+      if (inTier.length > 0) return inTier;
+    }
+    return [];
+  }
+
+  onCooldown(pattern, now) {
+    const last = this.lastClickTime[pattern];
+    return Boolean(last && this.config.buttonCooldown && now - last < this.config.buttonCooldown);
+  }
+
+  isLoop(button, now) {
+    const { loopThreshold, loopWindow, loopRadius } = this.config;
+    if (!loopThreshold) return false;
+    const recent = this.clicks.filter(c =>
+      Math.abs(c.x - button.x) < loopRadius &&
+      Math.abs(c.y - button.y) < loopRadius &&
+      now - c.time < loopWindow
+    );
+    return recent.length >= loopThreshold;
+  }
+
+  shouldReportDenial(button, now) {
+    const key = `${button.pattern}@${Math.round(button.x / this.config.confirmTolerance)}x${Math.round(button.y / this.config.confirmTolerance)}`;
+    const last = this.reportedDenials.get(key);
+    if (last && now - last < this.config.denyReportInterval) return false;
+    this.reportedDenials.set(key, now);
+    return true;
+  }
+
+  sortByPriority(buttons) {
+    const order = this.config.priority || this.config.patterns;
+    const rank = (b) => {
+      const i = order.indexOf(b.pattern);
+      return i === -1 ? order.length : i;
+    };
+    buttons.sort((a, b) => rank(a) - rank(b) || b.confidence - a.confidence);
+  }
+}
+
+function inRegion(button, region) {
+  if (region.patterns && !region.patterns.includes(button.pattern)) return false;
+  if (region.minConfidence != null && button.confidence < region.minConfidence) return false;
+  return button.x >= (region.x0 ?? -Infinity) &&
+    button.x <= (region.x1 ?? Infinity) &&
+    button.y >= (region.y0 ?? -Infinity) &&
+    button.y <= (region.y1 ?? Infinity);
+}
+
+function resolvePolicy(policy) {
+  if (!policy) return null;
+  if (policy === true) return getPolicy();
+  if (policy instanceof Policy) return policy;
+  return new Policy(policy);
+}
+
+/**
+ * Build an engine from a preset, with overrides mixed in
+ * @param {string|object} preset - Preset name or a full config object
+ * @param {object} overrides - Config keys to replace
+ */
+function createEngine(preset, overrides = {}) {
+  const base = typeof preset === 'string' ? PRESETS[preset] : preset;
+  if (!base) {
+    throw new Error(`Unknown engine preset "${preset}" (available: ${Object.keys(PRESETS).join(', ')})`);
+  }
+  return new DecisionEngine({
+    ...base,
+    ...overrides,
+    match: { ...base.match, ...overrides.match },
+  });
+}
+
+module.exports = {
+  DecisionEngine,
+  createEngine,
+  PRESETS,
+  IMAGE_PREFIX,
+};
@@ -0,0 +1,157 @@
+/**
+ * D0T Gateway Client - Fire-and-forget events to gateway.js
+ * ══════════════════════════════════════════════════════════════
+ *
+ * For the watchers (ghost, timeout sensor, smart-auto, Electron ghost)
+ * that only need to tell the Gateway what they did or refused to do.
+ * Reconnects in the background; events sent while disconnected are dropped.
+ * The Gateway token comes from options.token or D0T_TOKEN (act scope).
+ *
+ * Usage:
+ *   const gateway = connectGateway('ghost');
+ *   gateway.notify({ type: 'denied', pattern: 'Allow', x, y, rule, context });
+ *
+ * CLI (approval queue):
+ *   node gateway-client.js approvals       - List pending approvals
+ *   node gateway-client.js approve <id>    - Approve a proposed click
+ *   node gateway-client.js reject <id>     - Reject it
+ */
+
+const WebSocket = require('ws');
+
+const DEFAULT_GATEWAY_URL = process.env.D0T_GATEWAY || 'ws://localhost:8089';
+
+function authHeaders(token) {
+  return token ? { headers: { Authorization: `Bearer ${token}` } } : {};
+}
+
+/**
+ * Connect to the Gateway as a named client
+ * @param {string} name - Client name shown in the Gateway log
+ * @param {object} options - { url, token, version, reconnectDelay }
+ * @returns {{notify: function, close: function}}
+ */
+function connectGateway(name, options = {}) {
+  const url = options.url || DEFAULT_GATEWAY_URL;
+  const token = options.token || process.env.D0T_TOKEN;
+  const reconnectDelay = options.reconnectDelay || 5000;
+  let socket = null;
+  let closed = false;
+
+  function open() {
+    if (closed) return;
+    try {
+      socket = new WebSocket(url, authHeaders(token));
+    } catch (e) {
+      // Bad URL - stay disconnected
+      return;
+    }
+
+    socket.on('open', () => {
+      socket.send(JSON.stringify({
+        type: 'register',
+        payload: { name, version: options.version || '1.0', token },
+      }));
+    });
+
+    socket.on('close', () => {
+      if (!closed) setTimeout(open, reconnectDelay).unref();
+    });
+
+    socket.on('error', () => {
+      // Gateway might not be running, that's OK
+    });
+  }
+
+  open();
+
+  return {
+    notify(event) {
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'autonomous-event', payload: { source: name, ...event } }));
+      }
+    },
+    close() {
+      closed = true;
+      socket?.close();
+    },
+  };
+}
+
+/**
+ * Gateway event for a button the safety policy refused
+ * @param {object} denial - { target, verdict } from a decision engine
+ */
+function deniedEvent({ target, verdict }) {
+  return {
+    type: 'denied',
+    pattern: target.pattern,
+    x: target.x,
+    y: target.y,
+    rule: verdict.rule,
+    reason: verdict.reason,
+    context: verdict.context.slice(0, 500),
+  };
+}
+
+// ══════════════════════════════════════════════════════════════
+// CLI
+// ══════════════════════════════════════════════════════════════
+
+async function main() {
+  const [command, id] = process.argv.slice(2);
+  const socket = new WebSocket(DEFAULT_GATEWAY_URL, authHeaders(process.env.D0T_TOKEN));
+
+  socket.on('error', (err) => {
+    console.error(`❌ Gateway not reachable at ${DEFAULT_GATEWAY_URL}: ${err.message}`);
+    process.exit(1);
+  });
+
+  socket.on('message', (data) => {
+    const msg = JSON.parse(data);
+
+    if (msg.type === 'auth-required') {
+      console.error('❌ Set D0T_TOKEN to a Gateway token (act scope)');
+      process.exit(1);
+    } else if (msg.type === 'welcome') {
+      if (command === 'approve' || command === 'reject') {
+        if (!id) {
+          console.error(`Usage: node gateway-client.js ${command} <id>`);
+          process.exit(1);
+        }
+        socket.send(JSON.stringify({
+          type: 'approval-response',
+          payload: { id, approved: command === 'approve' },
+        }));
+        return;
+      }
+
+      const approvals = msg.approvals || [];
+      if (approvals.length === 0) {
+        console.log('🙋 No pending approvals');
+      }
+      for (const a of approvals) {
+        const secs = Math.max(0, Math.round((new Date(a.expiresAt) - Date.now()) / 1000));
+        console.log(`🙋 ${a.id}  "${a.pattern}" at (${a.x}, ${a.y}) from ${a.source}`);
+        console.log(`   ${a.reason || 'needs approval'} - ${a.defaultAction} in ${secs}s`);
+        if (a.context) console.log(a.context.split('\n').map(l => `   | ${l}`).join('\n'));
+      }
+      socket.close();
+    } else if (msg.type === 'approval-resolved' && msg.payload.id === id) {
+      console.log(`${msg.payload.approved ? '✅ Approved' : '🚫 Rejected'} ${id}`);
+      socket.close();
+    } else if (msg.type === 'error') {
+      console.error(`❌ ${msg.message}`);
+      process.exit(1);
+    }
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  connectGateway,
+  deniedEvent,
+};
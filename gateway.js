@@ -13,13 +13,46 @@
  * Usage:
  *   node gateway.js          - Start Gateway server
  *   node gateway.js --port 8089
+ *   node gateway.js --headless --resolution=1920x1080x24 --launch="code ."
+ *                            - Own a virtual X display (Xvfb) and drive apps in it
+ *   node gateway.js --no-auth - Trust every client (local development only)
+ *
+ * Auth:
+ *   Tokens live in gateway-auth.json (created with an admin token on first
+ *   start, or --auth=path). Each token has a scope:
+ *     observe - see, state, screenshots, logs
+ *     act     - click, type, tasks, approvals (+ observe)
+ *     admin   - autonomous control, preferences (+ act)
+ *   Clients send the token as ?token=, an "Authorization: Bearer" header,
+ *   or a first message { type: 'auth', payload: { token } }.
+ *
+ * Protocol (protocol.js):
+ *   { type, id?, payload } in, replies echo the id. Payloads are checked
+ *   against per-type schemas; failures come back as
+ *   { type: 'error', id, code, message, details }. Send { type: 'hello',
+ *   payload: { version } } or { type: 'capabilities' } for the versioned
+ *   message list.
+ *
+ * Tasks:
+ *   Queued tasks persist in tasks.json and resume at their last completed
+ *   action after a restart. listTasks / getTask / cancelTask / pauseTask /
+ *   resumeTask / prioritizeTask over WS, or over HTTP:
+ *     GET  /api/tasks[?status=queued]     GET /api/tasks/:id
+ *     POST /api/tasks/:id/cancel|pause|resume|prioritize  ({ "priority": 5 })
+ *   startRecording / stopRecording ({ queue: true }) record a demonstration
+ *   into recordings/<name>.json (see recorder.js).
  */
 
 const WebSocket = require('ws');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const D0TAgent = require('./agent');
+const { useDriver } = require('./drivers');
+const { VirtualDisplay, headlessOptions } = require('./drivers/xvfb');
+const { Recorder } = require('./recorder');
+const { MESSAGES, ERROR_CODES, protocolError, validateMessage, isCompatible, describe, PROTOCOL_VERSION } = require('./protocol');
 
 // ══════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -28,6 +61,11 @@ const D0TAgent = require('./agent');
 const PORT = parseInt(process.argv.find(a => a.startsWith('--port='))?.split('=')[1] || '8089');
 const SESSION_FILE = path.join(__dirname, 'session.json');
 const LOG_FILE = path.join(__dirname, 'gateway-log.json');
+const AUTH_FILE = process.argv.find(a => a.startsWith('--auth='))?.split('=')[1] || path.join(__dirname, 'gateway-auth.json');
+const AUDIT_FILE = path.join(__dirname, 'gateway-audit.json');
+const TASKS_FILE = path.join(__dirname, 'tasks.json');
+const AUTH_ENABLED = !process.argv.includes('--no-auth') && process.env.D0T_AUTH !== 'off';
+const HEADLESS = headlessOptions();
 const { spawn } = require('child_process');
 
 // ══════════════════════════════════════════════════════════════
@@ -38,14 +76,20 @@ const state = {
   agent: null,
   clients: new Set(),
   session: loadSession(),
-  taskQueue: [],
+  tasks: loadTasks(),  // Every task, persisted to tasks.json
   currentTask: null,
+  queueRunning: false,  // processTaskQueue() is running or about to pick the next task
+  abort: null,  // AbortController for the running task
   history: [],
   autonomousProcess: null,
+  approvals: new Map(),  // id -> { request, requester, timer }
+  recorder: null,  // Recorder while a macro is being recorded
+  display: null,  // VirtualDisplay when running --headless
   stats: {
     totalActions: 0,
     totalClicks: 0,
     totalTypes: 0,
+    totalDenied: 0,
     uptime: Date.now(),
   },
 };
@@ -92,7 +136,7 @@ function log(level, message, data = {}) {
   
   const icons = {
     info: 'ℹ️', action: '🖱️', error: '❌', success: '✅',
-    client: '🔗', task: '📋', agent: '🤖',
+    client: '🔗', task: '📋', agent: '🤖', policy: '🛡️', approval: '🙋', auth: '🔒',
   };
   
   console.log(`${icons[level] || '•'} [${entry.time.split('T')[1].slice(0, 8)}] ${message}`);
@@ -101,6 +145,108 @@ function log(level, message, data = {}) {
   broadcast({ type: 'log', entry });
 }
 
+// ══════════════════════════════════════════════════════════════
+// AUTH - tokens, scopes, audit
+// ══════════════════════════════════════════════════════════════
+
+const SCOPES = ['observe', 'act', 'admin'];
+
+const AUTH_TIMEOUT = 10000;
+
+const auth = {
+  tokens: loadAuth(),
+  // Token for the autonomous process we spawn ourselves (never written to disk)
+  internalToken: crypto.randomBytes(24).toString('hex'),
+};
+auth.tokens.push({ name: 'autonomous (spawned)', token: auth.internalToken, scope: 'act' });
+
+function loadAuth() {
+  if (!AUTH_ENABLED) return [];
+  try {
+    if (fs.existsSync(AUTH_FILE)) {
+      const config = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8'));
+      for (const t of config.tokens || []) {
+        if (!t.token || !SCOPES.includes(t.scope)) {
+          throw new Error(`token "${t.name || '?'}" needs a token and a scope (${SCOPES.join('/')})`);
+        }
+      }
+      return config.tokens || [];
+    }
+  } catch (e) {
+    console.error(`Invalid auth file ${AUTH_FILE}: ${e.message}`);
+    process.exit(1);
+  }
+  
+  // First start: create an admin token so the Gateway is never left open
+  const admin = { name: 'admin', token: crypto.randomBytes(24).toString('hex'), scope: 'admin' };
+  fs.writeFileSync(AUTH_FILE, JSON.stringify({ tokens: [admin] }, null, 2), { mode: 0o600 });
+  console.log(`🔒 Created ${AUTH_FILE} with an admin token: ${admin.token}`);
+  return [admin];
+}
+
+/**
+ * Look up a token (constant-time compare)
+ * @returns {object|null} { name, scope }
+ */
+function findToken(token) {
+  if (!token) return null;
+  const given = Buffer.from(String(token));
+  for (const entry of auth.tokens) {
+    const known = Buffer.from(entry.token);
+    if (known.length === given.length && crypto.timingSafeEqual(known, given)) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+function tokenFromRequest(req) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const header = req.headers.authorization || '';
+  return url.searchParams.get('token') || (header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+}
+
+function hasScope(scope, needed) {
+  return SCOPES.indexOf(scope) >= SCOPES.indexOf(needed);
+}
+
+/**
+ * Authenticate a socket with a token; audits failures
+ * @returns {boolean}
+ */
+function authenticate(ws, token) {
+  const entry = findToken(token);
+  if (!entry) {
+    audit({ event: 'invalid-token', client: ws.clientId, remote: ws.remote });
+    return false;
+  }
+  ws.scope = entry.scope;
+  ws.authName = entry.name;
+  clearTimeout(ws.authTimer);
+  log('auth', `${ws.clientId} authenticated as "${entry.name}" (${entry.scope})`);
+  return true;
+}
+
+/**
+ * Record an auth denial (log + audit file)
+ */
+function audit(entry) {
+  const record = { time: new Date().toISOString(), ...entry };
+  log('auth', `Denied: ${entry.event}${entry.type ? ` "${entry.type}"` : ''} from ${entry.name || entry.client || entry.remote}`);
+  
+  try {
+    let records = [];
+    if (fs.existsSync(AUDIT_FILE)) {
+      records = JSON.parse(fs.readFileSync(AUDIT_FILE, 'utf-8'));
+    }
+    records.push(record);
+    if (records.length > 1000) records = records.slice(-1000);
+    fs.writeFileSync(AUDIT_FILE, JSON.stringify(records, null, 2));
+  } catch (e) {
+    console.error('Failed to write audit log:', e.message);
+  }
+}
+
 // ══════════════════════════════════════════════════════════════
 // WEBSOCKET SERVER
 // ══════════════════════════════════════════════════════════════
@@ -108,40 +254,96 @@ function log(level, message, data = {}) {
 const server = http.createServer(handleHTTP);
 const wss = new WebSocket.Server({ server });
 
+function sendWelcome(ws, id) {
+  reply(ws, id, {
+    type: 'welcome',
+    protocol: PROTOCOL_VERSION,
+    scope: ws.scope,
+    session: state.session,
+    stats: state.stats,
+    history: state.history.slice(-50),
+    approvals: pendingApprovals(),
+  });
+}
+
 wss.on('connection', (ws, req) => {
   const clientId = `client-${Date.now()}`;
   ws.clientId = clientId;
+  ws.remote = req.socket.remoteAddress;
+  ws.scope = null;
   state.clients.add(ws);
   
-  log('client', `Connected: ${clientId} from ${req.socket.remoteAddress}`);
+  log('client', `Connected: ${clientId} from ${ws.remote}`);
   
-  // Send current state
-  ws.send(JSON.stringify({
-    type: 'welcome',
-    session: state.session,
-    stats: state.stats,
-    history: state.history.slice(-50),
-  }));
+  // Before auth - rejected sockets must leave state.clients too
+  ws.on('close', () => {
+    clearTimeout(ws.authTimer);
+    state.clients.delete(ws);
+    log('client', `Disconnected: ${clientId}`);
+    
+    // Nobody is waiting on these any more
+    for (const [id, pending] of state.approvals) {
+      if (pending.requester === ws) resolveApproval(id, false, 'requester disconnected');
+    }
+  });
+  
+  const token = tokenFromRequest(req);
+  if (!AUTH_ENABLED) {
+    ws.scope = 'admin';
+    ws.authName = 'local';
+  } else if (token && !authenticate(ws, token)) {
+    ws.close(4001, 'Invalid token');
+    return;
+  }
+  
+  if (ws.scope) {
+    sendWelcome(ws);
+  } else {
+    // Give the client a moment to send { type: 'auth' }
+    ws.send(JSON.stringify({ type: 'auth-required', scopes: SCOPES }));
+    ws.authTimer = setTimeout(() => {
+      if (!ws.scope) {
+        audit({ event: 'auth-timeout', client: clientId, remote: ws.remote });
+        ws.close(4001, 'Authentication required');
+      }
+    }, AUTH_TIMEOUT);
+  }
   
   ws.on('message', async (data) => {
+    let msg;
     try {
-      const msg = JSON.parse(data);
-      await handleMessage(ws, msg);
+      msg = JSON.parse(data);
     } catch (e) {
-      ws.send(JSON.stringify({ type: 'error', message: e.message }));
+      sendError(ws, undefined, protocolError('BAD_JSON'));
+      return;
+    }
+    try {
+      await handleMessage(ws, msg);
+    } catch (err) {
+      sendError(ws, msg?.id, ERROR_CODES[err.code] ? err : protocolError('HANDLER_ERROR', err.message));
     }
-  });
-  
-  ws.on('close', () => {
-    state.clients.delete(ws);
-    log('client', `Disconnected: ${clientId}`);
   });
 });
 
+/**
+ * Send a direct reply, echoing the request id
+ */
+function reply(ws, id, body) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify(id === undefined ? body : { ...body, id }));
+}
+
+/**
+ * Send a structured error: { type: 'error', id, code, message, details }
+ */
+function sendError(ws, id, err) {
+  reply(ws, id, { type: 'error', code: err.code, message: err.message, details: err.details });
+}
+
 function broadcast(msg) {
   const data = JSON.stringify(msg);
   for (const client of state.clients) {
-    if (client.readyState === WebSocket.OPEN) {
+    if (client.scope && client.readyState === WebSocket.OPEN) {
       client.send(data);
     }
   }
@@ -152,47 +354,101 @@ function broadcast(msg) {
 // ══════════════════════════════════════════════════════════════
 
 async function handleMessage(ws, msg) {
-  const { type, payload } = msg;
+  const payload = validateMessage(msg);
+  const { type, id } = msg;
   
+  // First-message auth (or a token on register from autonomous.js)
+  if (type === 'auth' || (type === 'register' && !ws.scope && payload.token)) {
+    if (!authenticate(ws, payload.token)) {
+      sendError(ws, id, protocolError('UNAUTHORIZED', 'Invalid token'));
+      ws.close(4001, 'Invalid token');
+      return;
+    }
+    if (type === 'auth') {
+      sendWelcome(ws, id);
+      return;
+    }
+  }
+  
+  const needed = MESSAGES[type].scope;
+  if (needed !== 'none' && (!ws.scope || !hasScope(ws.scope, needed))) {
+    audit({ event: 'forbidden', type, needed, scope: ws.scope, name: ws.authName, client: ws.clientId, remote: ws.remote });
+    throw ws.scope
+      ? protocolError('FORBIDDEN', `"${type}" needs ${needed} scope`)
+      : protocolError('UNAUTHORIZED');
+  }
+  
+  const result = await dispatch(ws, type, payload);
+  if (result) {
+    reply(ws, id, result);
+  } else if (id !== undefined) {
+    // Fire-and-forget messages only get an ack when the sender asked (sent an id)
+    reply(ws, id, { type: 'ack', for: type });
+  }
+}
+
+/**
+ * Run a validated message; returns the reply body (or nothing for an ack)
+ */
+async function dispatch(ws, type, payload) {
   switch (type) {
+    case 'hello':
+      if (!isCompatible(payload.version)) {
+        throw protocolError('UNSUPPORTED_VERSION',
+          `Client speaks ${payload.version}, Gateway speaks ${PROTOCOL_VERSION}`, { server: PROTOCOL_VERSION });
+      }
+      return { type: 'hello', protocol: describe(), authenticated: Boolean(ws.scope), scope: ws.scope };
+      
+    case 'capabilities':
+      return { type: 'capabilities', protocol: describe(), scope: ws.scope };
+      
     case 'ping':
-      ws.send(JSON.stringify({ type: 'pong', time: Date.now() }));
-      break;
+      return { type: 'pong', time: Date.now() };
       
     case 'see':
-      await handleSee(ws);
-      break;
+      return handleSee(ws);
       
     case 'click':
-      await handleClick(ws, payload);
-      break;
+      return handleClick(ws, payload);
       
     case 'clickOn':
-      await handleClickOn(ws, payload);
-      break;
+      return handleClickOn(ws, payload);
       
     case 'type':
-      await handleType(ws, payload);
-      break;
+      return handleType(ws, payload);
       
     case 'hotkey':
-      await handleHotkey(ws, payload);
-      break;
+      return handleHotkey(ws, payload);
       
     case 'urlBar':
-      await handleUrlBar(ws, payload);
-      break;
+      return handleUrlBar(ws, payload);
       
     case 'task':
-      await handleTask(ws, payload);
-      break;
+      return handleTask(ws, payload);
+      
+    case 'listTasks':
+      return { type: 'tasks', tasks: listTasks(payload.status) };
+      
+    case 'getTask':
+      return { type: 'task', task: getTask(payload.id) };
+      
+    case 'cancelTask':
+    case 'pauseTask':
+    case 'resumeTask':
+    case 'prioritizeTask':
+      return { type: 'taskUpdated', task: controlTask(type.replace('Task', ''), payload) };
+      
+    case 'startRecording':
+      return startRecording(payload);
+      
+    case 'stopRecording':
+      return stopRecording(ws, payload);
       
     case 'register':
       // Autonomous controller registration
       ws.clientType = payload.name;
       log('client', `Registered: ${payload.name} v${payload.version}`);
-      ws.send(JSON.stringify({ type: 'registered', session: state.session }));
-      break;
+      return { type: 'registered', session: state.session };
       
     case 'autonomous-event':
       // Forward autonomous events to all other clients
@@ -201,38 +457,48 @@ async function handleMessage(ws, msg) {
         state.stats.totalActions++;
         state.stats.totalClicks++;
         log('action', `Autonomous clicked "${payload.pattern}" at (${payload.x}, ${payload.y})`);
+      } else if (payload.type === 'denied') {
+        // Safety policy refused a click - surface it instead of silently skipping
+        state.stats.totalDenied++;
+        log('policy', `${payload.source || 'autonomous'} refused "${payload.pattern}" at (${payload.x}, ${payload.y}): ${payload.reason}`, {
+          rule: payload.rule,
+          context: payload.context,
+        });
       }
-      break;
+      return null;
+      
+    case 'approval-request':
+      handleApprovalRequest(ws, payload);
+      return null;
+      
+    case 'approval-response':
+      handleApprovalResponse(ws, payload);
+      return null;
       
     case 'startAutonomous':
       await startAutonomousMode();
-      ws.send(JSON.stringify({ type: 'autonomousStarted' }));
-      break;
+      return { type: 'autonomousStarted' };
       
     case 'stopAutonomous':
       stopAutonomousMode();
-      ws.send(JSON.stringify({ type: 'autonomousStopped' }));
-      break;
+      return { type: 'autonomousStopped' };
       
     case 'getState':
-      ws.send(JSON.stringify({
+      return {
         type: 'state',
         session: state.session,
         stats: state.stats,
-        taskQueue: state.taskQueue,
+        taskQueue: queuedTasks(),
         currentTask: state.currentTask,
         autonomousRunning: state.autonomousProcess !== null,
-      }));
-      break;
+        approvals: pendingApprovals(),
+      };
       
     case 'setPreference':
       state.session.preferences[payload.key] = payload.value;
       saveSession();
       log('info', `Preference set: ${payload.key} = ${payload.value}`);
-      break;
-      
-    default:
-      log('error', `Unknown message type: ${type}`);
+      return null;
   }
 }
 
@@ -265,16 +531,14 @@ async function handleSee(ws) {
   }
   saveSession();
   
-  const result = {
+  log('agent', `See: ${agent.lastWords.length} words in ${Date.now() - start}ms`);
+  return {
     type: 'seeResult',
     summary,
     wordCount: agent.lastWords.length,
     elapsed: Date.now() - start,
     learnedPositions: state.session.learnedPositions,
   };
-  
-  ws.send(JSON.stringify(result));
-  log('agent', `See: ${agent.lastWords.length} words in ${Date.now() - start}ms`);
 }
 
 async function handleClick(ws, { x, y }) {
@@ -284,8 +548,8 @@ async function handleClick(ws, { x, y }) {
   state.stats.totalActions++;
   state.stats.totalClicks++;
   
-  ws.send(JSON.stringify({ type: 'clickResult', x, y, success: true }));
   log('action', `Click: (${x}, ${y})`);
+  return { type: 'clickResult', x, y, success: true };
 }
 
 async function handleClickOn(ws, { text, options = {} }) {
@@ -303,21 +567,19 @@ async function handleClickOn(ws, { text, options = {} }) {
     state.stats.totalActions++;
     state.stats.totalClicks++;
     
-    ws.send(JSON.stringify({ 
+    return { 
       type: 'clickOnResult', 
       text, 
       success: true, 
       usedLearned: true,
       x: learned.x,
       y: learned.y,
-    }));
-    return;
+    };
   }
   
   if (matches.length === 0) {
-    ws.send(JSON.stringify({ type: 'clickOnResult', text, success: false, reason: 'Not found' }));
     log('error', `Not found: "${text}"`);
-    return;
+    return { type: 'clickOnResult', text, success: false, reason: 'Not found' };
   }
   
   const target = matches[0];
@@ -334,14 +596,14 @@ async function handleClickOn(ws, { text, options = {} }) {
   state.stats.totalActions++;
   state.stats.totalClicks++;
   
-  ws.send(JSON.stringify({ 
+  log('action', `ClickOn "${text}": (${target.x}, ${target.y})`);
+  return { 
     type: 'clickOnResult', 
     text, 
     success: true, 
     x: target.x, 
     y: target.y,
-  }));
-  log('action', `ClickOn "${text}": (${target.x}, ${target.y})`);
+  };
 }
 
 async function handleType(ws, { text }) {
@@ -351,8 +613,8 @@ async function handleType(ws, { text }) {
   state.stats.totalActions++;
   state.stats.totalTypes++;
   
-  ws.send(JSON.stringify({ type: 'typeResult', text, success: true }));
   log('action', `Type: "${text.substring(0, 30)}${text.length > 30 ? '...' : ''}"`);
+  return { type: 'typeResult', text, success: true };
 }
 
 async function handleHotkey(ws, { keys }) {
@@ -361,8 +623,8 @@ async function handleHotkey(ws, { keys }) {
   
   state.stats.totalActions++;
   
-  ws.send(JSON.stringify({ type: 'hotkeyResult', keys, success: true }));
   log('action', `Hotkey: ${keys}`);
+  return { type: 'hotkeyResult', keys, success: true };
 }
 
 async function handleUrlBar(ws, { url }) {
@@ -371,8 +633,75 @@ async function handleUrlBar(ws, { url }) {
   
   state.stats.totalActions++;
   
-  ws.send(JSON.stringify({ type: 'urlBarResult', url, success: true }));
   log('action', `URL: ${url}`);
+  return { type: 'urlBarResult', url, success: true };
+}
+
+// ══════════════════════════════════════════════════════════════
+// APPROVALS - human in the loop for uncertain clicks
+// ══════════════════════════════════════════════════════════════
+
+const DEFAULT_APPROVAL_TIMEOUT = 60000;
+
+function pendingApprovals() {
+  return [...state.approvals.values()].map(p => p.request);
+}
+
+/**
+ * Queue a proposed click from a controller and ask every client
+ * @param {WebSocket} ws - The requesting controller
+ * @param {object} request - { id, pattern, x, y, text, reason, context, image, timeout, defaultAction }
+ */
+function handleApprovalRequest(ws, request) {
+  const id = request.id || `approval-${Date.now()}-${crypto.randomBytes(2).toString('hex')}`;
+  // The requester matches the result by id - a reused one would replace
+  // the pending entry and leave its timer to resolve the new one
+  if (state.approvals.has(id)) {
+    throw protocolError('CONFLICT', `Approval ${id} is already pending`);
+  }
+  const timeout = request.timeout || DEFAULT_APPROVAL_TIMEOUT;
+  const entry = {
+    ...request,
+    id,
+    timeout,
+    defaultAction: request.defaultAction === 'approve' ? 'approve' : 'reject',
+    source: ws.clientType || ws.clientId,
+    requestedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + timeout).toISOString(),
+  };
+  
+  state.approvals.set(id, {
+    request: entry,
+    requester: ws,
+    timer: setTimeout(() => resolveApproval(id, entry.defaultAction === 'approve', 'timeout'), timeout),
+  });
+  
+  log('approval', `${entry.source} asks to click "${entry.pattern}" at (${entry.x}, ${entry.y}) - ${entry.reason || 'needs approval'}`);
+  broadcast({ type: 'approval-request', payload: entry });
+}
+
+function handleApprovalResponse(ws, { id, approved }) {
+  if (!state.approvals.has(id)) {
+    throw protocolError('NOT_FOUND', `Unknown or expired approval: ${id}`);
+  }
+  resolveApproval(id, Boolean(approved), ws.clientType || ws.clientId);
+}
+
+function resolveApproval(id, approved, decidedBy) {
+  const pending = state.approvals.get(id);
+  if (!pending) return;
+  
+  clearTimeout(pending.timer);
+  state.approvals.delete(id);
+  
+  const result = { id, approved, decidedBy };
+  if (pending.requester.readyState === WebSocket.OPEN) {
+    pending.requester.send(JSON.stringify({ type: 'approval-result', payload: result }));
+  }
+  broadcast({ type: 'approval-resolved', payload: result });
+  
+  const { pattern } = pending.request;
+  log(approved ? 'success' : 'policy', `${approved ? 'Approved' : 'Rejected'} "${pattern}" (${decidedBy})`);
 }
 
 // ══════════════════════════════════════════════════════════════
@@ -387,9 +716,18 @@ function startAutonomousMode() {
   
   log('agent', 'Starting autonomous mode...');
   
-  state.autonomousProcess = spawn('node', ['autonomous.js'], {
+  // Keep the controller on our virtual display instead of letting it find its own
+  const args = state.display
+    ? ['autonomous.js', '--driver=x11', `--display=${state.display.display}`]
+    : ['autonomous.js'];
+  
+  // Without D0T_HEADLESS: our display (if any) is passed on, a second Xvfb
+  // on it would fail or own a dying server (Dockerfile.agent sets it)
+  const { D0T_HEADLESS, ...env } = process.env;
+  state.autonomousProcess = spawn('node', args, {
     cwd: __dirname,
     stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...env, D0T_TOKEN: auth.internalToken },
   });
   
   state.autonomousProcess.stdout.on('data', (data) => {
@@ -426,66 +764,248 @@ function stopAutonomousMode() {
 }
 
 // ══════════════════════════════════════════════════════════════
-// TASK SYSTEM - Queue and execute compound actions
+// TASK SYSTEM - Persistent queue of compound actions
 // ══════════════════════════════════════════════════════════════
+//
+// Tasks live in tasks.json and move through:
+//   queued -> running -> completed | failed
+//   queued | running -> paused -> queued (resume)
+//   queued | running | paused -> cancelled
+// After every top-level action the task's checkpoint (actions done) and
+// variables are saved, so a task interrupted by a restart resumes at its
+// next step. Actions use the agent's control-flow format (see execute()).
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const MAX_FINISHED_TASKS = 200;
+
+function loadTasks() {
+  let tasks = [];
+  try {
+    if (fs.existsSync(TASKS_FILE)) {
+      tasks = JSON.parse(fs.readFileSync(TASKS_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load tasks:', e.message);
+  }
+  
+  // A task that was running when we stopped picks up at its checkpoint
+  for (const task of tasks) {
+    if (task.status === 'running') {
+      task.status = 'queued';
+      task.resumed = (task.resumed || 0) + 1;
+    }
+  }
+  return tasks;
+}
+
+function saveTasks() {
+  // Keep every open task, but only the most recent finished ones
+  const open = state.tasks.filter(t => !FINISHED.includes(t.status));
+  const finished = state.tasks.filter(t => FINISHED.includes(t.status)).slice(-MAX_FINISHED_TASKS);
+  state.tasks = state.tasks.filter(t => open.includes(t) || finished.includes(t));
+  
+  try {
+    fs.writeFileSync(TASKS_FILE, JSON.stringify(state.tasks, null, 2));
+  } catch (e) {
+    console.error('Failed to save tasks:', e.message);
+  }
+}
+
+/**
+ * Queued tasks in the order they will run (priority, then age)
+ */
+function queuedTasks() {
+  return state.tasks
+    .filter(t => t.status === 'queued')
+    .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Tasks without their action lists (for listings)
+ */
+function listTasks(status) {
+  return state.tasks
+    .filter(t => !status || t.status === status)
+    .map(({ actions, sequences, ...task }) => ({ ...task, totalActions: actions.length }));
+}
+
+function getTask(id) {
+  const task = state.tasks.find(t => t.id === id);
+  if (!task) throw protocolError('NOT_FOUND', `Unknown task: ${id}`);
+  return task;
+}
+
+function updateTask(task, changes) {
+  Object.assign(task, changes, { updatedAt: new Date().toISOString() });
+  saveTasks();
+  broadcast({ type: 'taskUpdated', task });
+  return task;
+}
 
 async function handleTask(ws, task) {
-  const { name, actions, priority = 0 } = task;
+  const { name, actions, sequences = {}, priority = 0, target = null } = task;
   
   const taskItem = {
-    id: `task-${Date.now()}`,
+    id: `task-${Date.now()}-${crypto.randomBytes(2).toString('hex')}`,
     name,
     actions,
+    sequences,
     priority,
+    target,
     status: 'queued',
+    checkpoint: 0,
+    vars: {},
     createdAt: new Date().toISOString(),
   };
   
-  state.taskQueue.push(taskItem);
-  state.taskQueue.sort((a, b) => b.priority - a.priority);
+  state.tasks.push(taskItem);
+  saveTasks();
   
   log('task', `Task queued: ${name} (${actions.length} actions)`);
   
-  ws.send(JSON.stringify({ type: 'taskQueued', task: taskItem }));
-  
   // Process queue if not busy
-  if (!state.currentTask) {
+  if (!state.queueRunning) {
     processTaskQueue();
   }
+  
+  return { type: 'taskQueued', task: taskItem };
+}
+
+/**
+ * Cancel, pause, resume or reprioritize a task
+ * @param {string} action - 'cancel' | 'pause' | 'resume' | 'prioritize'
+ * @param {object} params - { id, priority }
+ * @returns {object} The updated task
+ */
+function controlTask(action, { id, priority }) {
+  const task = getTask(id);
+  const running = state.currentTask === task;
+  
+  const allowed = {
+    cancel: ['queued', 'running', 'paused'],
+    pause: ['queued', 'running'],
+    resume: ['paused'],
+    prioritize: ['queued', 'running', 'paused'],
+  }[action];
+  
+  if (!allowed.includes(task.status)) {
+    throw protocolError('CONFLICT', `Cannot ${action} a ${task.status} task`);
+  }
+  
+  switch (action) {
+    case 'cancel':
+    case 'pause': {
+      const status = action === 'cancel' ? 'cancelled' : 'paused';
+      log('task', `Task ${status}: ${task.name}${running ? ` (after step ${task.checkpoint})` : ''}`);
+      // A running task stops before its next action
+      if (running) state.abort.abort(new Error(status));
+      return updateTask(task, status === 'cancelled'
+        ? { status, completedAt: new Date().toISOString() }
+        : { status });
+    }
+      
+    case 'resume':
+      log('task', `Task resumed: ${task.name} (from step ${task.checkpoint})`);
+      updateTask(task, { status: 'queued' });
+      if (!state.queueRunning) processTaskQueue();
+      return task;
+      
+    case 'prioritize':
+      log('task', `Task priority: ${task.name} -> ${priority}`);
+      return updateTask(task, { priority });
+  }
 }
 
 async function processTaskQueue() {
-  if (state.taskQueue.length === 0) {
+  const next = queuedTasks()[0];
+  if (!next) {
     state.currentTask = null;
+    state.queueRunning = false;
     return;
   }
   
-  state.currentTask = state.taskQueue.shift();
-  state.currentTask.status = 'running';
-  state.currentTask.startedAt = new Date().toISOString();
+  state.queueRunning = true;
+  const task = state.currentTask = next;
+  state.abort = new AbortController();
   
-  log('task', `Starting task: ${state.currentTask.name}`);
-  broadcast({ type: 'taskStarted', task: state.currentTask });
+  const resuming = task.checkpoint > 0;
+  updateTask(task, { status: 'running', startedAt: task.startedAt || new Date().toISOString() });
+  log('task', resuming
+    ? `Resuming task: ${task.name} at step ${task.checkpoint + 1}/${task.actions.length}`
+    : `Starting task: ${task.name}`);
+  broadcast({ type: 'taskStarted', task });
   
   try {
     const agent = await ensureAgent();
-    await agent.execute(state.currentTask.actions);
+    await agent.execute(task.actions, {
+      from: task.checkpoint,
+      vars: task.vars,
+      sequences: task.sequences,
+      target: task.target,
+      signal: state.abort.signal,
+      onStep: (index, action, vars) => updateTask(task, { checkpoint: index + 1, vars }),
+    });
     
-    state.currentTask.status = 'completed';
-    state.currentTask.completedAt = new Date().toISOString();
-    log('success', `Task completed: ${state.currentTask.name}`);
+    // Paused / cancelled during the last step - leave it that way
+    if (task.status === 'running') {
+      updateTask(task, { status: 'completed', completedAt: new Date().toISOString() });
+      log('success', `Task completed: ${task.name}`);
+    }
   } catch (err) {
-    state.currentTask.status = 'failed';
-    state.currentTask.error = err.message;
-    log('error', `Task failed: ${state.currentTask.name} - ${err.message}`);
+    // Paused / cancelled tasks already have their status
+    if (task.status === 'running') {
+      updateTask(task, { status: 'failed', error: err.message, completedAt: new Date().toISOString() });
+      log('error', `Task failed: ${task.name} - ${err.message}`);
+    }
   }
   
-  broadcast({ type: 'taskCompleted', task: state.currentTask });
+  broadcast({ type: 'taskCompleted', task });
   
-  // Continue with next task
+  // Continue with next task - queueRunning stays set until it picks up,
+  // so a task queued / resumed meanwhile doesn't start a second runner
+  state.currentTask = null;
   setTimeout(() => processTaskQueue(), 100);
 }
 
+// ══════════════════════════════════════════════════════════════
+// RECORDING - Demonstrate a workflow, replay it as a task
+// ══════════════════════════════════════════════════════════════
+
+function startRecording({ name }) {
+  if (state.recorder) {
+    throw protocolError('CONFLICT', `Already recording "${state.recorder.name}"`);
+  }
+  const recorder = new Recorder({
+    name,
+    // The watcher died - save what we have and tell the clients why
+    onError: () => {
+      if (state.recorder !== recorder) return;
+      stopRecording(null, {}).catch(err => log('error', `Recording failed: ${err.message}`));
+    },
+  });
+  state.recorder = recorder;
+  state.recorder.start();
+  log('task', `Recording started: ${state.recorder.name}`);
+  broadcast({ type: 'recordingStarted', name: state.recorder.name });
+  return { type: 'recordingStarted', name: state.recorder.name };
+}
+
+async function stopRecording(ws, { queue = false }) {
+  if (!state.recorder) {
+    throw protocolError('CONFLICT', 'Not recording');
+  }
+  const recorder = state.recorder;
+  state.recorder = null;
+  
+  const { task, file, error } = await recorder.stop();
+  if (error) log('error', `Recording stopped early: ${error}`);
+  log('success', `Recording saved: ${task.name} (${task.actions.length} steps) -> ${file}`);
+  broadcast({ type: 'recordingStopped', name: task.name, file, error });
+  
+  const queued = queue ? (await handleTask(ws, task)).task : null;
+  return { type: 'recordingStopped', task, file, error, queued };
+}
+
 // ══════════════════════════════════════════════════════════════
 // HTTP SERVER - Static files + API
 // ══════════════════════════════════════════════════════════════
@@ -494,23 +1014,56 @@ function handleHTTP(req, res) {
   const url = new URL(req.url, `http://localhost:${PORT}`);
   
   if (url.pathname === '/') {
-    // Serve the D0T web interface
+    // Serve the D0T web interface (it authenticates over the WebSocket)
     res.writeHead(200, { 'Content-Type': 'text/html' });
     res.end(getWebUI());
     return;
   }
   
+  // Everything under /api needs at least an observe token
+  if (AUTH_ENABLED && url.pathname.startsWith('/api/')) {
+    const entry = findToken(tokenFromRequest(req));
+    if (!entry) {
+      audit({ event: 'http-unauthorized', path: url.pathname, remote: req.socket.remoteAddress });
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Unauthorized' }));
+      return;
+    }
+  }
+  
   if (url.pathname === '/api/status') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       status: 'online',
       session: state.session,
       stats: state.stats,
-      clients: state.clients.size,
+      clients: [...state.clients].filter(c => c.scope).length,  // Authenticated ones
+      display: state.display
+        ? { display: state.display.display, resolution: state.display.resolution, apps: state.display.apps.map(a => a.command) }
+        : null,
     }));
     return;
   }
   
+  if (url.pathname === '/api/tasks' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(listTasks(url.searchParams.get('status'))));
+    return;
+  }
+  
+  // GET /api/tasks/:id, POST /api/tasks/:id/(cancel|pause|resume|prioritize)
+  const taskRoute = url.pathname.match(/^\/api\/tasks\/([^/]+)(?:\/(cancel|pause|resume|prioritize))?$/);
+  if (taskRoute) {
+    handleTaskRoute(req, res, decodeURIComponent(taskRoute[1]), taskRoute[2]);
+    return;
+  }
+  
+  if (url.pathname === '/api/approvals') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(pendingApprovals()));
+    return;
+  }
+  
   if (url.pathname === '/api/screenshot') {
     const screenshotPath = path.join(__dirname, 'screenshot.png');
     if (fs.existsSync(screenshotPath)) {
@@ -524,6 +1077,52 @@ function handleHTTP(req, res) {
   res.end('Not found');
 }
 
+const HTTP_STATUS = { NOT_FOUND: 404, CONFLICT: 409, INVALID_PAYLOAD: 400, BAD_JSON: 400, FORBIDDEN: 403 };
+
+async function handleTaskRoute(req, res, id, action) {
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  
+  try {
+    if (!action) {
+      if (req.method !== 'GET') throw protocolError('NOT_FOUND', `${req.method} not supported`);
+      send(200, getTask(id));
+      return;
+    }
+    
+    if (req.method !== 'POST') throw protocolError('NOT_FOUND', `Use POST for ${action}`);
+    const entry = findToken(tokenFromRequest(req));
+    if (AUTH_ENABLED && !hasScope(entry.scope, 'act')) {
+      audit({ event: 'forbidden', type: `http ${action}`, needed: 'act', scope: entry.scope, name: entry.name, remote: req.socket.remoteAddress });
+      throw protocolError('FORBIDDEN', `${action} needs act scope`);
+    }
+    
+    const body = await readJSON(req);
+    const payload = validateMessage({ type: `${action}Task`, payload: { ...body, id } });
+    send(200, controlTask(action, payload));
+  } catch (err) {
+    send(HTTP_STATUS[err.code] || 500, { error: err.message, code: err.code || 'HANDLER_ERROR', details: err.details });
+  }
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      if (!data.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch (e) {
+        reject(protocolError('BAD_JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
 function getWebUI() {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -626,6 +1225,26 @@ function getWebUI() {
     .log-entry.error { color: #ff6b6b; }
     .log-entry.success { color: #6bcb77; }
     .log-entry.action { color: #ffd93d; }
+    .log-entry.policy { color: #ff9f43; }
+    .log-entry.approval { color: #4dabf7; }
+    .approval {
+      background: #0d0d0d;
+      border: 1px solid #4dabf7;
+      border-radius: 8px;
+      padding: 12px;
+      margin-bottom: 12px;
+    }
+    .approval img { max-width: 100%; border-radius: 4px; margin: 8px 0; }
+    .approval pre {
+      white-space: pre-wrap;
+      font-size: 11px;
+      color: #aaa;
+      max-height: 120px;
+      overflow-y: auto;
+      margin-bottom: 8px;
+    }
+    .approval .meta { font-size: 12px; color: #666; margin-bottom: 8px; }
+    .empty { color: #666; font-size: 12px; }
     input[type="text"] {
       width: 100%;
       padding: 12px;
@@ -712,6 +1331,11 @@ function getWebUI() {
       </div>
       
       <div class="sidebar">
+        <div class="panel" style="margin-bottom: 16px;">
+          <h2>🙋 Pending Approvals</h2>
+          <div id="approvals"><p class="empty">Nothing waiting</p></div>
+        </div>
+        
         <div class="panel">
           <h2>Statistics</h2>
           <div class="stats">
@@ -733,7 +1357,7 @@ function getWebUI() {
         <div class="panel" style="margin-top: 16px;">
           <h2>Last Screenshot</h2>
           <div class="screenshot-preview">
-            <img id="screenshot" src="/api/screenshot" onerror="this.style.display='none'" />
+            <img id="screenshot" onerror="this.style.display='none'" />
           </div>
           <button class="secondary" style="width: 100%; margin-top: 8px;" onclick="refreshScreenshot()">
             🔄 Refresh Screenshot
@@ -747,6 +1371,11 @@ function getWebUI() {
     let ws;
     let autonomousRunning = false;
     const log = document.getElementById('log');
+    const approvals = new Map();
+    
+    // Token from ?token= (saved for next time) or a previous visit
+    let token = new URLSearchParams(location.search).get('token') || localStorage.getItem('d0tToken') || '';
+    if (token) localStorage.setItem('d0tToken', token);
     
     function connect() {
       ws = new WebSocket('ws://' + location.host);
@@ -757,7 +1386,13 @@ function getWebUI() {
         addLog('info', 'Connected to D0T Gateway');
       };
       
-      ws.onclose = () => {
+      ws.onclose = (e) => {
+        if (e.code === 4001) {
+          // Bad or missing token - ask again on reconnect
+          localStorage.removeItem('d0tToken');
+          token = '';
+          addLog('error', 'Authentication failed');
+        }
         document.getElementById('status').textContent = 'Offline';
         document.getElementById('status').className = 'status offline';
         addLog('error', 'Disconnected - reconnecting...');
@@ -771,9 +1406,26 @@ function getWebUI() {
     }
     
     function handleMessage(msg) {
-      if (msg.type === 'welcome') {
+      if (msg.type === 'auth-required') {
+        if (!token) {
+          token = prompt('D0T Gateway token') || '';
+          localStorage.setItem('d0tToken', token);
+        }
+        send('auth', { token });
+      } else if (msg.type === 'welcome') {
+        addLog('info', 'Signed in (' + msg.scope + ')');
+        refreshScreenshot();
         updateStats(msg.stats);
         msg.history.forEach(h => addLogEntry(h));
+        approvals.clear();
+        (msg.approvals || []).forEach(a => approvals.set(a.id, a));
+        renderApprovals();
+      } else if (msg.type === 'approval-request') {
+        approvals.set(msg.payload.id, msg.payload);
+        renderApprovals();
+      } else if (msg.type === 'approval-resolved') {
+        approvals.delete(msg.payload.id);
+        renderApprovals();
       } else if (msg.type === 'log') {
         addLogEntry(msg.entry);
       } else if (msg.type === 'state') {
@@ -803,6 +1455,8 @@ function getWebUI() {
           addLog('action', '🤖 Auto-clicked "' + msg.payload.pattern + '" at (' + msg.payload.x + ', ' + msg.payload.y + ')');
           refreshScreenshot();
         }
+      } else if (msg.type === 'error') {
+        addLog('error', msg.code + ': ' + msg.message);
       }
     }
     
@@ -810,6 +1464,66 @@ function getWebUI() {
       ws.send(JSON.stringify({ type, payload }));
     }
     
+    function respondApproval(id, approved) {
+      send('approval-response', { id, approved });
+    }
+    
+    function renderApprovals() {
+      const container = document.getElementById('approvals');
+      container.innerHTML = '';
+      if (approvals.size === 0) {
+        container.innerHTML = '<p class="empty">Nothing waiting</p>';
+        return;
+      }
+      for (const a of approvals.values()) {
+        const card = document.createElement('div');
+        card.className = 'approval';
+        
+        const title = document.createElement('div');
+        title.textContent = 'Click "' + a.pattern + '" at (' + a.x + ', ' + a.y + ')?';
+        card.appendChild(title);
+        
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        const secs = Math.max(0, Math.round((new Date(a.expiresAt) - Date.now()) / 1000));
+        meta.textContent = a.source + ' · ' + (a.reason || '') + ' · ' + a.defaultAction + ' in ' + secs + 's';
+        card.appendChild(meta);
+        
+        if (a.image) {
+          const img = document.createElement('img');
+          img.src = 'data:image/png;base64,' + a.image;
+          card.appendChild(img);
+        }
+        
+        if (a.context) {
+          const pre = document.createElement('pre');
+          pre.textContent = a.context;
+          card.appendChild(pre);
+        }
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'controls';
+        buttons.style.gridTemplateColumns = '1fr 1fr';
+        buttons.style.marginBottom = '0';
+        const approve = document.createElement('button');
+        approve.className = 'primary';
+        approve.textContent = '✅ Approve';
+        approve.onclick = () => respondApproval(a.id, true);
+        const reject = document.createElement('button');
+        reject.className = 'secondary';
+        reject.textContent = '❌ Reject';
+        reject.onclick = () => respondApproval(a.id, false);
+        buttons.appendChild(approve);
+        buttons.appendChild(reject);
+        card.appendChild(buttons);
+        
+        container.appendChild(card);
+      }
+    }
+    
+    // Keep the countdowns fresh
+    setInterval(() => { if (approvals.size > 0) renderApprovals(); }, 5000);
+    
     function startAutonomous() {
       send('startAutonomous');
     }
@@ -867,8 +1581,12 @@ function getWebUI() {
     function addLogEntry(entry) {
       const div = document.createElement('div');
       div.className = 'log-entry ' + entry.level;
-      const time = entry.time.split('T')[1].slice(0, 8);
-      div.innerHTML = '<span class="time">' + time + '</span>' + entry.message;
+      // Text only - messages carry OCR'd screen text and client strings
+      const time = document.createElement('span');
+      time.className = 'time';
+      time.textContent = entry.time.split('T')[1].slice(0, 8);
+      div.appendChild(time);
+      div.appendChild(document.createTextNode(entry.message));
       log.appendChild(div);
       log.scrollTop = log.scrollHeight;
     }
@@ -876,7 +1594,7 @@ function getWebUI() {
     function refreshScreenshot() {
       const img = document.getElementById('screenshot');
       img.style.display = 'block';
-      img.src = '/api/screenshot?t=' + Date.now();
+      img.src = '/api/screenshot?t=' + Date.now() + '&token=' + encodeURIComponent(token);
     }
     
     connect();
@@ -889,8 +1607,26 @@ function getWebUI() {
 // STARTUP
 // ══════════════════════════════════════════════════════════════
 
-server.listen(PORT, () => {
-  console.log(`
+async function startHeadless() {
+  state.display = new VirtualDisplay(HEADLESS);
+  await state.display.start();
+  useDriver({ driver: 'x11', display: state.display.display });
+  log('info', `Virtual display ${state.display.display} (${state.display.resolution})`);
+  
+  for (const command of HEADLESS.apps) {
+    const app = state.display.launch(command);
+    app.on('exit', (code) => log('info', `App exited (${code}): ${command}`));
+    log('info', `Launched in ${state.display.display}: ${command}`);
+  }
+}
+
+async function start() {
+  if (HEADLESS.enabled) {
+    await startHeadless();
+  }
+  
+  server.listen(PORT, () => {
+    console.log(`
 ╔══════════════════════════════════════════════════════════════╗
 ║                    D0T Gateway v1.0                          ║
 ╠══════════════════════════════════════════════════════════════╣
@@ -901,9 +1637,23 @@ server.listen(PORT, () => {
 
 Session: ${state.session.id}
 Uptime:  ${new Date().toISOString()}
+Display: ${state.display ? `${state.display.display} (headless ${state.display.resolution})` : 'desktop'}
 
 Waiting for connections...
-  `);
+    `);
+    
+    // Pick up tasks left over from the last run
+    const pending = queuedTasks();
+    if (pending.length > 0) {
+      log('task', `${pending.length} task(s) waiting from the last run`);
+      if (!state.queueRunning) processTaskQueue();
+    }
+  });
+}
+
+start().catch(err => {
+  console.error('Failed to start Gateway:', err.message);
+  process.exit(1);
 });
 
 // Graceful shutdown
@@ -911,5 +1661,7 @@ process.on('SIGINT', async () => {
   console.log('\n\nShutting down...');
   saveSession();
   if (state.agent) await state.agent.cleanup();
+  if (state.autonomousProcess) state.autonomousProcess.kill('SIGINT');
+  if (state.display) await state.display.stop();
   process.exit(0);
 });
@@ -11,13 +11,21 @@
  *   - Learns button positions from successful clicks
  *   - Falls back to known positions when OCR fails
  *   - Timeout-based fallback clicking
+ *   - Only re-reads what changed (screen-diff.js), reuses the last OCR
+ *     when nothing did
  *   - Reports to Brain every heartbeat
  */
 
-const { execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const Tesseract = require('tesseract.js');
+const { getDriver } = require('./drivers');
+const { backgroundWindow } = require('./drivers/window-target');
+const { getWorker, terminateWorker, recognize, recognizeRegions, patchWords, findTemplates } = require('./vision-core');
+const { ScreenDiff, mergeRegions, coverage } = require('./screen-diff');
+const { ButtonShapes } = require('./button-shape');
+const { createEngine } = require('./engine');
+const { windowContext } = require('./policy');
+const { connectGateway, deniedEvent } = require('./gateway-client');
 
 // ══════════════════════════════════════════════════════════════
 // BRAIN CONNECTION
@@ -44,7 +52,7 @@ function reportToBrain(status) {
       wordsScanned: status.words || 0,
       buttonsFound: status.buttons || 0,
       lastAction: status.action || null,
-      actionsThisMinute: state.actionsThisMinute,
+      actionsThisMinute: engine.actionsThisMinute,
       uptime: Date.now() - state.startTime,
     };
     
@@ -101,15 +109,28 @@ function reportSights(words, fullText) {
 const CONFIG = {
   pollInterval: 5000,  // Check every 5 seconds (less aggressive)
   
-  // Buttons to watch for (in priority order)
-  watchPatterns: ['Continue', 'Keep', 'Allow', 'Proceed', 'Yes', 'Run', 'OK'],
+  // Buttons, button-shape check, confirm-twice, rate limit, stuck detection - see engine.js
+  engine: 'ghost',
   
-  // Require seeing the button TWICE before clicking (confirms it's real, not transient)
-  confirmScans: 2,
+  // Icon-only buttons to click too - template targets from templates/
+  // (vision-core findTemplates), e.g. ['approve-check']
+  images: [],
+  
+  // Only watch this window, e.g. 'Visual Studio Code' or { app: 'Code' }
+  // (drivers/window-target.js); null = --window= / D0T_WINDOW, else the screen
+  window: null,
   
-  maxActionsPerMinute: 10,
   noActionTimeout: 15000,
   verbose: true,
+  
+  // What counts as a change - add the clock / cursor area to ignore
+  screenDiff: {
+    threshold: 0.002,
+    ignore: [],
+  },
+  
+  // OCR the whole screen when the changed regions cover more than this
+  fullScanCoverage: 0.5,
 };
 
 // ══════════════════════════════════════════════════════════════
@@ -118,18 +139,17 @@ const CONFIG = {
 
 let state = {
   running: false,
-  worker: null,
-  actionsThisMinute: 0,
   lastAction: Date.now(),
   failedAttempts: 0,
-  lastClickedButton: null,
-  lastClickedPos: null,
-  sameButtonCount: 0,  // How many times we clicked the same button
-  pendingButton: null, // Button we saw last scan (need to see twice to confirm)
-  pendingCount: 0,     // How many scans we've seen this button
   startTime: Date.now(), // For uptime tracking
+  lastOcr: null,         // Last full-screen { text, words }, patched as regions change
 };
 
+const screen = new ScreenDiff(CONFIG.screenDiff);
+const engine = createEngine(CONFIG.engine, { images: CONFIG.images });
+const shapes = new ButtonShapes();
+const gateway = connectGateway('ghost');
+
 // ══════════════════════════════════════════════════════════════
 // LOGGING
 // ══════════════════════════════════════════════════════════════
@@ -139,78 +159,29 @@ function log(type, msg, detail = '') {
   const icons = {
     'INFO': 'ℹ️', 'SCAN': '👁️', 'FOUND': '🎯', 'ACTION': '🖱️',
     'DECIDE': '🧠', 'ERROR': '❌', 'DEBUG': '•', 'SUCCESS': '✅',
-    'SIGHT': '👀',
+    'SIGHT': '👀', 'DENIED': '🛡️',
   };
   console.log(`${icons[type] || '•'} [${time}] ${msg}${detail ? ' ' + detail : ''}`);
 }
 
 // ══════════════════════════════════════════════════════════════
-// OCR - Same approach as agent.js
+// OCR - Shared pool, restarts crashed workers itself (ocr-pool.js)
 // ══════════════════════════════════════════════════════════════
 
-async function initWorker() {
-  if (!state.worker) {
-    log('INFO', 'Initializing OCR...');
-    state.worker = await Tesseract.createWorker('eng');
-    log('SUCCESS', 'OCR ready');
-  }
-  return state.worker;
-}
-
-function screenshot() {
+async function screenshot() {
   try {
-    execSync(`powershell -ExecutionPolicy Bypass -File "${path.join(__dirname, 'screenshot.ps1')}"`, {
-      timeout: 5000,
-      cwd: __dirname,
-    });
-    return path.join(__dirname, 'screenshot.png');
+    return await getDriver().capture(path.join(__dirname, 'screenshot.png'), { window: CONFIG.window || undefined });
   } catch (err) {
-    log('ERROR', 'Screenshot failed');
+    log('ERROR', 'Screenshot failed', err.message);
     return null;
   }
 }
 
 async function ocr(imagePath) {
   try {
-    const worker = await initWorker();
-    
-    // Use blocks output to get REAL bounding boxes
-    let data;
-    try {
-      const result = await worker.recognize(imagePath, {}, { blocks: true });
-      data = result.data;
-    } catch (recognizeErr) {
-      // Image might be truncated or corrupted - reinitialize worker
-      log('ERROR', 'OCR recognize failed, reinitializing...', recognizeErr.message);
-      if (state.worker) {
-        try { await state.worker.terminate(); } catch (e) {}
-        state.worker = null;
-      }
-      return { text: '', words: [] };
-    }
-    
-    const words = [];
-    
-    // Extract words from blocks -> paragraphs -> lines -> words
-    if (data.blocks) {
-      data.blocks.forEach(block => {
-        block.paragraphs?.forEach(para => {
-          para.lines?.forEach(line => {
-            line.words?.forEach(word => {
-              if (word.bbox && word.text) {
-                words.push({
-                  text: word.text,
-                  x: Math.round((word.bbox.x0 + word.bbox.x1) / 2),
-                  y: Math.round((word.bbox.y0 + word.bbox.y1) / 2),
-                  confidence: word.confidence,
-                  bbox: word.bbox,
-                });
-              }
-            });
-          });
-        });
-      });
-    }
+    // Use blocks output to get REAL bounding boxes (preprocessed when
+    // vision-core CONFIG.preprocess / D0T_PREPROCESS says so)
+    const { data, words } = await recognize(getWorker(), imagePath);
     
     log('DEBUG', `${words.length} words with REAL bboxes`);
     return { text: data.text, words };
@@ -220,151 +191,121 @@ async function ocr(imagePath) {
   }
 }
 
+/**
+ * OCR only what changed since the last scan
+ * @returns {Promise<{text: string, words: array}>} Words for the whole screen
+ */
+async function scan(imagePath) {
+  let diff = null;
+  try {
+    diff = await screen.check(imagePath);
+  } catch (err) {
+    log('ERROR', 'Screen diff failed', err.message);
+  }
+  
+  if (diff && state.lastOcr) {
+    if (!diff.changed) {
+      log('DEBUG', 'Screen unchanged - reusing last OCR');
+      return state.lastOcr;
+    }
+    
+    const regions = mergeRegions(diff.regions);
+    if (coverage(regions, diff.width, diff.height) <= CONFIG.fullScanCoverage) {
+      try {
+        const fresh = await recognizeRegions(getWorker(), imagePath, regions);
+        const words = patchWords(state.lastOcr.words, regions, fresh.words);
+        log('DEBUG', `Re-read ${regions.length} changed region(s), ${fresh.words.length} words`);
+        state.lastOcr = { text: linesText(words), words };
+        return state.lastOcr;
+      } catch (err) {
+        log('ERROR', 'Region OCR failed, reading full screen', err.message);
+      }
+    }
+  }
+  
+  const result = await ocr(imagePath);
+  state.lastOcr = result.words.length > 0 ? result : null;
+  return result;
+}
+
+// Page text from words, one line per OCR line
+function linesText(words) {
+  const lines = new Map();
+  for (const w of [...words].sort((a, b) => a.y - b.y || a.x - b.x)) {
+    if (!lines.has(w.lineId)) lines.set(w.lineId, []);
+    lines.get(w.lineId).push(w.text);
+  }
+  return [...lines.values()].map(l => l.join(' ')).join('\n');
+}
+
 // ══════════════════════════════════════════════════════════════
 // CLICK
 // ══════════════════════════════════════════════════════════════
 
-function click(x, y) {
+async function click(x, y) {
   try {
-    // click.ps1 takes positional args, not named params
-    execSync(`powershell -ExecutionPolicy Bypass -File "${path.join(__dirname, 'click.ps1')}" ${x} ${y}`, {
-      timeout: 2000,
-    });
+    await getDriver().click(x, y);
     log('ACTION', `Clicked (${x}, ${y})`);
     state.lastAction = Date.now();
-    state.actionsThisMinute++;
     return true;
   } catch (err) {
-    log('ERROR', 'Click failed');
+    log('ERROR', 'Click failed', err.message);
     return false;
   }
 }
 
 // ══════════════════════════════════════════════════════════════
-// DECISION ENGINE
+// DECISION
 // ══════════════════════════════════════════════════════════════
 
-function findButtons(words) {
-  const found = [];
-  for (const pattern of CONFIG.watchPatterns) {
-    const regex = new RegExp(`^"?${pattern}"?[,.]?$`, 'i');  // Match "Continue" or Continue, etc
-    for (const word of words) {
-      if (regex.test(word.text) && word.confidence > 50) {
-        found.push({ 
-          text: pattern, 
-          match: word.text, 
-          x: word.x, 
-          y: word.y,
-          confidence: word.confidence,
-          bbox: word.bbox,
-        });
-      }
-    }
-  }
-  
-  // Sort by confidence (higher = better OCR read)
-  found.sort((a, b) => b.confidence - a.confidence);
-  
-  // Log all found buttons for debugging
-  if (found.length > 0) {
-    log('DEBUG', `Found ${found.length} buttons:`, 
-      found.map(b => `"${b.match}"@(${b.x},${b.y}) conf:${b.confidence}`).join(' | '));
+// Icon-only buttons - 'image:<target>' engine patterns
+async function findImages(imagePath) {
+  const targets = engine.imageTargets();
+  if (targets.length === 0) return [];
+  try {
+    const matches = await findTemplates(imagePath, targets);
+    getDriver().space?.tag(matches);
+    return matches;
+  } catch (err) {
+    log('ERROR', 'Template matching failed', err.message);
+    return [];
   }
-  
-  return found;
 }
 
-function decide(ocrResult) {
-  let buttons = findButtons(ocrResult.words);
-  
-  if (state.actionsThisMinute >= CONFIG.maxActionsPerMinute) {
-    return { action: 'wait', reason: 'Rate limited' };
-  }
-  
-  if (buttons.length === 0) {
-    return { action: 'wait', reason: 'No buttons found' };
-  }
-  
-  // FILTER 1: Only click buttons in the BOTTOM RIGHT of screen
-  // Real Claude "Continue" buttons are at x > 1200 AND y > 500 (bottom half)
-  // This avoids clicking on words in chat history
-  const bottomRightButtons = buttons.filter(b => b.x > 1200 && b.y > 500);
-  
-  if (bottomRightButtons.length > 0) {
-    buttons = bottomRightButtons;
-    log('DEBUG', `${buttons.length} buttons in bottom-right (x>1200, y>500)`);
-  } else {
-    // FILTER 2: Check for VS Code dialog popups (Allow/Keep dialogs)
-    // These appear in a specific Y range (roughly 400-600) and centered
-    const dialogButtons = buttons.filter(b => 
-      ['Allow', 'Yes', 'OK', 'Keep'].includes(b.text) && 
-      b.confidence > 90 &&
-      b.y > 350 && b.y < 650 &&
-      b.x > 400 && b.x < 900
-    );
-    if (dialogButtons.length > 0) {
-      buttons = dialogButtons;
-      log('DEBUG', `${buttons.length} dialog buttons detected`);
-    } else {
-      return { action: 'wait', reason: 'No buttons in chat panel or dialogs' };
-    }
-  }
-  
-  // SMART PRIORITY: Modal dialogs first (Allow, Yes, OK), then Keep, then Continue
-  const priorityOrder = ['Allow', 'Yes', 'OK', 'Keep', 'Proceed', 'Run', 'Continue'];
-  
-  // Sort buttons by priority
-  buttons.sort((a, b) => {
-    const aPri = priorityOrder.indexOf(a.text);
-    const bPri = priorityOrder.indexOf(b.text);
-    return aPri - bPri;
-  });
-  
-  // If we've clicked the same button 2+ times, skip to next button type
-  let candidateIndex = 0;
-  if (state.sameButtonCount >= 2 && buttons.length > 1) {
-    // Find a DIFFERENT button type
-    for (let i = 0; i < buttons.length; i++) {
-      if (buttons[i].text !== state.lastClickedButton) {
-        candidateIndex = i;
-        log('DECIDE', `Switching from "${state.lastClickedButton}" to "${buttons[i].text}" (stuck detection)`);
-        break;
-      }
-    }
+// Which matches sit on an actual button (engine minClickable)
+async function loadShapes(imagePath) {
+  try {
+    return await shapes.load(imagePath);
+  } catch (err) {
+    log('ERROR', 'Button shape check failed', err.message);
+    return null;
   }
+}
+
+async function decide(ocrResult, imagePath) {
+  const window = await windowContext(getDriver(), engine.policy);
+  const images = await findImages(imagePath);
+  const decision = engine.decide(ocrResult.words, { window, images, shapes: await loadShapes(imagePath) });
   
-  const best = buttons[candidateIndex];
-  
-  // CONFIRMATION: Must see the same button in same position twice before clicking
-  const buttonKey = `${best.text}@${Math.round(best.x/50)}x${Math.round(best.y/50)}`; // Bucket position
-  
-  if (state.pendingButton === buttonKey) {
-    state.pendingCount++;
-  } else {
-    state.pendingButton = buttonKey;
-    state.pendingCount = 1;
+  // Refused by the safety policy - tell the Gateway instead of clicking
+  for (const denial of decision.denied || []) {
+    log('DENIED', `"${denial.target.pattern}" at (${denial.target.x}, ${denial.target.y})`, denial.verdict.reason);
+    gateway.notify(deniedEvent(denial));
   }
   
-  if (state.pendingCount < CONFIG.confirmScans) {
-    log('DECIDE', `Saw "${best.text}" - waiting for confirmation (${state.pendingCount}/${CONFIG.confirmScans})`);
-    return { action: 'wait', reason: 'Confirming button is real' };
+  // Log all found buttons for debugging
+  if (decision.candidates.length > 0) {
+    log('DEBUG', `Found ${decision.candidates.length} buttons:`, 
+      decision.candidates.map(b => `"${b.text}"@(${b.x},${b.y}) conf:${Math.round(b.confidence)} score:${b.score.toFixed(2)}` +
+        (b.clickable !== undefined ? ` button:${b.clickable.toFixed(2)}` : '')).join(' | '));
   }
   
-  // Reset pending after we decide to click
-  state.pendingButton = null;
-  state.pendingCount = 0;
-  
-  // Track what we're clicking
-  if (best.text === state.lastClickedButton) {
-    state.sameButtonCount++;
-  } else {
-    state.sameButtonCount = 1;
-    state.lastClickedButton = best.text;
+  if (decision.action === 'click') {
+    const best = decision.target;
+    log('FOUND', `"${best.pattern}" CONFIRMED at (${best.x}, ${best.y})`);
   }
-  state.lastClickedPos = { x: best.x, y: best.y };
   
-  log('FOUND', `"${best.text}" CONFIRMED at (${best.x}, ${best.y})`);
-  return { action: 'click', x: best.x, y: best.y, reason: `Confirmed: "${best.match}"` };
+  return decision;
 }
 
 // ══════════════════════════════════════════════════════════════
@@ -376,38 +317,46 @@ async function ghostLoop() {
   
   log('SCAN', 'Checking...');
   
-  const imgPath = screenshot();
+  const imgPath = await screenshot();
   if (!imgPath) {
     setTimeout(ghostLoop, CONFIG.pollInterval);
     return;
   }
   
-  const ocrResult = await ocr(imgPath);
+  // Target window behind another app - its buttons aren't ours to click
+  const behind = backgroundWindow(getDriver().space);
+  if (behind) {
+    log('DEBUG', `"${behind.title}" is not in front - waiting`);
+    setTimeout(ghostLoop, CONFIG.pollInterval);
+    return;
+  }
+  
+  const ocrResult = await scan(imgPath);
+  getDriver().space?.tag(ocrResult.words);  // Monitor ids
   log('DEBUG', `${ocrResult.words.length} words`);
   
   // Report what D0T sees (notifications, errors, etc) to Brain
   reportSights(ocrResult.words, ocrResult.text);
   
-  const decision = decide(ocrResult);
+  const decision = await decide(ocrResult, imgPath);
   
   // Report to Brain
   reportToBrain({
     status: decision.action === 'click' ? 'clicking' : 'watching',
     words: ocrResult.words.length,
-    buttons: findButtons(ocrResult.words).length,
-    action: decision.action === 'click' ? { x: decision.x, y: decision.y, reason: decision.reason } : null,
+    buttons: decision.candidates.length,
+    action: decision.action === 'click' ? { x: decision.target.x, y: decision.target.y, reason: decision.reason } : null,
   });
   
+  log('DECIDE', decision.reason);
   if (decision.action === 'click') {
-    log('DECIDE', decision.reason);
-    if (click(decision.x, decision.y)) {
+    if (await click(decision.target.x, decision.target.y)) {
+      engine.recordClick(decision.target);
       state.failedAttempts = 0;
+      screen.reset();  // Full read after the click
     }
-  } else {
-    log('DECIDE', decision.reason);
   }
   
-  setTimeout(() => { state.actionsThisMinute = Math.max(0, state.actionsThisMinute - 1); }, 60000);
   setTimeout(ghostLoop, CONFIG.pollInterval);
 }
 
@@ -420,7 +369,7 @@ async function start() {
 ╔═══════════════════════════════════════════════════════════════╗
 ║                    D0T GH0ST MODE v2                          ║
 ║  👻 Active Ghost with Decision Making                         ║
-║  🎯 Watches: ${CONFIG.watchPatterns.join(', ')}
+║  🎯 Watches: ${engine.config.patterns.join(', ')}
 ║  🧠 Falls back to known positions                             ║
 ║  Press Ctrl+C to stop                                         ║
 ╚═══════════════════════════════════════════════════════════════╝
@@ -431,9 +380,9 @@ async function start() {
   await ghostLoop();
 }
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   state.running = false;
-  if (state.worker) state.worker.terminate();
+  await terminateWorker();
   log('INFO', 'Stopped');
   process.exit(0);
 });
@@ -441,11 +390,6 @@ process.on('SIGINT', () => {
 // Crash resilience - don't die on uncaught errors
 process.on('uncaughtException', (err) => {
   log('ERROR', 'Uncaught exception (recovering):', err.message);
-  // Reset worker on crash
-  if (state.worker) {
-    try { state.worker.terminate(); } catch (e) {}
-    state.worker = null;
-  }
 });
 
 process.on('unhandledRejection', (reason) => {
@@ -6,7 +6,12 @@
 const { app, BrowserWindow, Tray, Menu, globalShortcut, screen, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { execSync } = require('child_process');
+const { getDriver } = require('./drivers');
+const { backgroundWindow } = require('./drivers/window-target');
+const { createEngine } = require('./engine');
+const { windowContext } = require('./policy');
+const { connectGateway, deniedEvent } = require('./gateway-client');
+const { Recorder } = require('./recorder');
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STATE
@@ -16,6 +21,7 @@ let dotWindow = null;
 let dashWindow = null;
 let tray = null;
 let ghostInterval = null;  // Ghost mode watcher
+let recorder = null;  // Macro recorder (tray Start/Stop Recording)
 
 const state = {
   active: false,
@@ -140,82 +146,35 @@ function setMode(modeName) {
 // MOUSE CONTROL
 // ═══════════════════════════════════════════════════════════════════════════
 
-function ps(script) {
-  const temp = path.join(__dirname, '_ps.ps1');
-  fs.writeFileSync(temp, script);
-  try {
-    return execSync(`powershell -ExecutionPolicy Bypass -File "${temp}"`, { 
-      encoding: 'utf8', 
-      windowsHide: true 
-    }).trim();
-  } finally {
-    try { fs.unlinkSync(temp); } catch {}
-  }
-}
-
-function mouseMove(x, y) {
+async function mouseMove(x, y) {
   if (!state.mouse) {
     console.log('⚠️ Mouse disabled in current mode');
     return false;
   }
-  ps(`
-Add-Type -AssemblyName System.Windows.Forms
-[System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point(${x}, ${y})
-`);
+  await getDriver().move(x, y);
   return true;
 }
 
 function mousePos() {
-  const result = ps(`
-Add-Type -AssemblyName System.Windows.Forms
-$p = [System.Windows.Forms.Cursor]::Position
-Write-Output "$($p.X),$($p.Y)"
-`);
-  const [x, y] = result.split(',').map(Number);
-  return { x, y };
+  return getDriver().cursor();
 }
 
-function screenshot(filename) {
+// monitor: 'all', 'primary' or a display id (default: --monitor / D0T_MONITOR)
+async function screenshot(filename, monitor) {
   if (!state.screenshot) return null;
   
   const out = path.resolve(filename || `d0t-${Date.now()}.png`);
-  ps(`
-Add-Type -AssemblyName System.Windows.Forms
-Add-Type -AssemblyName System.Drawing
-$s = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds
-$b = New-Object System.Drawing.Bitmap($s.Width, $s.Height)
-$g = [System.Drawing.Graphics]::FromImage($b)
-$g.CopyFromScreen(0, 0, 0, 0, $b.Size)
-$b.Save('${out.replace(/\\/g, '\\\\')}')
-$g.Dispose()
-$b.Dispose()
-`);
+  await getDriver().capture(out, { monitor });
   console.log(`📸 ${out}`);
   return out;
 }
 
-function mouseClick(x, y) {
+async function mouseClick(x, y) {
   if (!state.mouse) {
     console.log('⚠️ Mouse disabled in current mode');
     return false;
   }
-  ps(`
-Add-Type -AssemblyName System.Windows.Forms
-Add-Type @"
-using System;
-using System.Runtime.InteropServices;
-public class MouseOps {
-    [DllImport("user32.dll")]
-    public static extern void mouse_event(int dwFlags, int dx, int dy, int dwData, int dwExtraInfo);
-    public const int MOUSEEVENTF_LEFTDOWN = 0x02;
-    public const int MOUSEEVENTF_LEFTUP = 0x04;
-}
-"@
-[System.Windows.Forms.Cursor]::Position = New-Object System.Drawing.Point(${x}, ${y})
-Start-Sleep -Milliseconds 50
-[MouseOps]::mouse_event([MouseOps]::MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0)
-[MouseOps]::mouse_event([MouseOps]::MOUSEEVENTF_LEFTUP, 0, 0, 0, 0)
-`);
+  await getDriver().click(x, y);
   console.log(`🖱️ Clicked at (${x}, ${y})`);
   return true;
 }
@@ -225,8 +184,9 @@ Start-Sleep -Milliseconds 50
 // Watches for Claude pause buttons and clicks them automatically
 // ═══════════════════════════════════════════════════════════════════════════
 
-const GHOST_BUTTONS = ['Continue', 'Allow', 'Keep', 'Run', 'Yes', 'OK', 'Proceed'];
 const GHOST_POLL_MS = 3000;
+const ghostEngine = createEngine('electron');
+let ghostGateway = null;
 
 async function ghostScan() {
   if (!state.ghostActive) return;
@@ -234,18 +194,33 @@ async function ghostScan() {
   try {
     // Take screenshot
     const imgPath = path.join(__dirname, 'ghost-screen.png');
-    screenshot(imgPath);
+    await screenshot(imgPath);
+    
+    // Target window (--window=) behind another app - not ours to click
+    const behind = backgroundWindow(getDriver().space);
+    if (behind) {
+      console.log(`👻 "${behind.title}" is not in front - waiting`);
+      return;
+    }
     
     // OCR with vision-core
     const vision = require('./vision-core.js');
     const result = await vision.readScreen(imgPath);
+    getDriver().space?.tag(result.words);  // Monitor ids
     
-    if (result.bestAction && result.bestAction.x && result.bestAction.y) {
-      const btn = result.bestAction;
-      console.log(`👻 Ghost found "${btn.match}" at (${btn.x}, ${btn.y})`);
+    const window = await windowContext(getDriver(), ghostEngine.policy);
+    const decision = ghostEngine.decide(result.words, { window });
+    for (const denial of decision.denied || []) {
+      console.log(`🛡️ Ghost refused "${denial.target.pattern}": ${denial.verdict.reason}`);
+      ghostGateway.notify(deniedEvent(denial));
+    }
+    if (decision.action === 'click') {
+      const btn = decision.target;
+      console.log(`👻 Ghost found "${btn.text}" at (${btn.x}, ${btn.y})`);
       
       // Click it!
-      mouseClick(btn.x, btn.y);
+      await mouseClick(btn.x, btn.y);
+      ghostEngine.recordClick(btn);
       state.ghostStats.clicks++;
       state.ghostStats.lastClick = new Date().toISOString();
       
@@ -260,8 +235,10 @@ function startGhost() {
   if (ghostInterval) return; // Already running
   
   state.ghostActive = true;
+  ghostEngine.reset();
+  if (!ghostGateway) ghostGateway = connectGateway('electron-ghost');
   console.log(`\n👻 GHOST MODE ACTIVATED`);
-  console.log(`   Watching for: ${GHOST_BUTTONS.join(', ')}`);
+  console.log(`   Watching for: ${ghostEngine.config.patterns.join(', ')}`);
   console.log(`   Poll interval: ${GHOST_POLL_MS}ms\n`);
   
   ghostInterval = setInterval(ghostScan, GHOST_POLL_MS);
@@ -273,10 +250,40 @@ function stopGhost() {
     clearInterval(ghostInterval);
     ghostInterval = null;
   }
+  if (ghostGateway) {
+    ghostGateway.close();
+    ghostGateway = null;
+  }
   state.ghostActive = false;
   console.log(`👻 Ghost mode deactivated (${state.ghostStats.clicks} total clicks)`);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// RECORDING - Record a workflow into a replayable task (recorder.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function toggleRecording() {
+  if (!recorder) {
+    // The watcher died - stop and save what was recorded
+    const current = new Recorder({
+      onError: () => {
+        if (recorder === current) toggleRecording();
+      },
+    });
+    recorder = current;
+    recorder.start();
+    updateTray();
+    return;
+  }
+  
+  const current = recorder;
+  recorder = null;
+  updateTray();
+  current.stop()
+    .then(({ file, error }) => console.log(`⏺️ Recording saved: ${file}${error ? ` (stopped early: ${error})` : ''}`))
+    .catch(err => console.log(`⏺️ Recording failed: ${err.message}`));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SYSTEM TRAY
 // ═══════════════════════════════════════════════════════════════════════════
@@ -308,6 +315,7 @@ function updateTray() {
     }},
     { type: 'separator' },
     { label: state.ghostActive ? `👻 Ghost: ${state.ghostStats.clicks} clicks` : '👻 Ghost: OFF', enabled: false },
+    { label: recorder ? '⏹️ Stop Recording' : '⏺️ Start Recording', click: toggleRecording },
     { label: state.active ? 'Hide D0T' : 'Show D0T', click: toggleDot },
     { type: 'separator' },
     { label: 'Quit', click: () => app.quit() }
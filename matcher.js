@@ -0,0 +1,190 @@
+/**
+ * D0T MATCHER
+ * ══════════════════════════════════════════════════════════════
+ *
+ * One text matcher for every D0T entry point (agent find, vision-core
+ * findPatterns, ghost buttons, timeout sensor).
+ *
+ * - Phrase search: "Allow and Review" matches across neighbouring words
+ *   on the same OCR line and returns the merged bounding box
+ * - Fuzzy search: Levenshtein similarity so OCR slips ("Contlnue") still
+ *   match, with a configurable threshold
+ * - Every match carries a score (1 = exact)
+ *
+ * Words are the shape produced by vision-core extractWords():
+ *   { text, x, y, bbox: {x0, y0, x1, y1}, confidence, lineId }
+ */
+
+const DEFAULT_THRESHOLD = 0.8;
+
+// ══════════════════════════════════════════════════════════════
+// TEXT HELPERS
+// ══════════════════════════════════════════════════════════════
+
+function normalize(text, caseSensitive) {
+  const trimmed = text.trim();
+  // Strip quotes/punctuation OCR glues onto words ("Continue", -> Continue)
+  const stripped = trimmed.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+  const result = stripped || trimmed;
+  return caseSensitive ? result : result.toLowerCase();
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Similarity between 0 and 1 (1 = identical)
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - levenshtein(a, b) / longest;
+}
+
+// ══════════════════════════════════════════════════════════════
+// MATCHING
+// ══════════════════════════════════════════════════════════════
+
+function groupLines(words) {
+  const lines = new Map();
+  words.forEach((word, i) => {
+    // Words without line info (older callers) each stand alone
+    const key = word.lineId ?? `word-${i}`;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push(word);
+  });
+  for (const line of lines.values()) {
+    line.sort((a, b) => (a.bbox?.x0 ?? a.x) - (b.bbox?.x0 ?? b.x));
+  }
+  return [...lines.values()];
+}
+
+function mergeWords(window) {
+  if (!window[0].bbox) {
+    return { ...window[0] };
+  }
+  const bbox = {
+    x0: Math.min(...window.map(w => w.bbox.x0)),
+    y0: Math.min(...window.map(w => w.bbox.y0)),
+    x1: Math.max(...window.map(w => w.bbox.x1)),
+    y1: Math.max(...window.map(w => w.bbox.y1)),
+  };
+  return {
+    ...window[0],
+    text: window.map(w => w.text).join(' '),
+    x: Math.round((bbox.x0 + bbox.x1) / 2),
+    y: Math.round((bbox.y0 + bbox.y1) / 2),
+    width: bbox.x1 - bbox.x0,
+    height: bbox.y1 - bbox.y0,
+    bbox,
+    confidence: window.reduce((sum, w) => sum + (w.confidence || 0), 0) / window.length,
+  };
+}
+
+function scoreWindow(window, query, options) {
+  const { exact, fuzzy, threshold, caseSensitive } = options;
+  const tokens = window.map(w => normalize(w.text, caseSensitive));
+  const text = tokens.join(' ');
+
+  if (text === query) return 1;
+
+  let score = 0;
+
+  // Substring: "Continue" in "Continue," or a phrase inside a longer line
+  if (!exact && text.includes(query)) {
+    score = query.length / text.length;
+  }
+
+  // Fuzzy: compare without spaces so split/merged OCR words still line up
+  if (fuzzy) {
+    const fuzzyScore = similarity(text.replace(/\s+/g, ''), query.replace(/\s+/g, ''));
+    if (fuzzyScore >= threshold) score = Math.max(score, fuzzyScore);
+  }
+
+  return score;
+}
+
+/**
+ * Find a word or phrase among OCR words
+ * @param {array} words - OCR words (text, bbox, lineId, confidence)
+ * @param {string} query - Text to find, one or more words
+ * @param {object} options - { exact, fuzzy, threshold, caseSensitive, minConfidence }
+ *   exact         - Whole words only (no substring matches)
+ *   fuzzy         - Allow edit-distance matches scoring >= threshold
+ *   threshold     - Minimum fuzzy similarity, 0-1 (default 0.8)
+ *   minConfidence - Ignore words below this OCR confidence (same scale as words)
+ * @returns {array} Matches, best first: merged word fields + score + words
+ */
+function matchText(words, query, options = {}) {
+  const opts = {
+    exact: false,
+    fuzzy: false,
+    threshold: DEFAULT_THRESHOLD,
+    caseSensitive: false,
+    minConfidence: null,
+    ...options,
+  };
+
+  const normalizedQuery = query.trim().split(/\s+/).map(t => normalize(t, opts.caseSensitive)).join(' ');
+  if (!normalizedQuery) return [];
+
+  const queryLength = normalizedQuery.split(' ').length;
+  const candidates = opts.minConfidence == null
+    ? words
+    : words.filter(w => (w.confidence ?? 0) >= opts.minConfidence);
+
+  // OCR splits and merges words, so fuzzy search also tries one word more/less
+  const sizes = opts.fuzzy
+    ? [queryLength - 1, queryLength, queryLength + 1].filter(n => n >= 1)
+    : [queryLength];
+
+  const matches = [];
+  for (const line of groupLines(candidates)) {
+    const lineMatches = [];
+    for (const size of sizes) {
+      for (let start = 0; start + size <= line.length; start++) {
+        const window = line.slice(start, start + size);
+        const score = scoreWindow(window, normalizedQuery, opts);
+        if (score > 0) {
+          lineMatches.push({ start, end: start + size, score, window });
+        }
+      }
+    }
+
+    // Keep the best of any overlapping windows on this line
+    lineMatches.sort((a, b) => b.score - a.score || (a.end - a.start) - (b.end - b.start));
+    const taken = [];
+    for (const m of lineMatches) {
+      if (taken.some(t => m.start < t.end && t.start < m.end)) continue;
+      taken.push(m);
+      matches.push({ ...mergeWords(m.window), score: m.score, words: m.window });
+    }
+  }
+
+  // Best score first; stable sort keeps reading order among ties
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  matchText,
+  levenshtein,
+  similarity,
+  DEFAULT_THRESHOLD,
+};
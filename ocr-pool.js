@@ -0,0 +1,249 @@
+/**
+ * D0T OCR Pool - Shared Tesseract workers for every caller
+ * ══════════════════════════════════════════════════════════════
+ *
+ * One pool per process (vision-core getWorker()) instead of a worker per
+ * module with its own crash handling:
+ * - size workers, started lazily as jobs arrive
+ * - Job queue ordered by priority (higher first), then arrival
+ * - Per-job timeout; a failed or stuck job restarts its worker and is
+ *   retried once on the fresh one
+ * - Periodic health checks OCR a tiny probe image on idle workers and
+ *   restart the ones that don't answer
+ *
+ * The pool (and pool.client()) has the same recognize(image, options, output)
+ * as a Tesseract worker, so it drops in wherever a worker was used.
+ *
+ * Usage:
+ *   const pool = new OCRPool({ size: 2 });
+ *   const { data } = await pool.recognize('screenshot.png', {}, { blocks: true });
+ *   const urgent = pool.client({ priority: 10, timeout: 5000 });
+ *   await urgent.recognize(buffer, {}, { blocks: true });
+ *   console.log(pool.status());
+ *   await pool.terminate();
+ */
+
+const Tesseract = require('tesseract.js');
+const sharp = require('sharp');
+
+const DEFAULTS = {
+  size: 1,                // Workers (each holds ~100MB of language data)
+  language: 'eng',
+  timeout: 30000,         // Per job, including waiting for a worker to start
+  retries: 1,             // Extra attempts on a restarted worker
+  healthInterval: 60000,  // 0 = no periodic health checks
+  healthTimeout: 10000,
+};
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(message);
+      err.timeout = true;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Tiny white image for health checks
+let probe = null;
+async function probeImage() {
+  if (!probe) {
+    probe = await sharp({ create: { width: 64, height: 32, channels: 3, background: '#ffffff' } })
+      .withMetadata({ density: 72 })
+      .png()
+      .toBuffer();
+  }
+  return probe;
+}
+
+class OCRPool {
+  /**
+   * @param {object} options - { size, language, timeout, retries, healthInterval, healthTimeout }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.slots = [];
+    this.queue = [];
+    this.sequence = 0;
+    this.closed = false;
+    this.healthTimer = null;
+    this.stats = { jobs: 0, failed: 0, timeouts: 0, restarts: 0 };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // JOBS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Queue an OCR job - same arguments as a Tesseract worker, plus job settings
+   * @param {string|Buffer} image - Path or image buffer
+   * @param {object} options - Tesseract recognize options
+   * @param {object} output - Tesseract output selection ({ blocks: true })
+   * @param {object} job - { priority, timeout }
+   * @returns {Promise<{data: object}>}
+   */
+  recognize(image, options = {}, output = {}, job = {}) {
+    if (this.closed) return Promise.reject(new Error('OCR pool is terminated'));
+
+    return new Promise((resolve, reject) => {
+      this.enqueue({
+        image,
+        options,
+        output,
+        priority: job.priority || 0,
+        timeout: job.timeout || this.options.timeout,
+        attempts: 0,
+        seq: this.sequence++,
+        resolve,
+        reject,
+      });
+      this.startHealthChecks();
+      this.dispatch();
+    });
+  }
+
+  /**
+   * A worker-shaped view of the pool with fixed job settings
+   * @param {object} job - { priority, timeout }
+   */
+  client(job = {}) {
+    return {
+      recognize: (image, options, output) => this.recognize(image, options, output, job),
+    };
+  }
+
+  enqueue(job) {
+    this.queue.push(job);
+    this.queue.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+  }
+
+  dispatch() {
+    while (this.queue.length > 0 && !this.closed) {
+      let slot = this.slots.find(s => !s.busy);
+      if (!slot && this.slots.length < this.options.size) slot = this.addSlot();
+      if (!slot) return;
+      this.run(slot, this.queue.shift());
+    }
+  }
+
+  async run(slot, job) {
+    slot.busy = true;
+    job.attempts++;
+
+    try {
+      const message = `OCR job timed out after ${job.timeout}ms`;
+      const worker = await withTimeout(slot.worker, job.timeout, message);
+      const result = await withTimeout(worker.recognize(job.image, job.options, job.output), job.timeout, message);
+      slot.jobs++;
+      this.stats.jobs++;
+      job.resolve(result);
+    } catch (caught) {
+      // Tesseract rejects with plain strings
+      const err = caught instanceof Error ? caught : new Error(String(caught));
+      slot.lastError = err.message;
+      if (err.timeout) this.stats.timeouts++;
+      this.restart(slot, err.message);
+
+      if (job.attempts <= this.options.retries && !this.closed) {
+        this.enqueue(job);
+      } else {
+        this.stats.failed++;
+        job.reject(err);
+      }
+    } finally {
+      slot.busy = false;
+      this.dispatch();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // WORKERS
+  // ═══════════════════════════════════════════════════════════════
+
+  addSlot() {
+    const slot = { id: this.slots.length, worker: this.spawn(), busy: false, jobs: 0, restarts: 0, lastError: null };
+    this.slots.push(slot);
+    return slot;
+  }
+
+  spawn() {
+    // Without an errorHandler Tesseract throws a rejected job out of the
+    // worker's message handler - the job's own promise already rejects
+    const worker = Tesseract.createWorker(this.options.language, undefined, { errorHandler: () => {} });
+    // A failed start surfaces in the job waiting on it
+    worker.catch(() => {});
+    return worker;
+  }
+
+  restart(slot, reason) {
+    if (this.closed) return;
+    const old = slot.worker;
+    slot.worker = this.spawn();
+    slot.restarts++;
+    this.stats.restarts++;
+    old.then(w => w.terminate()).catch(() => {});
+    console.log(`♻️ OCR worker ${slot.id} restarted: ${reason}`);
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer || !this.options.healthInterval) return;
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch(() => {});
+    }, this.options.healthInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * OCR a probe image on every idle worker, restart the ones that fail
+   * @returns {Promise<object>} status()
+   */
+  async checkHealth() {
+    const image = await probeImage();
+    const timeout = this.options.healthTimeout;
+
+    await Promise.all(this.slots.filter(s => !s.busy).map(async (slot) => {
+      slot.busy = true;
+      try {
+        const worker = await withTimeout(slot.worker, timeout, 'Health check timed out');
+        await withTimeout(worker.recognize(image), timeout, 'Health check timed out');
+      } catch (err) {
+        slot.lastError = `Health check: ${err.message || err}`;
+        this.restart(slot, slot.lastError);
+      } finally {
+        slot.busy = false;
+      }
+    }));
+
+    this.dispatch();
+    return this.status();
+  }
+
+  status() {
+    return {
+      size: this.options.size,
+      queued: this.queue.length,
+      stats: { ...this.stats },
+      workers: this.slots.map(({ id, busy, jobs, restarts, lastError }) => ({ id, busy, jobs, restarts, lastError })),
+    };
+  }
+
+  /**
+   * Stop all workers; queued jobs fail
+   */
+  async terminate() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    for (const job of this.queue.splice(0)) job.reject(new Error('OCR pool is terminated'));
+    await Promise.all(this.slots.map(s => s.worker.then(w => w.terminate()).catch(() => {})));
+    this.slots = [];
+  }
+}
+
+module.exports = {
+  OCRPool,
+  DEFAULTS,
+};
@@ -0,0 +1,286 @@
+/**
+ * D0T POLICY - Safety check for auto-approval clicks
+ * ══════════════════════════════════════════════════════════════
+ *
+ * "Allow" is only safe if we know what is being allowed. Before the
+ * decision engine clicks a button, the policy reads the OCR text around
+ * it (the dialog / terminal prompt it belongs to) plus the active window
+ * title and checks both against allow/deny rules.
+ *
+ * RULES:
+ *   {
+ *     name: 'force push',
+ *     action: 'deny' | 'ask' | 'allow',
+ *     pattern: 'git\\s+push.*--force',  // Regex on the context text (case-insensitive)
+ *     keywords: ['password', 'token'],  // Any of these words in the context
+ *     window: 'Visual Studio Code',     // Regex on the active window title
+ *     buttons: ['Allow', 'Run'],        // Only for these button patterns
+ *   }
+ * Every condition given must match. When the window title can't be read,
+ * window conditions of deny / ask rules count as matching (fail closed)
+ * and those of allow rules as not matching. Deny rules win over ask rules, which
+ * win over allow rules; with no matching rule the defaultAction applies
+ * ('allow', or 'deny' to turn the rules into an allowlist). 'ask' sends the
+ * click to a human through the Gateway approval queue when the caller
+ * supports it (autonomous.js) and is treated as "don't click" otherwise.
+ *
+ * CONFIG (d0t-policy.json next to this file, or --policy=path / D0T_POLICY):
+ *   { "defaultAction": "allow", "useDefaults": true, "rules": [...] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, 'd0t-policy.json');
+
+// How far around the button to read (px) - roughly one dialog
+const DEFAULT_CONTEXT_RADIUS = { x: 600, y: 300 };
+
+// ══════════════════════════════════════════════════════════════
+// DEFAULT RULES
+// ══════════════════════════════════════════════════════════════
+
+const DEFAULT_RULES = [
+  {
+    name: 'recursive force delete',
+    action: 'deny',
+    pattern: '\\brm\\s+(-[a-z]*r[a-z]*f|-[a-z]*f[a-z]*r|-r\\s+-f|-f\\s+-r|--recursive\\s+--force)',
+  },
+  {
+    name: 'windows recursive delete',
+    action: 'deny',
+    pattern: '(remove-item\\b.*-recurse|\\brd\\s+/s\\b|\\brmdir\\s+/s\\b|\\bdel\\s+/[sfq]\\b)',
+  },
+  {
+    name: 'git force push',
+    action: 'deny',
+    pattern: '\\bgit\\s+push\\b.*(--force\\b|--force-with-lease\\b|\\s-f\\b|\\s\\+\\S+)',
+  },
+  {
+    name: 'git history rewrite',
+    action: 'deny',
+    pattern: '\\bgit\\s+(reset\\s+--hard|clean\\s+-[a-z]*f|branch\\s+-D|filter-branch)\\b',
+  },
+  {
+    name: 'disk wipe',
+    action: 'deny',
+    pattern: '(\\bmkfs(\\.\\w+)?\\b|\\bdd\\s+if=|\\bformat\\s+[a-z]:|\\bdiskpart\\b)',
+  },
+  {
+    name: 'drop database',
+    action: 'deny',
+    pattern: '\\bdrop\\s+(table|database|schema)\\b',
+  },
+  {
+    name: 'pipe to shell',
+    action: 'deny',
+    pattern: '\\b(curl|wget|iwr|invoke-webrequest)\\b[^|\\n]*\\|\\s*(sudo\\s+)?(ba|z)?sh\\b|\\biex\\b',
+  },
+  {
+    name: 'credentials prompt',
+    action: 'deny',
+    pattern: '\\b(password|passphrase|passcode|api[\\s_-]?key|secret\\s+key|access\\s+token|private\\s+key|credentials?|sudo)\\b',
+  },
+];
+
+// ══════════════════════════════════════════════════════════════
+// CONTEXT
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Collect the OCR text near a button, in reading order
+ * @param {array} words - OCR words (text, x, y, lineId)
+ * @param {object} target - The button { x, y }
+ * @param {object} radius - { x, y } in pixels
+ * @returns {string} Context text, one OCR line per line
+ */
+function contextAround(words, target, radius = DEFAULT_CONTEXT_RADIUS) {
+  const near = words.filter(w =>
+    Math.abs(w.x - target.x) <= radius.x &&
+    Math.abs(w.y - target.y) <= radius.y
+  );
+
+  const lines = new Map();
+  near.forEach((w, i) => {
+    const key = w.lineId ?? `word-${i}`;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push(w);
+  });
+
+  return [...lines.values()]
+    .map(line => line.sort((a, b) => a.x - b.x))
+    .sort((a, b) => a[0].y - b[0].y)
+    .map(line => line.map(w => w.text).join(' '))
+    .join('\n');
+}
+
+// ══════════════════════════════════════════════════════════════
+// POLICY
+// ══════════════════════════════════════════════════════════════
+
+class Policy {
+  /**
+   * @param {object} config - { rules, defaultAction, useDefaults, contextRadius }
+   */
+  constructor(config = {}) {
+    const rules = [
+      ...(config.useDefaults === false ? [] : DEFAULT_RULES),
+      ...(config.rules || []),
+    ];
+    this.rules = rules.map(compileRule);
+    this.defaultAction = config.defaultAction || 'allow';
+    this.contextRadius = { ...DEFAULT_CONTEXT_RADIUS, ...config.contextRadius };
+  }
+
+  /**
+   * True when any rule looks at the window title (callers only fetch it then)
+   */
+  get usesWindow() {
+    return this.rules.some(r => r.window);
+  }
+
+  /**
+   * The area check() reads around a button - callers that OCR only some
+   * regions read this too before acting on a button found in them
+   * @param {object} target - { x, y } in image pixels
+   * @returns {object} { x, y, width, height } (may reach past the image)
+   */
+  contextRegion(target) {
+    const { x, y } = this.contextRadius;
+    return { x: target.x - x, y: target.y - y, width: x * 2, height: y * 2 };
+  }
+
+  /**
+   * Decide whether a click on this button is allowed
+   * @param {array} words - OCR words of the whole screen
+   * @param {object} target - Button from the decision engine { pattern, x, y }
+   * @param {object} context - { window } active window title, null when
+   *   it couldn't be read (windowContext())
+   * @returns {object} { allowed, ask, rule, reason, context }
+   */
+  check(words, target, context = {}) {
+    const text = contextAround(words, target, this.contextRadius);
+    const window = context.window === null ? null : context.window || '';
+    const subject = { text, window, button: target.pattern };
+    const unknown = (rule) => (rule.window && window === null ? ' - window unknown' : '');
+
+    const deny = this.rules.find(r => r.action === 'deny' && ruleMatches(r, subject));
+    if (deny) {
+      return { allowed: false, ask: false, rule: deny.name, reason: `Denied by "${deny.name}"${unknown(deny)}`, context: text };
+    }
+
+    const ask = this.rules.find(r => r.action === 'ask' && ruleMatches(r, subject));
+    if (ask) {
+      return { allowed: true, ask: true, rule: ask.name, reason: `Needs approval ("${ask.name}"${unknown(ask)})`, context: text };
+    }
+
+    const allow = this.rules.find(r => r.action === 'allow' && ruleMatches(r, subject));
+    if (allow) {
+      return { allowed: true, ask: false, rule: allow.name, reason: `Allowed by "${allow.name}"`, context: text };
+    }
+
+    const allowed = this.defaultAction !== 'deny';
+    return {
+      allowed,
+      ask: false,
+      rule: null,
+      reason: allowed ? 'No rule matched' : 'Not on the allowlist',
+      context: text,
+    };
+  }
+}
+
+function compileRule(rule, i) {
+  if (!['allow', 'ask', 'deny'].includes(rule.action)) {
+    throw new Error(`Policy rule ${rule.name || i} needs action "allow", "ask" or "deny"`);
+  }
+  return {
+    ...rule,
+    name: rule.name || `rule ${i + 1}`,
+    pattern: rule.pattern ? toRegex(rule.pattern) : null,
+    keywords: rule.keywords ? rule.keywords.map(k => k.toLowerCase()) : null,
+    window: rule.window ? toRegex(rule.window) : null,
+  };
+}
+
+function toRegex(value) {
+  return value instanceof RegExp ? value : new RegExp(value, 'i');
+}
+
+function ruleMatches(rule, subject) {
+  if (rule.buttons && !rule.buttons.includes(subject.button)) return false;
+  if (rule.window) {
+    // Unknown title: can't rule a deny / ask out, can't vouch for an allow
+    const matches = subject.window === null ? rule.action !== 'allow' : rule.window.test(subject.window);
+    if (!matches) return false;
+  }
+  if (rule.pattern && !rule.pattern.test(subject.text)) return false;
+  if (rule.keywords) {
+    const lower = subject.text.toLowerCase();
+    if (!rule.keywords.some(k => lower.includes(k))) return false;
+  }
+  return true;
+}
+
+// ══════════════════════════════════════════════════════════════
+// LOADING
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Load the policy config from --policy=, D0T_POLICY or d0t-policy.json
+ * @param {string} file - Explicit path (optional)
+ * @returns {Policy}
+ */
+function loadPolicy(file) {
+  const policyPath = file
+    || process.argv.find(a => a.startsWith('--policy='))?.split('=')[1]
+    || process.env.D0T_POLICY
+    || DEFAULT_POLICY_FILE;
+
+  if (!fs.existsSync(policyPath)) {
+    if (policyPath !== DEFAULT_POLICY_FILE) {
+      throw new Error(`Policy file not found: ${policyPath}`);
+    }
+    return new Policy();
+  }
+
+  try {
+    return new Policy(JSON.parse(fs.readFileSync(policyPath, 'utf-8')));
+  } catch (err) {
+    throw new Error(`Invalid policy file ${policyPath}: ${err.message}`);
+  }
+}
+
+let shared = null;
+
+/**
+ * Get the process-wide policy, loading it on first use
+ */
+function getPolicy() {
+  if (!shared) shared = loadPolicy();
+  return shared;
+}
+
+/**
+ * Active window title for window rules, or '' when no rule needs it
+ * @param {object} driver - Driver with windowTitle()
+ * @param {Policy} policy
+ * @returns {Promise<string|null>} null when the title couldn't be read
+ */
+async function windowContext(driver, policy = getPolicy()) {
+  if (!policy?.usesWindow) return '';
+  try {
+    return await driver.windowTitle();
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  Policy,
+  loadPolicy,
+  getPolicy,
+  contextAround,
+  windowContext,
+  DEFAULT_RULES,
+};
@@ -0,0 +1,327 @@
+/**
+ * D0T Gateway Protocol - Message schemas, errors, versioning
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Every inbound message looks like:
+ *   { type: 'click', id: 'c-42', payload: { x: 100, y: 200 } }
+ *
+ * - `id` is optional; when given it is echoed on the reply (and on errors)
+ *   so clients can match replies to in-flight requests
+ * - `payload` is validated against the schema for `type` before any
+ *   handler runs; bad payloads get { type: 'error', code: 'INVALID_PAYLOAD' }
+ * - `hello` / `capabilities` return the descriptor below so clients can
+ *   check the protocol version and what they are allowed to send
+ *
+ * Version: semver. Clients with a different MAJOR version are rejected.
+ */
+
+const PROTOCOL_VERSION = '1.4.0';
+
+// ══════════════════════════════════════════════════════════════
+// ERRORS
+// ══════════════════════════════════════════════════════════════
+
+const ERROR_CODES = {
+  BAD_JSON: 'Message is not valid JSON',
+  BAD_MESSAGE: 'Message must be an object with a string "type"',
+  UNKNOWN_TYPE: 'No such message type',
+  INVALID_PAYLOAD: 'Payload does not match the message schema',
+  UNSUPPORTED_VERSION: 'Client protocol major version is not supported',
+  UNAUTHORIZED: 'Authentication required',
+  FORBIDDEN: 'Token scope does not allow this message',
+  NOT_FOUND: 'Referenced item does not exist',
+  CONFLICT: 'Item is not in a state that allows this',
+  HANDLER_ERROR: 'The command failed while running',
+};
+
+/**
+ * Build an error the Gateway turns into a structured reply
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human readable detail
+ * @param {object} details - Extra data (e.g. field errors)
+ */
+function protocolError(code, message, details) {
+  const err = new Error(message || ERROR_CODES[code]);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// ══════════════════════════════════════════════════════════════
+// MESSAGES
+// ══════════════════════════════════════════════════════════════
+//
+// scope:   minimum token scope ('none' = allowed before auth)
+// payload: field -> { type, required, enum }
+// reply:   type of the direct reply ('ack' when there is nothing to say -
+//          only sent if the message carried an id)
+
+const MESSAGES = {
+  'hello': {
+    scope: 'none',
+    payload: { version: { type: 'string' }, client: { type: 'string' } },
+    reply: 'hello',
+  },
+  'capabilities': {
+    scope: 'none',
+    payload: {},
+    reply: 'capabilities',
+  },
+  'auth': {
+    scope: 'none',
+    payload: { token: { type: 'string', required: true } },
+    reply: 'welcome',
+  },
+  'ping': {
+    scope: 'observe',
+    payload: {},
+    reply: 'pong',
+  },
+  'see': {
+    scope: 'observe',
+    payload: {},
+    reply: 'seeResult',
+  },
+  'getState': {
+    scope: 'observe',
+    payload: {},
+    reply: 'state',
+  },
+  'register': {
+    scope: 'observe',
+    payload: {
+      name: { type: 'string', required: true },
+      version: { type: 'string' },
+      token: { type: 'string' },
+    },
+    reply: 'registered',
+  },
+  'click': {
+    scope: 'act',
+    payload: {
+      x: { type: 'number', required: true },
+      y: { type: 'number', required: true },
+    },
+    reply: 'clickResult',
+  },
+  'clickOn': {
+    scope: 'act',
+    payload: {
+      text: { type: 'string', required: true },
+      options: { type: 'object' },
+    },
+    reply: 'clickOnResult',
+  },
+  'type': {
+    scope: 'act',
+    payload: { text: { type: 'string', required: true } },
+    reply: 'typeResult',
+  },
+  'hotkey': {
+    scope: 'act',
+    payload: { keys: { type: 'string', required: true } },
+    reply: 'hotkeyResult',
+  },
+  'urlBar': {
+    scope: 'act',
+    payload: { url: { type: 'string', required: true } },
+    reply: 'urlBarResult',
+  },
+  'task': {
+    scope: 'act',
+    payload: {
+      name: { type: 'string', required: true },
+      actions: { type: 'array', required: true },
+      sequences: { type: 'object' },
+      priority: { type: 'number' },
+      target: { type: 'object' },
+    },
+    reply: 'taskQueued',
+  },
+  'listTasks': {
+    scope: 'observe',
+    payload: {
+      status: { type: 'string', enum: ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'] },
+    },
+    reply: 'tasks',
+  },
+  'getTask': {
+    scope: 'observe',
+    payload: { id: { type: 'string', required: true } },
+    reply: 'task',
+  },
+  'cancelTask': {
+    scope: 'act',
+    payload: { id: { type: 'string', required: true } },
+    reply: 'taskUpdated',
+  },
+  'pauseTask': {
+    scope: 'act',
+    payload: { id: { type: 'string', required: true } },
+    reply: 'taskUpdated',
+  },
+  'resumeTask': {
+    scope: 'act',
+    payload: { id: { type: 'string', required: true } },
+    reply: 'taskUpdated',
+  },
+  'prioritizeTask': {
+    scope: 'act',
+    payload: {
+      id: { type: 'string', required: true },
+      priority: { type: 'number', required: true },
+    },
+    reply: 'taskUpdated',
+  },
+  'startRecording': {
+    scope: 'act',
+    payload: { name: { type: 'string' } },
+    reply: 'recordingStarted',
+  },
+  'stopRecording': {
+    scope: 'act',
+    payload: { queue: { type: 'boolean' } },
+    reply: 'recordingStopped',
+  },
+  'autonomous-event': {
+    scope: 'act',
+    payload: {
+      type: { type: 'string', required: true },
+      pattern: { type: 'string' },
+      x: { type: 'number' },
+      y: { type: 'number' },
+    },
+    reply: 'ack',
+  },
+  'approval-request': {
+    scope: 'act',
+    payload: {
+      id: { type: 'string' },
+      pattern: { type: 'string', required: true },
+      x: { type: 'number', required: true },
+      y: { type: 'number', required: true },
+      reason: { type: 'string' },
+      context: { type: 'string' },
+      image: { type: 'string' },
+      timeout: { type: 'number' },
+      defaultAction: { type: 'string', enum: ['approve', 'reject'] },
+    },
+    reply: 'ack',
+  },
+  'approval-response': {
+    scope: 'act',
+    payload: {
+      id: { type: 'string', required: true },
+      approved: { type: 'boolean', required: true },
+    },
+    reply: 'ack',
+  },
+  'startAutonomous': {
+    scope: 'admin',
+    payload: {},
+    reply: 'autonomousStarted',
+  },
+  'stopAutonomous': {
+    scope: 'admin',
+    payload: {},
+    reply: 'autonomousStopped',
+  },
+  'setPreference': {
+    scope: 'admin',
+    payload: {
+      key: { type: 'string', required: true },
+      value: { type: 'any', required: true },
+    },
+    reply: 'ack',
+  },
+};
+
+// ══════════════════════════════════════════════════════════════
+// VALIDATION
+// ══════════════════════════════════════════════════════════════
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'nan';
+  return typeof value;
+}
+
+/**
+ * Check a parsed message against its schema
+ * @param {object} msg - { type, id, payload }
+ * @returns {object} The payload (defaulted to {}) - throws a protocolError otherwise
+ */
+function validateMessage(msg) {
+  if (typeOf(msg) !== 'object' || typeof msg.type !== 'string') {
+    throw protocolError('BAD_MESSAGE');
+  }
+  if (msg.id !== undefined && !['string', 'number'].includes(typeOf(msg.id))) {
+    throw protocolError('BAD_MESSAGE', '"id" must be a string or number');
+  }
+
+  const schema = MESSAGES[msg.type];
+  if (!schema) {
+    throw protocolError('UNKNOWN_TYPE', `Unknown message type: ${msg.type}`);
+  }
+
+  const payload = msg.payload === undefined ? {} : msg.payload;
+  if (typeOf(payload) !== 'object') {
+    throw protocolError('INVALID_PAYLOAD', 'payload must be an object');
+  }
+
+  const errors = [];
+  for (const [field, spec] of Object.entries(schema.payload)) {
+    const value = payload[field];
+    if (value === undefined) {
+      if (spec.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    if (spec.type !== 'any' && typeOf(value) !== spec.type) {
+      errors.push({ field, message: `must be ${spec.type}, got ${typeOf(value)}` });
+    } else if (spec.enum && !spec.enum.includes(value)) {
+      errors.push({ field, message: `must be one of ${spec.enum.join(', ')}` });
+    }
+  }
+
+  if (errors.length > 0) {
+    const summary = errors.map(e => `${e.field} ${e.message}`).join('; ');
+    throw protocolError('INVALID_PAYLOAD', `Invalid ${msg.type} payload: ${summary}`, { errors });
+  }
+
+  return payload;
+}
+
+/**
+ * Is a client on the given protocol version compatible with us?
+ */
+function isCompatible(version) {
+  if (!version) return true;
+  return String(version).split('.')[0] === PROTOCOL_VERSION.split('.')[0];
+}
+
+/**
+ * Versioned protocol descriptor for hello / capabilities
+ */
+function describe() {
+  const messages = {};
+  for (const [type, schema] of Object.entries(MESSAGES)) {
+    messages[type] = { scope: schema.scope, payload: schema.payload, reply: schema.reply };
+  }
+  return {
+    name: 'd0t-gateway',
+    version: PROTOCOL_VERSION,
+    messages,
+    errors: ERROR_CODES,
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  MESSAGES,
+  protocolError,
+  validateMessage,
+  isCompatible,
+  describe,
+};
@@ -0,0 +1,276 @@
+/**
+ * D0T Recorder - Turn a demonstration into a replayable task
+ * ══════════════════════════════════════════════════════════════
+ *
+ * Watches global mouse/keyboard input through the driver (watchInput)
+ * and screenshots the screen at every click:
+ * - A click becomes `see` + `clickOn` anchored to the OCR text under the
+ *   cursor, with the recorded position as fallback (plain `click` when
+ *   there is no readable text there)
+ * - Typing becomes `type` steps, shortcuts / special keys `press` steps
+ * - Pauses longer than a moment become `wait` steps (capped)
+ *
+ * The saved file is a task: { name, recordedAt, actions } - send it to the
+ * Gateway `task` message or replay it with `node recorder.js play`.
+ *
+ * Usage:
+ *   node recorder.js record <name>   - Record until Ctrl+C, save recordings/<name>.json
+ *   node recorder.js play <file>     - Replay a recording here
+ *
+ * Also reachable from the Electron tray and the Gateway
+ * (startRecording / stopRecording messages).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDriver } = require('./drivers');
+const vision = require('./vision-core');
+
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+
+// Gaps shorter than this are just human pace, not a deliberate wait
+const MIN_WAIT = 700;
+// Longest wait we replay; the steps after it poll anyway
+const MAX_WAIT = 3000;
+// OCR words further than this from the click don't anchor it
+const ANCHOR_RADIUS = 30;
+// Longest phrase used as an anchor ("Allow and Review")
+const MAX_ANCHOR_WORDS = 4;
+
+// ══════════════════════════════════════════════════════════════
+// ANCHORS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Find the text a click landed on
+ * @param {array} words - OCR words (vision-core, confidence 0-1)
+ * @param {object} point - { x, y } of the click
+ * @returns {string|null} The word / short phrase under the cursor
+ */
+function anchorText(words, point) {
+  const readable = words.filter(w => w.confidence >= 0.6 && /[a-z0-9]/i.test(w.text));
+
+  const distance = (w) => {
+    const dx = Math.max(0, w.bbox.x0 - point.x, point.x - w.bbox.x1);
+    const dy = Math.max(0, w.bbox.y0 - point.y, point.y - w.bbox.y1);
+    return Math.hypot(dx, dy);
+  };
+
+  const hit = readable
+    .filter(w => distance(w) <= ANCHOR_RADIUS)
+    .sort((a, b) => distance(a) - distance(b))[0];
+  if (!hit) return null;
+
+  // Grow into the tight phrase around it (button labels are single-spaced)
+  const line = readable
+    .filter(w => w.lineId === hit.lineId)
+    .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+  const gap = hit.height * 0.8;
+  let first = line.indexOf(hit);
+  let last = first;
+
+  while (last - first + 1 < MAX_ANCHOR_WORDS) {
+    const left = line[first - 1];
+    const right = line[last + 1];
+    if (right && right.bbox.x0 - line[last].bbox.x1 <= gap) last++;
+    else if (left && line[first].bbox.x0 - left.bbox.x1 <= gap) first--;
+    else break;
+  }
+
+  return line.slice(first, last + 1).map(w => w.text).join(' ');
+}
+
+// ══════════════════════════════════════════════════════════════
+// RECORDER
+// ══════════════════════════════════════════════════════════════
+
+class Recorder {
+  /**
+   * @param {object} options - { name, driver, dir, onError }
+   *   onError(err) - The input watcher died; nothing more gets recorded
+   */
+  constructor(options = {}) {
+    // Used as a file name
+    this.name = (options.name || `recording-${Date.now()}`).replace(/[^\w-]+/g, '-');
+    this.driver = options.driver || getDriver();
+    this.dir = options.dir || RECORDINGS_DIR;
+    this.actions = [];
+    this.watcher = null;
+    this.pending = Promise.resolve();
+    this.lastAt = null;
+    this.clicks = 0;
+    this.error = null;
+    this.onError = options.onError || null;
+  }
+
+  get recording() {
+    return this.watcher !== null;
+  }
+
+  get screensDir() {
+    return path.join(this.dir, this.name);
+  }
+
+  start() {
+    if (this.watcher) return;
+    fs.mkdirSync(this.screensDir, { recursive: true });
+
+    this.startedAt = new Date().toISOString();
+    this.watcher = this.driver.watchInput(
+      (event) => this.onEvent(event, Date.now()),
+      (err) => {
+        if (this.error) return;
+        this.error = err;
+        console.error(`❌ Recorder input watcher failed: ${err.message}`);
+        this.onError?.(err);
+      },
+    );
+    console.log(`⏺️ Recording "${this.name}"...`);
+  }
+
+  onEvent(event, at) {
+    if (event.type === 'click') {
+      if (event.button !== 'left') {
+        console.log(`⚠️ Skipping ${event.button} click at (${event.x}, ${event.y}) - only left clicks replay`);
+        return;
+      }
+      // Capture right away, OCR in order behind the other events
+      const file = path.join(this.screensDir, `click-${++this.clicks}.png`);
+      const shot = this.driver.capture(file);
+      // Handled now - the job awaits it only after the OCR ahead of it
+      shot.catch(() => {});
+      this.enqueue(async () => {
+        await shot;
+        const { words } = await vision.read(file);
+        this.addClick(event, anchorText(words, event), at);
+      });
+    } else if (event.type === 'key') {
+      this.enqueue(() => this.addKey(event, at));
+    }
+  }
+
+  enqueue(job) {
+    this.pending = this.pending.then(job).catch((err) => {
+      console.error(`❌ Recorder: ${err.message}`);
+    });
+  }
+
+  addWait(at) {
+    const gap = this.lastAt === null ? 0 : at - this.lastAt;
+    this.lastAt = at;
+    if (gap >= MIN_WAIT) {
+      this.actions.push({ type: 'wait', params: { ms: Math.min(gap, MAX_WAIT) } });
+      return true;
+    }
+    return false;
+  }
+
+  addClick({ x, y }, text, at) {
+    this.addWait(at);
+    if (text) {
+      this.actions.push({ type: 'see' });
+      this.actions.push({ type: 'clickOn', params: { text, fallback: { x, y } } });
+      console.log(`🎯 Click "${text}" (${x}, ${y})`);
+    } else {
+      this.actions.push({ type: 'click', params: { x, y } });
+      console.log(`🖱️ Click (${x}, ${y}) - no text under the cursor`);
+    }
+  }
+
+  addKey({ combo, text }, at) {
+    const waited = this.addWait(at);
+    const previous = this.actions[this.actions.length - 1];
+
+    if (text !== null) {
+      // Keep typing in one step
+      if (!waited && previous?.type === 'type') previous.params.text += text;
+      else this.actions.push({ type: 'type', params: { text } });
+    } else {
+      this.actions.push({ type: 'press', params: { key: combo } });
+      console.log(`⌨️ ${combo}`);
+    }
+  }
+
+  /**
+   * Stop watching, finish OCR of the last clicks and save the task
+   * @returns {Promise<{task: object, file: string, error: string|null}>}
+   *   error - why the watcher died early, if it did (the task has the
+   *   steps recorded until then)
+   */
+  async stop() {
+    if (!this.watcher) throw new Error('Recorder is not running');
+    this.watcher.stop();
+    this.watcher = null;
+    await this.pending;
+
+    const task = {
+      name: this.name,
+      recordedAt: this.startedAt,
+      actions: this.actions,
+    };
+    const file = path.join(this.dir, `${this.name}.json`);
+    fs.writeFileSync(file, JSON.stringify(task, null, 2));
+
+    console.log(`⏹️ Saved ${this.actions.length} steps to ${file}`);
+    return { task, file, error: this.error?.message || null };
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// CLI
+// ══════════════════════════════════════════════════════════════
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'record': {
+      const recorder = new Recorder({ name: arg });
+      recorder.start();
+      console.log('   Press Ctrl+C to stop\n');
+      process.once('SIGINT', async () => {
+        await recorder.stop();
+        await vision.terminateWorker();
+        process.exit(0);
+      });
+      break;
+    }
+
+    case 'play': {
+      if (!arg) throw new Error('Usage: node recorder.js play <file>');
+      const task = JSON.parse(fs.readFileSync(arg, 'utf-8'));
+      const D0TAgent = require('./agent');
+      const agent = new D0TAgent();
+      console.log(`▶️ Playing "${task.name}" (${task.actions.length} steps)`);
+      try {
+        await agent.execute(task.actions, { sequences: task.sequences, target: task.target });
+        console.log('✅ Done');
+      } finally {
+        await agent.cleanup();
+      }
+      break;
+    }
+
+    default:
+      console.log(`
+⏺️ D0T Recorder
+
+Commands:
+  node recorder.js record <name>   - Record clicks and typing until Ctrl+C
+  node recorder.js play <file>     - Replay a saved recording
+      `);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  Recorder,
+  anchorText,
+  RECORDINGS_DIR,
+};
@@ -0,0 +1,297 @@
+/**
+ * D0T Screen Diff - Perceptual screen-change detection
+ * ══════════════════════════════════════════════════════════════
+ *
+ * An MD5 of the PNG flips on one blinking cursor or clock pixel. This
+ * compares downscaled grayscale copies block by block instead:
+ * - A block changed when any of its pixels moved more than pixelThreshold
+ * - ratio = changed blocks / compared blocks
+ * - changed = ratio > threshold (default ~2 blocks at 1080p - a cursor
+ *   blink or a ticking second is not activity)
+ * - regions = changed blocks grouped into screen-space rectangles, so
+ *   callers can OCR just those crops
+ *
+ * Ignore regions ({ x, y, width, height } in screen pixels) are left out
+ * of the comparison entirely - the tray clock, a spinner, a video.
+ *
+ * Usage:
+ *   const screen = new ScreenDiff({ ignore: [{ x: 1800, y: 1040, width: 120, height: 40 }] });
+ *   const diff = await screen.check('screenshot.png');
+ *   if (diff.changed) console.log(diff.ratio, diff.regions);
+ *
+ * CLI:
+ *   node screen-diff.js <before.png> <after.png> [--threshold=0.002] [--ignore=x,y,w,h]
+ */
+
+const sharp = require('sharp');
+
+const DEFAULTS = {
+  sampleWidth: 320,      // Downscale to this width before comparing (1920 -> 6x)
+  blockSize: 8,          // Block edge in sample pixels (48 screen pixels at 1080p)
+  pixelThreshold: 24,    // Gray levels a sample pixel must move to count
+  threshold: 0.002,      // Changed-block ratio above which the screen "changed"
+  ignore: [],            // Screen-space rectangles to leave out
+};
+
+// ══════════════════════════════════════════════════════════════
+// FINGERPRINT
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Downscaled grayscale copy of an image to compare against later
+ * @param {string|Buffer} image - PNG path or buffer
+ * @param {object} options - { sampleWidth }
+ * @returns {Promise<{width, height, sampleWidth, sampleHeight, data: Buffer}>}
+ */
+async function fingerprint(image, options = {}) {
+  const sampleWidth = options.sampleWidth || DEFAULTS.sampleWidth;
+  const source = sharp(image);
+  const { width, height } = await source.metadata();
+
+  const { data, info } = await source
+    .greyscale()
+    .resize({ width: Math.min(sampleWidth, width) })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { width, height, sampleWidth: info.width, sampleHeight: info.height, data };
+}
+
+// ══════════════════════════════════════════════════════════════
+// COMPARE
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Compare two fingerprints
+ * @param {object|null} prev - Earlier fingerprint (null = everything changed)
+ * @param {object} next - Current fingerprint
+ * @param {object} options - { blockSize, pixelThreshold, threshold, ignore }
+ * @returns {{changed: boolean, ratio: number, regions: array, width: number, height: number}}
+ */
+function compare(prev, next, options = {}) {
+  const { blockSize, pixelThreshold, threshold, ignore } = { ...DEFAULTS, ...options };
+  const { width, height, sampleWidth, sampleHeight } = next;
+  const fullScreen = { x: 0, y: 0, width, height };
+
+  if (!prev || prev.sampleWidth !== sampleWidth || prev.sampleHeight !== sampleHeight) {
+    return { changed: true, ratio: 1, regions: [fullScreen], width, height };
+  }
+
+  const scaleX = width / sampleWidth;
+  const scaleY = height / sampleHeight;
+  const ignored = ignoreMask(ignore, sampleWidth, sampleHeight, scaleX, scaleY);
+
+  const cols = Math.ceil(sampleWidth / blockSize);
+  const rows = Math.ceil(sampleHeight / blockSize);
+  const blocks = new Uint8Array(cols * rows);
+  const compared = new Uint8Array(cols * rows);
+
+  for (let y = 0; y < sampleHeight; y++) {
+    for (let x = 0; x < sampleWidth; x++) {
+      const i = y * sampleWidth + x;
+      if (ignored[i]) continue;
+      const block = Math.floor(y / blockSize) * cols + Math.floor(x / blockSize);
+      compared[block] = 1;
+      if (Math.abs(prev.data[i] - next.data[i]) > pixelThreshold) blocks[block] = 1;
+    }
+  }
+
+  const total = compared.reduce((sum, c) => sum + c, 0);
+  const changedBlocks = blocks.reduce((sum, b) => sum + b, 0);
+  const ratio = total === 0 ? 0 : changedBlocks / total;
+
+  const regions = groupBlocks(blocks, cols, rows).map(g => clampRegion({
+    x: Math.floor(g.x0 * blockSize * scaleX),
+    y: Math.floor(g.y0 * blockSize * scaleY),
+    width: Math.ceil((g.x1 - g.x0 + 1) * blockSize * scaleX),
+    height: Math.ceil((g.y1 - g.y0 + 1) * blockSize * scaleY),
+  }, width, height));
+
+  return { changed: ratio > threshold, ratio, regions, width, height };
+}
+
+// 1 for every sample pixel inside an ignore region
+function ignoreMask(ignore, sampleWidth, sampleHeight, scaleX, scaleY) {
+  const mask = new Uint8Array(sampleWidth * sampleHeight);
+  for (const r of ignore) {
+    const x0 = Math.max(0, Math.floor(r.x / scaleX));
+    const y0 = Math.max(0, Math.floor(r.y / scaleY));
+    const x1 = Math.min(sampleWidth, Math.ceil((r.x + r.width) / scaleX));
+    const y1 = Math.min(sampleHeight, Math.ceil((r.y + r.height) / scaleY));
+    for (let y = y0; y < y1; y++) mask.fill(1, y * sampleWidth + x0, y * sampleWidth + x1);
+  }
+  return mask;
+}
+
+// Bounding boxes (in blocks) of 8-connected groups of changed blocks
+function groupBlocks(blocks, cols, rows) {
+  const seen = new Uint8Array(blocks.length);
+  const groups = [];
+
+  for (let start = 0; start < blocks.length; start++) {
+    if (!blocks[start] || seen[start]) continue;
+    const group = { x0: cols, y0: rows, x1: 0, y1: 0 };
+    const stack = [start];
+    seen[start] = 1;
+
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const bx = i % cols;
+      const by = Math.floor(i / cols);
+      group.x0 = Math.min(group.x0, bx);
+      group.y0 = Math.min(group.y0, by);
+      group.x1 = Math.max(group.x1, bx);
+      group.y1 = Math.max(group.y1, by);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = bx + dx;
+          const ny = by + dy;
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+          const n = ny * cols + nx;
+          if (blocks[n] && !seen[n]) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+function clampRegion(r, width, height) {
+  const x = Math.max(0, Math.min(r.x, width));
+  const y = Math.max(0, Math.min(r.y, height));
+  return {
+    x,
+    y,
+    width: Math.min(r.width, width - x),
+    height: Math.min(r.height, height - y),
+  };
+}
+
+// ══════════════════════════════════════════════════════════════
+// REGIONS
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Merge overlapping (or nearly touching) rectangles
+ * @param {array} regions - { x, y, width, height }
+ * @param {number} gap - Merge rectangles closer than this (pixels)
+ * @returns {array} Non-overlapping rectangles covering the same area
+ */
+function mergeRegions(regions, gap = 0) {
+  let merged = regions.map(r => ({ ...r }));
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const out = [];
+    for (const r of merged) {
+      const hit = out.find(o =>
+        r.x <= o.x + o.width + gap && o.x <= r.x + r.width + gap &&
+        r.y <= o.y + o.height + gap && o.y <= r.y + r.height + gap);
+      if (hit) {
+        const x1 = Math.max(hit.x + hit.width, r.x + r.width);
+        const y1 = Math.max(hit.y + hit.height, r.y + r.height);
+        hit.x = Math.min(hit.x, r.x);
+        hit.y = Math.min(hit.y, r.y);
+        hit.width = x1 - hit.x;
+        hit.height = y1 - hit.y;
+        changed = true;
+      } else {
+        out.push(r);
+      }
+    }
+    merged = out;
+  }
+
+  return merged;
+}
+
+/**
+ * Fraction of the screen the regions cover (regions assumed merged)
+ */
+function coverage(regions, width, height) {
+  const area = regions.reduce((sum, r) => sum + r.width * r.height, 0);
+  return Math.min(1, area / (width * height));
+}
+
+// ══════════════════════════════════════════════════════════════
+// SCREEN DIFF
+// ══════════════════════════════════════════════════════════════
+
+class ScreenDiff {
+  /**
+   * @param {object} options - { sampleWidth, blockSize, pixelThreshold, threshold, ignore }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.last = null;
+  }
+
+  /**
+   * Compare a new screenshot with the previous one and remember it
+   * @param {string|Buffer} image - PNG path or buffer
+   * @returns {Promise<object>} See compare() - the first check reports the whole screen
+   */
+  async check(image) {
+    const next = await fingerprint(image, this.options);
+    const diff = compare(this.last, next, this.options);
+    this.last = next;
+    return diff;
+  }
+
+  /**
+   * Forget the previous screenshot (after clicking, the next check counts as changed)
+   */
+  reset() {
+    this.last = null;
+  }
+}
+
+// ══════════════════════════════════════════════════════════════
+// CLI
+// ══════════════════════════════════════════════════════════════
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [before, after] = args.filter(a => !a.startsWith('--'));
+  const flag = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+  if (!before || !after) {
+    console.log('Usage: node screen-diff.js <before.png> <after.png> [--threshold=0.002] [--ignore=x,y,w,h]');
+    process.exit(2);
+  }
+
+  const options = {};
+  if (flag('threshold')) options.threshold = Number(flag('threshold'));
+  if (flag('ignore')) {
+    const [x, y, width, height] = flag('ignore').split(',').map(Number);
+    options.ignore = [{ x, y, width, height }];
+  }
+
+  (async () => {
+    const [a, b] = await Promise.all([fingerprint(before, options), fingerprint(after, options)]);
+    const diff = compare(a, b, options);
+    console.log(`${diff.changed ? '▶️ Changed' : '⏸️ Unchanged'} - ${(diff.ratio * 100).toFixed(2)}% of blocks`);
+    for (const r of mergeRegions(diff.regions)) {
+      console.log(`   (${r.x}, ${r.y}) ${r.width}x${r.height}`);
+    }
+  })().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ScreenDiff,
+  fingerprint,
+  compare,
+  mergeRegions,
+  coverage,
+  DEFAULTS,
+};
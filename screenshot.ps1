@@ -1,11 +1,49 @@
+# Screenshot of the whole virtual desktop (all monitors) or one monitor,
+# in physical pixels on scaled (125% / 150%) displays.
+#
+#   .\screenshot.ps1                       # all monitors -> .\screenshot.png
+#   .\screenshot.ps1 -Monitor primary
+#   .\screenshot.ps1 -Monitor 2 -Out C:\temp\shot.png
+param(
+  [string]$Monitor = "all",
+  [string]$Out = (Join-Path $PSScriptRoot "screenshot.png")
+)
+
 Add-Type -AssemblyName System.Windows.Forms
 Add-Type -AssemblyName System.Drawing
+Add-Type @"
+using System;
+using System.Runtime.InteropServices;
+public class D0TDpi {
+  [DllImport("user32.dll")] static extern IntPtr SetThreadDpiAwarenessContext(IntPtr context);
+  public static void PerMonitor() {
+    try { SetThreadDpiAwarenessContext(new IntPtr(-4)); } catch (EntryPointNotFoundException) { }
+  }
+}
+"@
+
+# Per-monitor aware: Screen bounds and CopyFromScreen in physical pixels
+[D0TDpi]::PerMonitor()
+
+$screens = [System.Windows.Forms.Screen]::AllScreens
+switch ($Monitor) {
+  "all"     { $bounds = [System.Windows.Forms.SystemInformation]::VirtualScreen }
+  "primary" { $bounds = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds }
+  default {
+    # Ids are the \\.\DISPLAY<n> numbers (as `node d0t.js displays`)
+    $match = $screens | Where-Object { $_.DeviceName -match "DISPLAY$Monitor$" } | Select-Object -First 1
+    if (-not $match) {
+      $ids = ($screens | ForEach-Object { $_.DeviceName -replace '.*DISPLAY', '' }) -join ', '
+      throw "Unknown monitor '$Monitor' (available: all, primary, $ids)"
+    }
+    $bounds = $match.Bounds
+  }
+}
 
-$screen = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds
-$bitmap = New-Object System.Drawing.Bitmap($screen.Width, $screen.Height)
+$bitmap = New-Object System.Drawing.Bitmap($bounds.Width, $bounds.Height)
 $graphics = [System.Drawing.Graphics]::FromImage($bitmap)
-$graphics.CopyFromScreen($screen.Location, [System.Drawing.Point]::Empty, $screen.Size)
-$bitmap.Save("c:\workspace\b0b-platform\d0t\screenshot.png")
+$graphics.CopyFromScreen($bounds.Location, [System.Drawing.Point]::Empty, $bounds.Size)
+$bitmap.Save($Out)
 $graphics.Dispose()
 $bitmap.Dispose()
-Write-Host "Screenshot saved to c:\workspace\b0b-platform\d0t\screenshot.png"
+Write-Host "Screenshot ($Monitor, $($bounds.Width)x$($bounds.Height)) saved to $Out"
@@ -7,11 +7,16 @@
  * - Position memory: Learn and reuse button locations
  * - Click cooldown: Don't re-click same button for 10 seconds
  * - State tracking: Only click on NEW button appearances
- * - Fast mode: Use learned positions, skip OCR when possible
+ * - Fast mode: Only OCR learned positions and the chat panel, with a
+ *   full-screen read every few polls
  * - Loop prevention: Detect and escape click loops
  */
 
 const D0TAgent = require('./agent');
+const { learnedRegions } = require('./vision-core');
+const { createEngine } = require('./engine');
+const { windowContext } = require('./policy');
+const { connectGateway, deniedEvent } = require('./gateway-client');
 const fs = require('fs');
 const path = require('path');
 
@@ -22,18 +27,17 @@ const path = require('path');
 const CONFIG = {
   pollInterval: 3000,
   
-  // Buttons to watch (VS Code dialogs)
-  buttons: ['Allow', 'Continue', 'Keep', 'Yes', 'OK', 'Run', 'Proceed', 'Accept'],
-  
-  // SMART: Cooldown per button (ms) - don't re-click same button
-  buttonCooldown: 10000,
-  
-  // SMART: Max clicks on same position before considering it a loop
-  loopThreshold: 3,
+  // SMART: Buttons, per-button cooldown and loop detection - see engine.js
+  engine: 'smart',
   
   // SMART: If we've learned a position, try it first (faster)
   useLearnedFirst: true,
   
+  // SMART: Areas read every poll besides learned positions (vision-core
+  // CONFIG.regions); everything else only on every fullScanEvery-th poll
+  scanRegions: ['vscode-chat', 'vscode-notifications'],
+  fullScanEvery: 5,
+  
   // State file
   stateFile: path.join(__dirname, 'smart-state.json'),
 };
@@ -46,18 +50,17 @@ let state = {
   running: false,
   agent: null,
   
-  // SMART: Track when each button was last clicked
-  lastClickTime: {},  // { "Allow": timestamp, "Continue": timestamp }
+  // SMART: Cooldowns and recent clicks (loop detection)
+  engine: createEngine(CONFIG.engine),
   
-  // SMART: Track click positions to detect loops
-  recentClicks: [],  // [{ x, y, time, button }, ...]
+  // Safety policy refusals go to the Gateway
+  gateway: connectGateway('smart-auto'),
   
   // SMART: Learned button positions
   learned: loadState().learned || {},
   
   // Stats
   totalClicks: 0,
-  loopsAvoided: 0,
 };
 
 function loadState() {
@@ -91,38 +94,21 @@ function log(icon, msg) {
 // SMART CLICK LOGIC
 // ══════════════════════════════════════════════════════════════
 
-function isOnCooldown(button) {
-  const lastClick = state.lastClickTime[button];
-  if (!lastClick) return false;
-  return (Date.now() - lastClick) < CONFIG.buttonCooldown;
-}
-
-function isLoopPosition(x, y) {
-  // Check if we've clicked this position multiple times recently
-  const recent = state.recentClicks.filter(c => 
-    Math.abs(c.x - x) < 50 && 
-    Math.abs(c.y - y) < 50 &&
-    (Date.now() - c.time) < 30000  // Last 30 seconds
-  );
-  return recent.length >= CONFIG.loopThreshold;
-}
-
-function recordClick(button, x, y) {
-  state.lastClickTime[button] = Date.now();
-  state.recentClicks.push({ x, y, time: Date.now(), button });
-  
-  // Keep only last 20 clicks
-  if (state.recentClicks.length > 20) {
-    state.recentClicks = state.recentClicks.slice(-10);
-  }
+function recordClick(target) {
+  state.engine.recordClick(target);
   
   // Learn this position
-  state.learned[button] = { x, y, lastSeen: Date.now() };
+  state.learned[target.pattern] = { x: target.x, y: target.y, lastSeen: Date.now() };
   saveState();
   
   state.totalClicks++;
 }
 
+function scanRegions() {
+  if (!CONFIG.useLearnedFirst) return [];
+  return [...CONFIG.scanRegions, ...learnedRegions(state.learned)];
+}
+
 // ══════════════════════════════════════════════════════════════
 // MAIN LOOP
 // ══════════════════════════════════════════════════════════════
@@ -131,38 +117,29 @@ async function smartScan() {
   if (!state.running) return;
   
   try {
-    // Step 1: OCR scan
-    await state.agent.see();
+    // Step 1: OCR scan (learned spots + chat panel, full screen now and then)
+    await state.agent.see({ regions: scanRegions() });
     
-    // Step 2: Check each button
-    for (const button of CONFIG.buttons) {
-      // Skip if on cooldown
-      if (isOnCooldown(button)) {
-        continue;
-      }
-      
-      // Find button
-      const matches = state.agent.find(button);
-      if (matches.length === 0) continue;
-      
-      const target = matches[0];
-      
-      // SMART: Skip if this is a loop position
-      if (isLoopPosition(target.x, target.y)) {
-        log('🔄', `Loop detected for "${button}" at (${target.x}, ${target.y}) - SKIPPING`);
-        state.loopsAvoided++;
-        continue;
-      }
+    // Step 2: Pick a button (skips cooldowns and loop positions)
+    const loopsBefore = state.engine.stats.loopsAvoided;
+    const window = await windowContext(state.agent.driver, state.engine.policy);
+    const decision = state.engine.decide(state.agent.lastWords, { window });
+    for (const denial of decision.denied || []) {
+      log('🛡️', `Refused "${denial.target.pattern}" at (${denial.target.x}, ${denial.target.y}): ${denial.verdict.reason}`);
+      state.gateway.notify(deniedEvent(denial));
+    }
+    if (state.engine.stats.loopsAvoided > loopsBefore) {
+      log('🔄', `Loop detected - SKIPPED ${state.engine.stats.loopsAvoided - loopsBefore} button(s)`);
+    }
+    
+    if (decision.action === 'click') {
+      const target = decision.target;
       
       // Click it!
-      log('🎯', `Found "${button}" at (${target.x}, ${target.y})`);
+      log('🎯', `Found "${target.pattern}" at (${target.x}, ${target.y})`);
       await state.agent.click(target.x, target.y);
-      recordClick(button, target.x, target.y);
-      log('✅', `Clicked "${button}" (total: ${state.totalClicks}, loops avoided: ${state.loopsAvoided})`);
-      
-      // Wait a bit after clicking
-      await sleep(1000);
-      break;  // Only click one button per scan
+      recordClick(target);
+      log('✅', `Clicked "${target.pattern}" (total: ${state.totalClicks}, loops avoided: ${state.engine.stats.loopsAvoided})`);
     }
     
   } catch (err) {
@@ -175,10 +152,6 @@ async function smartScan() {
   }
 }
 
-function sleep(ms) {
-  return new Promise(r => setTimeout(r, ms));
-}
-
 // ══════════════════════════════════════════════════════════════
 // STARTUP
 // ══════════════════════════════════════════════════════════════
@@ -189,19 +162,19 @@ async function start() {
 ║            D0T Smart Autonomous v2                           ║
 ╠══════════════════════════════════════════════════════════════╣
 ║  SMART Features:                                             ║
-║  ✓ Button cooldown (${CONFIG.buttonCooldown/1000}s per button)                       ║
-║  ✓ Loop detection (max ${CONFIG.loopThreshold} clicks same position)              ║
+║  ✓ Button cooldown (${state.engine.config.buttonCooldown/1000}s per button)                       ║
+║  ✓ Loop detection (max ${state.engine.config.loopThreshold} clicks same position)              ║
 ║  ✓ Position learning                                         ║
 ╚══════════════════════════════════════════════════════════════╝
 
-Watching for: ${CONFIG.buttons.join(', ')}
+Watching for: ${state.engine.config.patterns.join(', ')}
 Poll interval: ${CONFIG.pollInterval}ms
 Learned positions: ${Object.keys(state.learned).length}
 
 Press Ctrl+C to stop.
 `);
 
-  state.agent = new D0TAgent();
+  state.agent = new D0TAgent({ fullScanEvery: CONFIG.fullScanEvery });
   await state.agent.init();
   
   state.running = true;
@@ -216,7 +189,7 @@ process.on('SIGINT', () => {
   log('👋', 'Shutting down...');
   state.running = false;
   saveState();
-  log('✅', `Session saved. Total clicks: ${state.totalClicks}, Loops avoided: ${state.loopsAvoided}`);
+  log('✅', `Session saved. Total clicks: ${state.totalClicks}, Loops avoided: ${state.engine.stats.loopsAvoided}`);
   process.exit(0);
 });
 
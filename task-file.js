@@ -0,0 +1,436 @@
+/**
+ * D0T Task Files - YAML / JSON workflows for D0TAgent.execute
+ * ══════════════════════════════════════════════════════════════
+ *
+ *   name: Open a repo                    # required
+ *   description: Jump to a GitHub repo
+ *   mode: turbo                          # guardian | turbo | sword (default turbo)
+ *   priority: 0                          # Gateway queue priority
+ *   target:                              # optional - one window only
+ *     window: Google Chrome              # title / app part, "/regex/" or { title, app }
+ *   params:
+ *     repo: { type: string, required: true, description: owner/name }
+ *     tabs: { type: number, default: 1 }
+ *   sequences:                           # reusable steps for `call`
+ *     newTab: [{ type: hotkey, params: { keys: ctrl+t } }]
+ *   actions:
+ *     - type: repeat
+ *       params: { times: "${tabs}" }       # quote ${...} inside { }
+ *       do: [{ type: call, params: { name: newTab } }]
+ *     - type: urlBar
+ *       params: { url: "https://github.com/${repo}" }
+ *     - type: waitForText
+ *       params: { text: Code, timeout: 15000 }
+ *
+ * JSON files use the same shape. Steps are the action language of
+ * D0TAgent.execute (see agent.js). ${param} is replaced when the file is
+ * loaded - a value that is exactly "${name}" keeps the param's type - and
+ * any other ${name} is left for runtime variables (read / set / repeat).
+ *
+ * With a target the agent captures only that window (coordinates are
+ * window-relative) and brings it to the front before clicks and keys -
+ * see drivers/window-target.js.
+ *
+ * Modes rank guardian < turbo < sword, like the Electron modes: guardian
+ * tasks may only look (see, waitFor..., assertText, read, control flow),
+ * and a runner refuses a task that needs a higher mode than it runs in.
+ *
+ * Validation errors point at the offending line:
+ *   open-repo.yaml:12:7 actions[1].params: url is required
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseWindowTarget } = require('./drivers/window-target');
+
+const MODES = ['guardian', 'turbo', 'sword'];
+const DEFAULT_MODE = 'turbo';
+
+// ══════════════════════════════════════════════════════════════
+// SCHEMA
+// ══════════════════════════════════════════════════════════════
+//
+// Field specs use the protocol.js shape: { type, required, enum }
+
+const FIND = {
+  exact: { type: 'boolean' },
+  fuzzy: { type: 'boolean' },
+  threshold: { type: 'number' },
+  near: { type: 'string' },
+  caseSensitive: { type: 'boolean' },
+};
+
+const CONDITION = {
+  visible: { type: 'string' },
+  notVisible: { type: 'string' },
+  see: { type: 'boolean' },
+  var: { type: 'string' },
+  equals: { type: 'any' },
+  notEquals: { type: 'any' },
+  greaterThan: { type: 'number' },
+  lessThan: { type: 'number' },
+  ...FIND,
+};
+
+// params: field specs; blocks: nested step lists (true = required)
+const ACTIONS = {
+  see: {},
+  click: { params: { x: { type: 'number', required: true }, y: { type: 'number', required: true } } },
+  clickOn: {
+    params: { text: { type: 'string', required: true }, optional: { type: 'boolean' }, fallback: { type: 'object' }, ...FIND },
+  },
+  type: { params: { text: { type: 'string', required: true } } },
+  press: { params: { key: { type: 'string', required: true } } },
+  hotkey: { params: { keys: { type: 'string', required: true } } },
+  urlBar: { params: { url: { type: 'string', required: true } } },
+  search: { params: { query: { type: 'string', required: true } } },
+  searchAndOpen: { params: { query: { type: 'string', required: true } } },
+  wait: { params: { ms: { type: 'number', required: true } } },
+  log: { params: { message: { type: 'string', required: true } } },
+  waitForText: {
+    params: { text: { type: 'string', required: true }, timeout: { type: 'number' }, interval: { type: 'number' }, ...FIND },
+  },
+  waitForTextGone: {
+    params: { text: { type: 'string', required: true }, timeout: { type: 'number' }, interval: { type: 'number' }, ...FIND },
+  },
+  waitForScreenStable: {
+    params: { timeout: { type: 'number' }, interval: { type: 'number' }, stableFor: { type: 'number' }, required: { type: 'boolean' } },
+  },
+  assertText: { params: { text: { type: 'string', required: true }, absent: { type: 'boolean' }, ...FIND } },
+  if: { params: CONDITION, condition: true, blocks: { then: true, else: false } },
+  while: { params: { ...CONDITION, max: { type: 'number' } }, condition: true, blocks: { do: true } },
+  repeat: { params: { times: { type: 'number', required: true } }, blocks: { do: true } },
+  try: { blocks: { do: true, onError: false } },
+  retry: {
+    params: { attempts: { type: 'number' }, delay: { type: 'number' }, backoff: { type: 'number' } },
+    blocks: { do: true },
+  },
+  call: { params: { name: { type: 'string', required: true } } },
+  read: {
+    params: {
+      label: { type: 'string', required: true },
+      into: { type: 'string', required: true },
+      pattern: { type: 'string' },
+      see: { type: 'boolean' },
+      optional: { type: 'boolean' },
+      ...FIND,
+    },
+  },
+  set: { params: { name: { type: 'string', required: true }, value: { type: 'any', required: true } } },
+  fail: { params: { message: { type: 'string' } } },
+};
+
+// Steps that drive the mouse / keyboard (not allowed in guardian mode)
+const INPUT_ACTIONS = ['click', 'clickOn', 'type', 'press', 'hotkey', 'urlBar', 'search', 'searchAndOpen'];
+
+const TASK_FIELDS = {
+  name: { type: 'string', required: true },
+  description: { type: 'string' },
+  mode: { type: 'string', enum: MODES },
+  priority: { type: 'number' },
+  target: { type: 'object' },
+  params: { type: 'object' },
+  sequences: { type: 'object' },
+  actions: { type: 'array', required: true },
+};
+
+const TARGET_FIELDS = {
+  window: { type: 'any', required: true },
+};
+
+const PARAM_FIELDS = {
+  type: { type: 'string', enum: ['string', 'number', 'boolean'] },
+  required: { type: 'boolean' },
+  default: { type: 'any' },
+  description: { type: 'string' },
+};
+
+// ══════════════════════════════════════════════════════════════
+// VALIDATION
+// ══════════════════════════════════════════════════════════════
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// "${name}" placeholders stand in for any type until runtime
+function isPlaceholder(value) {
+  return typeof value === 'string' && /^\$\{\w+\}$/.test(value);
+}
+
+function checkFields(value, fields, at, errors) {
+  if (typeOf(value) !== 'object') {
+    errors.push({ path: at, message: `must be an object, got ${typeOf(value)}` });
+    return;
+  }
+  for (const [field, spec] of Object.entries(fields)) {
+    const v = value[field];
+    if (v === undefined) {
+      if (spec.required) errors.push({ path: at, message: `${field} is required` });
+    } else if (spec.type !== 'any' && typeOf(v) !== spec.type && !isPlaceholder(v)) {
+      errors.push({ path: [...at, field], message: `must be ${spec.type}, got ${typeOf(v)}` });
+    } else if (spec.enum && !spec.enum.includes(v)) {
+      errors.push({ path: [...at, field], message: `must be one of ${spec.enum.join(', ')}` });
+    }
+  }
+  for (const field of Object.keys(value)) {
+    if (!fields[field]) errors.push({ path: [...at, field], message: `unknown field "${field}"` });
+  }
+}
+
+function checkSteps(steps, at, ctx) {
+  if (!Array.isArray(steps)) {
+    ctx.errors.push({ path: at, message: `must be a list of steps, got ${typeOf(steps)}` });
+    return;
+  }
+  steps.forEach((step, i) => checkStep(step, [...at, i], ctx));
+}
+
+function checkStep(step, at, ctx) {
+  const { errors } = ctx;
+  if (typeOf(step) !== 'object') {
+    errors.push({ path: at, message: `step must be an object, got ${typeOf(step)}` });
+    return;
+  }
+
+  const schema = ACTIONS[step.type];
+  if (!schema) {
+    errors.push({ path: [...at, 'type'], message: step.type === undefined
+      ? 'type is required'
+      : `unknown action "${step.type}" (available: ${Object.keys(ACTIONS).join(', ')})` });
+    return;
+  }
+
+  const blocks = schema.blocks || {};
+  for (const key of Object.keys(step)) {
+    if (!['type', 'params', 'wait'].includes(key) && !(key in blocks)) {
+      errors.push({ path: [...at, key], message: `unknown field "${key}" for ${step.type}` });
+    }
+  }
+  if (step.wait !== undefined && typeOf(step.wait) !== 'number' && !isPlaceholder(step.wait)) {
+    errors.push({ path: [...at, 'wait'], message: `must be number, got ${typeOf(step.wait)}` });
+  }
+
+  const params = step.params === undefined ? {} : step.params;
+  checkFields(params, schema.params || {}, [...at, 'params'], errors);
+
+  if (schema.condition && typeOf(params) === 'object' &&
+      params.visible === undefined && params.notVisible === undefined && params.var === undefined) {
+    errors.push({ path: [...at, 'params'], message: `${step.type} needs visible, notVisible or var` });
+  }
+  if (step.type === 'call' && typeof params.name === 'string' && !isPlaceholder(params.name) &&
+      !(params.name in ctx.sequences)) {
+    errors.push({ path: [...at, 'params', 'name'], message: `unknown sequence "${params.name}"` });
+  }
+  if (ctx.mode === 'guardian' && INPUT_ACTIONS.includes(step.type)) {
+    errors.push({ path: [...at, 'type'], message: `${step.type} is not allowed in guardian mode` });
+  }
+
+  for (const [block, required] of Object.entries(blocks)) {
+    if (step[block] === undefined) {
+      if (required) errors.push({ path: at, message: `${step.type} needs a "${block}" list` });
+    } else {
+      checkSteps(step[block], [...at, block], ctx);
+    }
+  }
+}
+
+function checkTarget(target, errors) {
+  checkFields(target, TARGET_FIELDS, ['target'], errors);
+  if (target.window === undefined || isPlaceholder(target.window)) return;
+  try {
+    parseWindowTarget(target.window);
+  } catch (err) {
+    errors.push({ path: ['target', 'window'], message: err.message });
+  }
+}
+
+/**
+ * Check a task object against the task file schema
+ * @param {object} task - Parsed task (before or after param substitution)
+ * @returns {array} [{ path: [...], message }] - empty when valid
+ */
+function validateTask(task) {
+  const errors = [];
+  checkFields(task, TASK_FIELDS, [], errors);
+  if (typeOf(task) !== 'object') return errors;
+
+  if (typeOf(task.target) === 'object') checkTarget(task.target, errors);
+
+  for (const [name, spec] of Object.entries(typeOf(task.params) === 'object' ? task.params : {})) {
+    checkFields(paramSpec(spec), PARAM_FIELDS, ['params', name], errors);
+  }
+
+  const sequences = typeOf(task.sequences) === 'object' ? task.sequences : {};
+  const ctx = { errors, sequences, mode: task.mode || DEFAULT_MODE };
+  for (const [name, steps] of Object.entries(sequences)) {
+    checkSteps(steps, ['sequences', name], ctx);
+  }
+  if (task.actions !== undefined) checkSteps(task.actions, ['actions'], ctx);
+
+  return errors;
+}
+
+// ══════════════════════════════════════════════════════════════
+// PARAMETERS
+// ══════════════════════════════════════════════════════════════
+
+// `url: string` is shorthand for `url: { type: string }`
+function paramSpec(spec) {
+  return typeof spec === 'string' ? { type: spec } : spec;
+}
+
+/**
+ * Resolve parameter values (CLI strings are converted to the declared type)
+ * @param {object} declared - task.params
+ * @param {object} given - { name: value }
+ * @returns {{values: object, errors: array}}
+ */
+function resolveParams(declared = {}, given = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const name of Object.keys(given)) {
+    if (!(name in declared)) errors.push({ path: ['params'], message: `unknown parameter "${name}"` });
+  }
+
+  for (const [name, raw] of Object.entries(declared)) {
+    const spec = paramSpec(raw);
+    const type = spec.type || 'string';
+    let value = given[name] !== undefined ? given[name] : spec.default;
+
+    if (value === undefined) {
+      if (spec.required) errors.push({ path: ['params', name], message: `parameter "${name}" is required` });
+      continue;
+    }
+    if (type === 'number' && typeof value === 'string') value = Number(value);
+    if (type === 'boolean' && typeof value === 'string') value = value === 'true' ? true : value === 'false' ? false : value;
+
+    if (typeOf(value) !== type || (type === 'number' && Number.isNaN(value))) {
+      errors.push({ path: ['params', name], message: `parameter "${name}" must be ${type}, got ${JSON.stringify(given[name] ?? value)}` });
+      continue;
+    }
+    values[name] = value;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Replace ${param} in every string; unknown names are left for runtime
+ */
+function substitute(value, params) {
+  if (typeof value === 'string') {
+    const whole = /^\$\{(\w+)\}$/.exec(value);
+    if (whole && whole[1] in params) return params[whole[1]];
+    return value.replace(/\$\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+  }
+  if (Array.isArray(value)) return value.map(v => substitute(v, params));
+  if (typeOf(value) === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = substitute(v, params);
+    return out;
+  }
+  return value;
+}
+
+// ══════════════════════════════════════════════════════════════
+// LOADING
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Turn { path, message } errors into one Error with file:line:col lines
+ */
+function taskFileError(file, errors, doc, lineCounter) {
+  const located = errors.map((e) => {
+    let line = e.line;
+    let col = e.col;
+    if (line === undefined && doc) {
+      // Walk up the path until we reach a node that exists
+      let p = e.path;
+      while (true) {
+        const node = p.length ? doc.getIn(p, true) : doc.contents;
+        if (node?.range) {
+          ({ line, col } = lineCounter.linePos(node.range[0]));
+          break;
+        }
+        if (p.length === 0) break;
+        p = p.slice(0, -1);
+      }
+    }
+    const at = (e.path || []).map((k, i) => (typeof k === 'number' ? `[${k}]` : `${i ? '.' : ''}${k}`)).join('');
+    return { ...e, line, col, at };
+  });
+
+  const lines = located.map(e =>
+    `${file}${e.line ? `:${e.line}:${e.col}` : ''} ${e.at ? `${e.at}: ` : ''}${e.message}`);
+  const err = new Error(`Invalid task file ${file}\n${lines.join('\n')}`);
+  err.code = 'INVALID_TASK';
+  err.errors = located;
+  return err;
+}
+
+/**
+ * Read, validate and resolve a task file
+ * @param {string} file - .yaml / .yml / .json
+ * @param {object} params - Parameter values { name: value }
+ * @returns {object} { name, description, mode, priority, target, params, sequences, actions }
+ */
+function loadTaskFile(file, params = {}) {
+  const source = fs.readFileSync(file, 'utf-8');
+  const name = path.basename(file);
+
+  // JSON is valid YAML, so one parser gives line numbers for both
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(source, { lineCounter, prettyErrors: false });
+  if (doc.errors.length > 0) {
+    throw taskFileError(name, doc.errors.map(e => ({
+      ...lineCounter.linePos(e.pos[0]),
+      message: e.message.split('\n')[0],
+    })), null, lineCounter);
+  }
+
+  const raw = doc.toJS();
+  const schemaErrors = validateTask(raw);
+  if (schemaErrors.length > 0) throw taskFileError(name, schemaErrors, doc, lineCounter);
+
+  const { values, errors } = resolveParams(raw.params, params);
+  if (errors.length > 0) throw taskFileError(name, errors, doc, lineCounter);
+
+  const task = {
+    name: raw.name,
+    description: raw.description || '',
+    mode: raw.mode || DEFAULT_MODE,
+    priority: raw.priority || 0,
+    target: substitute(raw.target || null, values),
+    params: values,
+    sequences: substitute(raw.sequences || {}, values),
+    actions: substitute(raw.actions, values),
+  };
+
+  // Substituted values must still fit the schema (e.g. times: ${count})
+  const resolvedErrors = validateTask({ ...raw, target: task.target || undefined, sequences: task.sequences, actions: task.actions });
+  if (resolvedErrors.length > 0) throw taskFileError(name, resolvedErrors, doc, lineCounter);
+
+  return task;
+}
+
+/**
+ * Can a runner in `current` mode run a task that needs `required`?
+ */
+function modeAllows(current, required) {
+  return MODES.indexOf(current) >= MODES.indexOf(required);
+}
+
+module.exports = {
+  loadTaskFile,
+  validateTask,
+  resolveParams,
+  substitute,
+  modeAllows,
+  ACTIONS,
+  MODES,
+};
@@ -0,0 +1,257 @@
+/**
+ * D0T Template Match - Find small reference images on screen
+ * ══════════════════════════════════════════════════════════════
+ *
+ * For buttons OCR can't read - checkmarks, play triangles, close X's.
+ * Normalized cross-correlation on grayscale pixels:
+ * - Score 1 = identical up to brightness / contrast, 0 = unrelated
+ * - Each template is tried at several scales (DPI, zoom, theme sizes)
+ * - Coarse to fine: search a downscaled screen first, then refine the
+ *   best spots at full resolution - a full-res search of a 1080p screen
+ *   is too slow in plain JS
+ *
+ * Flat templates (no contrast) can't be matched and are skipped.
+ *
+ * Usage:
+ *   const screen = await grayImage('screenshot.png');
+ *   const template = await loadTemplate('templates/approve/check.png');
+ *   const matches = await matchTemplate(screen, template, { threshold: 0.8 });
+ *   // [{ x, y, width, height, score, scale }] - x/y is the center
+ */
+
+const sharp = require('sharp');
+
+const DEFAULTS = {
+  scales: [0.8, 0.9, 1, 1.1, 1.25],
+  threshold: 0.8,         // Minimum score (-1..1) for a match
+  maxResults: 5,          // Per template
+  coarseSize: 8,          // Smallest template side (px) searched on the downscaled screen
+  coarseSlack: 0.25,      // Downscaled text aliases badly - accept this much below threshold
+  maxCandidates: 20,      // Coarse spots refined at full resolution
+};
+
+// ══════════════════════════════════════════════════════════════
+// IMAGES
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Decode an image to 8-bit grayscale
+ * @param {string|Buffer} image - Path or image buffer
+ * @returns {Promise<{width, height, data: Buffer}>}
+ */
+async function grayImage(image) {
+  const { data, info } = await sharp(image)
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data };
+}
+
+/**
+ * Load a reference image (kept encoded for rescaling)
+ * @param {string|Buffer} image - Path or image buffer
+ * @returns {Promise<{source, width, height}>}
+ */
+async function loadTemplate(image) {
+  const { width, height } = await sharp(image).metadata();
+  return { source: image, width, height };
+}
+
+// Grayscale raw resize of an encoded or raw image
+async function resized(input, raw, width, height) {
+  const { data, info } = await sharp(input, raw ? { raw } : undefined)
+    .greyscale()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data };
+}
+
+// Summed-area tables of pixel values and their squares
+function integrals(image) {
+  if (image.integrals) return image.integrals;
+  const { width, height, data } = image;
+  const stride = width + 1;
+  const sum = new Float64Array(stride * (height + 1));
+  const sq = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSq = 0;
+    for (let x = 0; x < width; x++) {
+      const v = data[y * width + x];
+      rowSum += v;
+      rowSq += v * v;
+      const i = (y + 1) * stride + x + 1;
+      sum[i] = sum[i - stride] + rowSum;
+      sq[i] = sq[i - stride] + rowSq;
+    }
+  }
+
+  image.integrals = { sum, sq, stride };
+  return image.integrals;
+}
+
+// ══════════════════════════════════════════════════════════════
+// CORRELATION
+// ══════════════════════════════════════════════════════════════
+
+// Zero-mean template and its norm; null when the template is flat
+function prepare(template) {
+  const n = template.width * template.height;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += template.data[i];
+  mean /= n;
+
+  const values = new Float64Array(n);
+  let norm = 0;
+  for (let i = 0; i < n; i++) {
+    values[i] = template.data[i] - mean;
+    norm += values[i] * values[i];
+  }
+  if (norm < n) return null;
+  return { width: template.width, height: template.height, values, norm: Math.sqrt(norm) };
+}
+
+// NCC of the prepared template with the window whose top-left is (x, y)
+function scoreAt(image, tpl, x, y) {
+  const { sum, sq, stride } = integrals(image);
+  const { width: tw, height: th, values } = tpl;
+  const n = tw * th;
+
+  const a = y * stride + x;
+  const b = a + tw;
+  const c = (y + th) * stride + x;
+  const d = c + tw;
+  const windowSum = sum[d] - sum[b] - sum[c] + sum[a];
+  const variance = (sq[d] - sq[b] - sq[c] + sq[a]) - (windowSum * windowSum) / n;
+  if (variance < n) return 0;  // Flat window
+
+  let dot = 0;
+  const { width, data } = image;
+  for (let j = 0; j < th; j++) {
+    const row = (y + j) * width + x;
+    const trow = j * tw;
+    for (let i = 0; i < tw; i++) dot += values[trow + i] * data[row + i];
+  }
+  return Math.min(1, dot / (tpl.norm * Math.sqrt(variance)));
+}
+
+// Best-scoring top-left corners, at least half a template apart
+function peaks(image, tpl, minScore, limit) {
+  const spots = [];
+  for (let y = 0; y + tpl.height <= image.height; y++) {
+    for (let x = 0; x + tpl.width <= image.width; x++) {
+      const score = scoreAt(image, tpl, x, y);
+      if (score >= minScore) spots.push({ x, y, score });
+    }
+  }
+  spots.sort((a, b) => b.score - a.score);
+
+  const kept = [];
+  for (const s of spots) {
+    const near = kept.some(k => Math.abs(k.x - s.x) < tpl.width / 2 && Math.abs(k.y - s.y) < tpl.height / 2);
+    if (!near) kept.push(s);
+    if (kept.length >= limit) break;
+  }
+  return kept;
+}
+
+// Best position within radius of (x, y)
+function refine(image, tpl, x, y, radius) {
+  let best = { x, y, score: -1 };
+  const x0 = Math.max(0, x - radius);
+  const y0 = Math.max(0, y - radius);
+  const x1 = Math.min(image.width - tpl.width, x + radius);
+  const y1 = Math.min(image.height - tpl.height, y + radius);
+  for (let yy = y0; yy <= y1; yy++) {
+    for (let xx = x0; xx <= x1; xx++) {
+      const score = scoreAt(image, tpl, xx, yy);
+      if (score > best.score) best = { x: xx, y: yy, score };
+    }
+  }
+  return best;
+}
+
+// ══════════════════════════════════════════════════════════════
+// MATCHING
+// ══════════════════════════════════════════════════════════════
+
+/**
+ * Find a template in a screen at several scales
+ * @param {object} screen - grayImage() result (reused across templates)
+ * @param {object} template - loadTemplate() result
+ * @param {object} options - { scales, threshold, maxResults, coarseSize, coarseSlack, maxCandidates }
+ * @returns {Promise<array>} [{ x, y, width, height, score, scale }], best first; x/y = center
+ */
+async function matchTemplate(screen, template, options = {}) {
+  const { scales, threshold, maxResults, coarseSize, coarseSlack, maxCandidates } = { ...DEFAULTS, ...options };
+  const raw = { width: screen.width, height: screen.height, channels: 1 };
+  screen.coarse = screen.coarse || new Map();
+  const found = [];
+
+  for (const scale of scales) {
+    const width = Math.round(template.width * scale);
+    const height = Math.round(template.height * scale);
+    if (width < 4 || height < 4 || width > screen.width || height > screen.height) continue;
+
+    const fine = prepare(await resized(template.source, null, width, height));
+    if (!fine) continue;
+
+    // Downscale screen and template together, keeping the template >= coarseSize
+    const factor = Math.max(1, Math.floor(Math.min(width, height) / coarseSize));
+    let spots;
+    if (factor === 1) {
+      spots = peaks(screen, fine, threshold, maxCandidates);
+    } else {
+      if (!screen.coarse.has(factor)) {
+        screen.coarse.set(factor, await resized(screen.data, raw, Math.floor(screen.width / factor), Math.floor(screen.height / factor)));
+      }
+      const small = screen.coarse.get(factor);
+      const coarse = prepare(await resized(template.source, null, Math.floor(width / factor), Math.floor(height / factor)));
+      if (!coarse) continue;
+      spots = peaks(small, coarse, threshold - coarseSlack, maxCandidates)
+        .map(s => refine(screen, fine, s.x * factor, s.y * factor, factor));
+    }
+
+    for (const s of spots) {
+      if (s.score < threshold) continue;
+      found.push({
+        x: Math.round(s.x + width / 2),
+        y: Math.round(s.y + height / 2),
+        width,
+        height,
+        score: s.score,
+        scale,
+      });
+    }
+  }
+
+  return suppress(found).slice(0, maxResults);
+}
+
+// Drop matches that overlap a better one (the same icon at a neighbouring scale)
+function suppress(matches) {
+  const sorted = [...matches].sort((a, b) => b.score - a.score);
+  const kept = [];
+  for (const m of sorted) {
+    if (!kept.some(k => overlap(k, m) > 0.3)) kept.push(m);
+  }
+  return kept;
+}
+
+// Intersection over union of two center-based boxes
+function overlap(a, b) {
+  const w = Math.min(a.x + a.width / 2, b.x + b.width / 2) - Math.max(a.x - a.width / 2, b.x - b.width / 2);
+  const h = Math.min(a.y + a.height / 2, b.y + b.height / 2) - Math.max(a.y - a.height / 2, b.y - b.height / 2);
+  if (w <= 0 || h <= 0) return 0;
+  const inter = w * h;
+  return inter / (a.width * a.height + b.width * b.height - inter);
+}
+
+module.exports = {
+  grayImage,
+  loadTemplate,
+  matchTemplate,
+  DEFAULTS,
+};
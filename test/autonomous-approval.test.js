@@ -0,0 +1,133 @@
+/**
+ * autonomous.js scanAndClick(): the approval round trip (the engine asks,
+ * the Gateway approves, the screen is read again and the button clicked)
+ * and the policy check around buttons found by region reads
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const WebSocket = require('ws');
+
+const D0TAgent = require('../agent');
+const { createEngine } = require('../engine');
+const autonomous = require('../autonomous');
+
+const { CONFIG, state } = autonomous;
+
+function word(text, x, y, lineId = 0) {
+  return { text, x, y, bbox: { x0: x - 20, y0: y - 8, x1: x + 20, y1: y + 8 }, confidence: 95, lineId };
+}
+
+// Agent on a stub driver whose see() shows the next screen in line
+function stubAgent(screens) {
+  const clicks = [];
+  const driver = { space: null, click: async (x, y) => clicks.push({ x, y }) };
+  const agent = new D0TAgent({ driver, accessibility: false });
+  agent.see = async () => {
+    agent.lastWords = screens.length > 1 ? screens.shift() : screens[0];
+    return agent.lastWords;
+  };
+  return { agent, clicks };
+}
+
+// Gateway that answers every approval-request
+function stubGateway(approved) {
+  const sent = [];
+  return {
+    sent,
+    readyState: WebSocket.OPEN,
+    send(data) {
+      const msg = JSON.parse(data);
+      sent.push(msg);
+      if (msg.type === 'approval-request') {
+        setImmediate(() => autonomous.handleGatewayMessage({
+          type: 'approval-result',
+          payload: { id: msg.payload.id, approved, decidedBy: 'test' },
+        }));
+      }
+    },
+  };
+}
+
+// Scan until the engine has confirmed the button and asked about it
+async function scanUntilAsked(gateway) {
+  for (let i = 0; i < 5; i++) {
+    const result = await autonomous.scanAndClick();
+    if (result || gateway.sent.some(m => m.type === 'approval-request')) return result;
+  }
+  return null;
+}
+
+test.beforeEach(() => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd0t-test-'));
+  CONFIG.sessionFile = path.join(dir, 'session.json');
+  CONFIG.logFile = path.join(dir, 'log.json');
+  state.session = { learnedPositions: {}, clickHistory: [], totalClicks: 0, successfulPatterns: {} };
+  state.engine = createEngine('autonomous', { supervised: true });
+  state.approvals.clear();
+});
+
+test('approved button is seen again and clicked', async () => {
+  const { agent, clicks } = stubAgent([[word('Allow', 300, 200)]]);
+  state.agent = agent;
+  state.gateway = stubGateway(true);
+
+  const result = await scanUntilAsked(state.gateway);
+
+  assert.deepStrictEqual(clicks, [{ x: 300, y: 200 }]);
+  assert.strictEqual(result.pattern, 'Allow');
+  assert.ok(state.gateway.sent.some(m => m.type === 'autonomous-event' && m.payload.type === 'clicked'));
+});
+
+test('approved button that moved away is not clicked', async () => {
+  const { agent, clicks } = stubAgent([[word('Allow', 300, 200)]]);
+  state.agent = agent;
+  state.gateway = stubGateway(true);
+
+  // Once the question is out, the screen moves on
+  const see = agent.see;
+  agent.see = async () => {
+    if (!state.gateway.sent.some(m => m.type === 'approval-request')) return see();
+    agent.lastWords = [word('Allow', 900, 600)];
+    return agent.lastWords;
+  };
+
+  assert.strictEqual(await scanUntilAsked(state.gateway), null);
+  assert.deepStrictEqual(clicks, []);
+});
+
+test('rejected button is not clicked', async () => {
+  const { agent, clicks } = stubAgent([[word('Allow', 300, 200)]]);
+  state.agent = agent;
+  state.gateway = stubGateway(false);
+
+  assert.strictEqual(await scanUntilAsked(state.gateway), null);
+  assert.deepStrictEqual(clicks, []);
+});
+
+test('region read re-checks the policy around the button before clicking', async () => {
+  const { agent, clicks } = stubAgent([[word('Allow', 300, 200)]]);
+  agent.see = async () => {
+    agent.lastWords = [word('Allow', 300, 200)];
+    agent.lastRegions = [{ x: 140, y: 140, width: 320, height: 120 }];
+    return agent.lastWords;
+  };
+  // The prompt above the learned spot, outside the region
+  agent.ocrRegions = async (regions) => {
+    agent.lastWords = [word('rm', 200, 80, 0), word('-rf', 240, 80, 0), word('/', 270, 80, 0), word('Allow', 300, 200, 1)];
+    agent.lastRegions = regions;
+    return agent.lastWords;
+  };
+  state.agent = agent;
+  state.gateway = stubGateway(true);
+  state.engine = createEngine('autonomous');
+
+  for (let i = 0; i < 4; i++) assert.strictEqual(await autonomous.scanAndClick(), null);
+  assert.deepStrictEqual(clicks, []);
+  assert.ok(state.gateway.sent.some(m => m.type === 'autonomous-event' && m.payload.type === 'denied'));
+});
@@ -8,16 +8,21 @@
  * 
  * HOW IT WORKS:
  *   1. Takes periodic screenshots
- *   2. Compares them - if screen hasn't changed, Claude stopped
- *   3. ONLY THEN looks for Continue button
+ *   2. Compares them (perceptual diff, see screen-diff.js) - if the
+ *      screen hasn't changed, Claude stopped
+ *   3. ONLY THEN looks for Continue button - in the regions that changed
+ *      while Claude was working (whole screen the first time)
  *   4. Clicks it and goes back to watching
  */
 
-const { execSync } = require('child_process');
 const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
-const Tesseract = require('tesseract.js');
+const { getDriver } = require('./drivers');
+const { backgroundWindow } = require('./drivers/window-target');
+const { getWorker, terminateWorker, recognize, recognizeRegions } = require('./vision-core');
+const { ScreenDiff, mergeRegions, coverage } = require('./screen-diff');
+const { createEngine } = require('./engine');
+const { windowContext } = require('./policy');
+const { connectGateway, deniedEvent } = require('./gateway-client');
 
 // ══════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -27,17 +32,21 @@ const CONFIG = {
   // How often to check if screen changed
   checkInterval: 3000,  // 3 seconds between checks
   
-  // How many consecutive unchanged checks = timeout detected
-  unchangedThreshold: 2,  // 2 checks * 3 seconds = 6 seconds of no change
+  // What counts as a change - add the clock / cursor area to ignore
+  screenDiff: {
+    threshold: 0.002,    // Changed-block ratio (a blinking cursor is ~0.001)
+    ignore: [],          // [{ x, y, width, height }]
+  },
   
-  // After clicking, wait this long before resuming detection
-  cooldownAfterClick: 3000,
+  // OCR the whole screen when the changed regions cover more than this
+  fullScanCoverage: 0.5,
   
-  // All buttons that indicate Claude stopped/needs permission
-  targetButtons: ['Continue', 'Keep', 'Allow', 'Yes', 'OK', 'Proceed', 'Run', 'Review', 'Accept', 'Confirm', 'Pause'],
+  // Idle gating (2 unchanged checks = timeout), buttons, cooldown - see engine.js
+  engine: 'timeout',
   
-  // Minimum confidence to trust OCR
-  minConfidence: 70,  // Lowered for VS Code buttons
+  // Only watch this window, e.g. 'Visual Studio Code' (drivers/window-target.js);
+  // null = --window= / D0T_WINDOW, else the whole screen
+  window: null,
 };
 
 // ══════════════════════════════════════════════════════════════
@@ -46,12 +55,15 @@ const CONFIG = {
 
 let state = {
   running: false,
-  worker: null,
-  lastScreenHash: null,
-  unchangedCount: 0,
-  mode: 'watching',  // 'watching' | 'timeout_detected' | 'cooldown'
+  changedRegions: [],  // Where the screen changed since the last scan
+  scanned: false,      // changedRegions were OCR'd already
+  screenSize: null,
 };
 
+const screen = new ScreenDiff(CONFIG.screenDiff);
+const engine = createEngine(CONFIG.engine);
+const gateway = connectGateway('timeout-sensor');
+
 // ══════════════════════════════════════════════════════════════
 // LOGGING
 // ══════════════════════════════════════════════════════════════
@@ -68,6 +80,7 @@ function log(type, msg) {
     'cooldown': '💤',
     'info': 'ℹ️',
     'error': '❌',
+    'denied': '🛡️',
   };
   console.log(`${icons[type] || '•'} [${time}] ${msg}`);
 }
@@ -76,108 +89,103 @@ function log(type, msg) {
 // SCREEN COMPARISON
 // ══════════════════════════════════════════════════════════════
 
-function screenshot() {
+async function screenshot() {
   try {
-    execSync(`powershell -ExecutionPolicy Bypass -File "${path.join(__dirname, 'screenshot.ps1')}"`, {
-      timeout: 5000,
-      cwd: __dirname,
-    });
-    return path.join(__dirname, 'screenshot.png');
+    return await getDriver().capture(path.join(__dirname, 'screenshot.png'), { window: CONFIG.window || undefined });
   } catch (err) {
-    log('error', 'Screenshot failed');
+    log('error', `Screenshot failed: ${err.message}`);
     return null;
   }
 }
 
-function hashImage(imagePath) {
+async function hasScreenChanged(imagePath) {
+  let diff;
   try {
-    const data = fs.readFileSync(imagePath);
-    return crypto.createHash('md5').update(data).digest('hex');
+    diff = await screen.check(imagePath);
   } catch (err) {
-    return null;
+    log('error', `Screen diff failed: ${err.message}`);
+    return true;  // Assume changed on error
+  }
+  
+  if (diff.changed) {
+    // New activity after a scan - start collecting where it happens
+    if (state.scanned) {
+      state.changedRegions = [];
+      state.scanned = false;
+    }
+    state.changedRegions = mergeRegions([...state.changedRegions, ...diff.regions]);
+    state.screenSize = { width: diff.width, height: diff.height };
   }
+  return diff.changed;
 }
 
-function hasScreenChanged(imagePath) {
-  const currentHash = hashImage(imagePath);
-  if (!currentHash) return true;  // Assume changed on error
-  
-  const changed = state.lastScreenHash !== currentHash;
-  state.lastScreenHash = currentHash;
-  return changed;
+// Changed regions to OCR, or null for the whole screen
+function scanRegions() {
+  const { changedRegions, screenSize } = state;
+  if (changedRegions.length === 0) return null;
+  if (coverage(changedRegions, screenSize.width, screenSize.height) > CONFIG.fullScanCoverage) return null;
+  return changedRegions;
 }
 
 // ══════════════════════════════════════════════════════════════
 // OCR & CLICK (only used when timeout detected)
 // ══════════════════════════════════════════════════════════════
 
-async function initWorker() {
-  if (!state.worker) {
-    log('info', 'Initializing OCR...');
-    state.worker = await Tesseract.createWorker('eng');
-  }
-  return state.worker;
-}
-
 async function findTimeoutButton(imagePath) {
   try {
-    const worker = await initWorker();
-    const result = await worker.recognize(imagePath, {}, { blocks: true });
-    
-    const candidates = [];
-    if (result.data.blocks) {
-      result.data.blocks.forEach(block => {
-        block.paragraphs?.forEach(para => {
-          para.lines?.forEach(line => {
-            line.words?.forEach(word => {
-              if (word.bbox && word.text) {
-                const cleanText = word.text.replace(/[",.']/g, '').toLowerCase();
-                const match = CONFIG.targetButtons.find(b => b.toLowerCase() === cleanText);
-                
-                if (match && word.confidence > CONFIG.minConfidence) {
-                  candidates.push({
-                    text: match,
-                    x: Math.round((word.bbox.x0 + word.bbox.x1) / 2),
-                    y: Math.round((word.bbox.y0 + word.bbox.y1) / 2),
-                    confidence: word.confidence,
-                  });
-                }
-              }
-            });
-          });
-        });
-      });
+    const worker = getWorker();
+    const regions = scanRegions();
+    let words;
+    if (regions) {
+      log('scan', `OCR ${regions.length} changed region(s)`);
+      ({ words } = await recognizeRegions(worker, imagePath, regions));
+    } else {
+      ({ words } = await recognize(worker, imagePath));
     }
+    state.scanned = true;
+    getDriver().space?.tag(words);  // Monitor ids
     
-    if (candidates.length === 0) return null;
-    
-    // Priority: Continue > Keep > Allow > Yes > OK > Proceed > Run
-    // Return highest priority button with best confidence
-    candidates.sort((a, b) => {
-      const aPri = CONFIG.targetButtons.indexOf(a.text);
-      const bPri = CONFIG.targetButtons.indexOf(b.text);
-      if (aPri !== bPri) return aPri - bPri;
-      return b.confidence - a.confidence;
-    });
+    const window = await windowContext(getDriver(), engine.policy);
+    const decision = engine.choose(words, { window });
+    reportDenials(decision.denied);
+    if (decision.candidates.length > 0) {
+      log('scan', `Found: ${decision.candidates.map(c => `${c.pattern}@(${c.x},${c.y})`).join(', ')}`);
+    }
+    if (decision.action !== 'click') return null;
     
-    const best = candidates[0];
-    log('scan', `Found: ${candidates.map(c => `${c.text}@(${c.x},${c.y})`).join(', ')}`);
-    return { x: best.x, y: best.y, text: best.text };
+    // Changed regions miss a static prompt around the button - read what
+    // the policy reads there before clicking
+    if (regions && engine.policy) {
+      const { words: context } = await recognizeRegions(worker, imagePath, [engine.policy.contextRegion(decision.target)]);
+      getDriver().space?.tag(context);
+      const verdict = engine.verify(decision.target, context, { window });
+      reportDenials(verdict.denied);
+      if (!verdict.allowed || verdict.ask) {
+        log('denied', `Not clicking "${decision.target.pattern}": ${verdict.reason}`);
+        return null;
+      }
+    }
+    return decision.target;
   } catch (err) {
     log('error', `OCR failed: ${err.message}`);
     return null;
   }
 }
 
-function click(x, y, buttonName) {
+function reportDenials(denied = []) {
+  for (const denial of denied) {
+    log('denied', `Refused "${denial.target.pattern}" at (${denial.target.x}, ${denial.target.y}): ${denial.verdict.reason}`);
+    gateway.notify(deniedEvent(denial));
+  }
+}
+
+async function click(x, y, buttonName) {
   try {
-    execSync(`powershell -ExecutionPolicy Bypass -File "${path.join(__dirname, 'click.ps1')}" ${x} ${y}`, {
-      timeout: 2000,
-    });
+    await getDriver().click(x, y);
     log('click', `Clicked "${buttonName}" at (${x}, ${y})`);
     return true;
   } catch (err) {
-    log('error', 'Click failed');
+    log('error', `Click failed: ${err.message}`);
     return false;
   }
 }
@@ -189,59 +197,42 @@ function click(x, y, buttonName) {
 async function sensorLoop() {
   if (!state.running) return;
   
-  // COOLDOWN MODE - just wait
-  if (state.mode === 'cooldown') {
+  // Take screenshot
+  const imgPath = await screenshot();
+  if (!imgPath) {
     setTimeout(sensorLoop, CONFIG.checkInterval);
     return;
   }
   
-  // Take screenshot
-  const imgPath = screenshot();
-  if (!imgPath) {
+  // WATCHING - the engine only lets us through once the screen is idle
+  const gate = engine.ready({ screenChanged: await hasScreenChanged(imgPath) });
+  if (!gate.ready) {
+    const type = gate.reason === 'Screen active' ? 'changed' : gate.reason === 'Cooling down' ? 'cooldown' : 'same';
+    log(type, gate.reason);
     setTimeout(sensorLoop, CONFIG.checkInterval);
     return;
   }
   
-  // WATCHING MODE - detect timeout
-  if (state.mode === 'watching') {
-    const changed = hasScreenChanged(imgPath);
-    
-    if (changed) {
-      state.unchangedCount = 0;
-      log('changed', 'Screen changed - Claude is active');
-    } else {
-      state.unchangedCount++;
-      log('same', `Screen unchanged (${state.unchangedCount}/${CONFIG.unchangedThreshold})`);
-      
-      if (state.unchangedCount >= CONFIG.unchangedThreshold) {
-        log('timeout', 'TIMEOUT DETECTED - Looking for Continue button...');
-        state.mode = 'timeout_detected';
-      }
-    }
+  // Target window behind another app - its buttons aren't ours to click
+  const behind = backgroundWindow(getDriver().space);
+  if (behind) {
+    log('same', `"${behind.title}" is not in front - waiting`);
+    setTimeout(sensorLoop, CONFIG.checkInterval);
+    return;
   }
   
   // TIMEOUT DETECTED - find and click Continue
-  if (state.mode === 'timeout_detected') {
-    log('scan', 'Scanning for timeout button...');
-    const button = await findTimeoutButton(imgPath);
-    
-    if (button) {
-      click(button.x, button.y, button.text);
-      
-      // Enter cooldown
-      state.mode = 'cooldown';
-      state.unchangedCount = 0;
-      state.lastScreenHash = null;  // Reset so we detect new changes
-      log('cooldown', `Cooling down for ${CONFIG.cooldownAfterClick/1000}s...`);
-      
-      setTimeout(() => {
-        state.mode = 'watching';
-        log('watch', 'Resuming timeout detection');
-      }, CONFIG.cooldownAfterClick);
-    } else {
-      log('scan', 'No Continue button found - still looking...');
-      // Stay in timeout_detected mode, keep looking
+  log('timeout', 'TIMEOUT DETECTED - Scanning for timeout button...');
+  const button = await findTimeoutButton(imgPath);
+  
+  if (button) {
+    if (await click(button.x, button.y, button.pattern)) {
+      engine.recordClick(button);
+      screen.reset();  // Reset so we detect new changes
+      log('cooldown', `Cooling down for ${engine.config.cooldownAfterClick/1000}s...`);
     }
+  } else {
+    log('scan', 'No Continue button found - still looking...');
   }
   
   setTimeout(sensorLoop, CONFIG.checkInterval);
@@ -263,14 +254,13 @@ async function start() {
 `);
   
   state.running = true;
-  state.mode = 'watching';
   log('watch', 'Started - watching for timeouts...');
   await sensorLoop();
 }
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   state.running = false;
-  if (state.worker) state.worker.terminate();
+  await terminateWorker();
   log('info', 'Stopped');
   process.exit(0);
 });
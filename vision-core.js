@@ -13,9 +13,13 @@
  * Improvements here improve everything.
  */
 
-const Tesseract = require('tesseract.js');
 const path = require('path');
 const fs = require('fs');
+const sharp = require('sharp');
+const { matchText } = require('./matcher');
+const { mergeRegions } = require('./screen-diff');
+const { OCRPool } = require('./ocr-pool');
+const templateMatch = require('./template-match');
 
 // ══════════════════════════════════════════════════════════════
 // CONFIGURATION
@@ -28,6 +32,48 @@ const CONFIG = {
   // Caching
   cacheWorker: true,
   
+  // Shared OCR workers (ocr-pool.js) - more workers read regions in parallel
+  pool: {
+    size: Number(process.env.D0T_OCR_WORKERS) || 1,
+    timeout: 30000,
+    healthInterval: 60000,
+  },
+  
+  // Named screen areas for region OCR, as fractions of the screen
+  regions: {
+    'vscode-chat': { x: 0.65, y: 0.03, width: 0.35, height: 0.94 },           // Secondary side bar
+    'vscode-notifications': { x: 0.7, y: 0.7, width: 0.3, height: 0.3 },     // Toasts, bottom right
+    'dialog': { x: 0.25, y: 0.2, width: 0.5, height: 0.6 },                  // Centered modals
+  },
+  
+  // Box around a learned button position (pixels)
+  learnedRegionSize: { width: 320, height: 120 },
+  
+  // Image cleanup before OCR - dark themes read much better. Off unless
+  // D0T_PREPROCESS=1 (or read(..., { preprocess: true })); measure with
+  // `node vision-core.js bench <screenshots>`
+  preprocess: {
+    enabled: process.env.D0T_PREPROCESS === '1',
+    scale: 2,               // Upscale factor - Tesseract wants ~30px tall text
+    grayscale: true,
+    invert: 'auto',         // true / false / 'auto' (dark background -> light)
+    sharpen: true,
+    // Tesseract binarizes on its own, and beats a fixed cut on flat UI
+    // screens; 'adaptive' helps on gradients / wallpapers, 0-255 is a global cut
+    threshold: false,
+    thresholdRadius: 24,    // Adaptive: neighbourhood size (scaled pixels)
+    thresholdOffset: 8,     // Adaptive: how much darker than the neighbourhood ink is
+  },
+  
+  // Icon-only buttons, found by image instead of text (findTemplates).
+  // templates/<target>.png or templates/<target>/*.png (several looks of
+  // one button - light / dark theme), plus registerTemplate()
+  templates: {
+    dir: path.join(__dirname, 'templates'),
+    threshold: 0.8,                     // Minimum correlation (0-1)
+    scales: [0.8, 0.9, 1, 1.1, 1.25],   // DPI / zoom differences
+  },
+  
   // Pattern libraries for different domains
   domains: {
     ui: {
@@ -54,19 +100,26 @@ const CONFIG = {
 // WORKER MANAGEMENT
 // ══════════════════════════════════════════════════════════════
 
-let worker = null;
+// One pool per process shared by every caller (see ocr-pool.js)
+let pool = null;
 
-async function getWorker() {
-  if (!worker) {
-    worker = await Tesseract.createWorker(CONFIG.language);
+/**
+ * The shared OCR pool, or a view of it with job settings
+ * @param {object} job - { priority, timeout } (optional)
+ * @returns {object} Anything with a Tesseract-style recognize()
+ */
+function getWorker(job) {
+  if (!pool) {
+    pool = new OCRPool({ language: CONFIG.language, ...CONFIG.pool });
   }
-  return worker;
+  return job ? pool.client(job) : pool;
 }
 
 async function terminateWorker() {
-  if (worker) {
-    await worker.terminate();
-    worker = null;
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.terminate();
   }
 }
 
@@ -74,28 +127,78 @@ async function terminateWorker() {
 // CORE OCR
 // ══════════════════════════════════════════════════════════════
 
+/**
+ * Flatten Tesseract blocks output into words with real positions
+ * @param {object} data - Page data from recognize(..., {}, { blocks: true })
+ * @returns {array} Words with center x/y, bbox, confidence (0-100) and
+ *                  blockId / paragraphId / lineId (unique within the page)
+ */
+function extractWords(data) {
+  const words = [];
+  let paragraphId = 0;
+  let lineId = 0;
+  
+  (data.blocks || []).forEach((block, blockId) => {
+    block.paragraphs?.forEach(para => {
+      para.lines?.forEach(line => {
+        line.words?.forEach(word => {
+          if (word.bbox && word.text && word.text.trim()) {
+            words.push({
+              text: word.text,
+              x: Math.round((word.bbox.x0 + word.bbox.x1) / 2),
+              y: Math.round((word.bbox.y0 + word.bbox.y1) / 2),
+              width: word.bbox.x1 - word.bbox.x0,
+              height: word.bbox.y1 - word.bbox.y0,
+              confidence: word.confidence,
+              bbox: word.bbox,
+              blockId,
+              paragraphId,
+              lineId,
+            });
+          }
+        });
+        lineId++;
+      });
+      paragraphId++;
+    });
+  });
+  
+  return words;
+}
+
 /**
  * Read text from an image
  * @param {string} imagePath - Path to image file
- * @param {object} options - OCR options
+ * @param {object} options - { regions } to OCR only those areas (see resolveRegions),
+ *                           { preprocess }, { priority } in the shared pool
  * @returns {Promise<{text: string, words: array, confidence: number}>}
  */
 async function read(imagePath, options = {}) {
   const startTime = Date.now();
   
   try {
-    const { data } = await Tesseract.recognize(imagePath, CONFIG.language, {
-      logger: options.verbose ? (m) => console.log(m) : () => {},
-    });
+    // Blocks output is the only place Tesseract reports word bboxes
+    const ocr = getWorker(options.priority !== undefined ? { priority: options.priority } : undefined);
     
-    const words = (data.words || []).map(w => ({
-      text: w.text,
-      x: Math.round(w.bbox.x0 + (w.bbox.x1 - w.bbox.x0) / 2),
-      y: Math.round(w.bbox.y0 + (w.bbox.y1 - w.bbox.y0) / 2),
-      width: w.bbox.x1 - w.bbox.x0,
-      height: w.bbox.y1 - w.bbox.y0,
+    if (options.regions) {
+      const { width, height } = await sharp(imagePath).metadata();
+      const regions = resolveRegions(options.regions, width, height);
+      const result = await recognizeRegions(ocr, imagePath, regions, options);
+      const words = result.words.map(w => ({ ...w, confidence: w.confidence / 100 }));
+      return {
+        text: result.text,
+        words,
+        confidence: words.length ? words.reduce((sum, w) => sum + w.confidence, 0) / words.length : 0,
+        timing: Date.now() - startTime,
+        regions,
+      };
+    }
+    
+    const { data, words: found } = await recognize(ocr, imagePath, options);
+    
+    const words = found.map(w => ({
+      ...w,
       confidence: w.confidence / 100,
-      bbox: w.bbox,
     }));
     
     return {
@@ -115,6 +218,251 @@ async function read(imagePath, options = {}) {
   }
 }
 
+/**
+ * OCR an image with a worker, through the preprocessing pipeline if enabled
+ * @param {object} ocr - OCR pool / Tesseract worker
+ * @param {string|Buffer} image - Path or PNG buffer
+ * @param {object} options - { preprocess: true | false | overrides for CONFIG.preprocess }
+ * @returns {Promise<{data: object, words: array}>} Tesseract page data and
+ *          extractWords() words in the original image's coordinates
+ */
+async function recognize(ocr, image, options = {}) {
+  const settings = preprocessSettings(options.preprocess);
+  if (!settings.enabled) {
+    const { data } = await ocr.recognize(image, {}, { blocks: true });
+    return { data, words: extractWords(data) };
+  }
+  
+  const prepared = await preprocess(image, settings);
+  const { data } = await ocr.recognize(prepared.image, {}, { blocks: true });
+  return { data, words: scaleWords(extractWords(data), 1 / prepared.scale) };
+}
+
+// ══════════════════════════════════════════════════════════════
+// PREPROCESSING
+// ══════════════════════════════════════════════════════════════
+
+function preprocessSettings(option) {
+  if (option === undefined) return CONFIG.preprocess;
+  if (typeof option === 'boolean') return { ...CONFIG.preprocess, enabled: option };
+  return { ...CONFIG.preprocess, enabled: true, ...option };
+}
+
+/**
+ * Clean an image up for OCR: grayscale, invert dark themes, upscale,
+ * sharpen, threshold to black ink on white
+ * @param {string|Buffer} image - Path or PNG buffer
+ * @param {object} options - Overrides for CONFIG.preprocess
+ * @returns {Promise<{image: Buffer, scale: number, inverted: boolean}>} PNG
+ *          buffer; divide its coordinates by scale to get the original's
+ */
+async function preprocess(image, options = {}) {
+  const settings = { ...CONFIG.preprocess, ...options };
+  const { width } = await sharp(image).metadata();
+  const gray = settings.grayscale || settings.threshold !== false;
+  
+  let inverted = settings.invert === true;
+  if (settings.invert === 'auto') {
+    const { channels } = await sharp(image).greyscale().stats();
+    inverted = channels[0].mean < 128;
+  }
+  
+  let pipeline = sharp(image).removeAlpha();
+  if (gray) pipeline = pipeline.greyscale();
+  if (inverted) pipeline = pipeline.negate();
+  if (settings.scale !== 1) {
+    pipeline = pipeline.resize({ width: Math.round(width * settings.scale), kernel: 'lanczos3' });
+  }
+  if (settings.sharpen) pipeline = pipeline.sharpen();
+  
+  if (typeof settings.threshold === 'number') {
+    pipeline = pipeline.threshold(settings.threshold);
+  } else if (settings.threshold === 'adaptive') {
+    const ink = await adaptiveThreshold(pipeline, settings);
+    return { image: await toPng(ink, settings.scale), scale: settings.scale, inverted };
+  }
+  
+  return { image: await toPng(pipeline, settings.scale), scale: settings.scale, inverted };
+}
+
+// Ink = pixels darker than their neighbourhood (the image is dark text on
+// light by now), so uneven panels and gradients don't swallow text
+async function adaptiveThreshold(pipeline, { thresholdRadius, thresholdOffset }) {
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const local = await sharp(data, { raw }).blur(Math.max(0.3, thresholdRadius / 2)).raw().toBuffer();
+  
+  const out = Buffer.alloc(info.width * info.height);
+  for (let i = 0; i < out.length; i++) {
+    const p = i * info.channels;
+    out[i] = data[p] < local[p] - thresholdOffset ? 0 : 255;
+  }
+  
+  return sharp(out, { raw: { width: info.width, height: info.height, channels: 1 } });
+}
+
+// Screens are ~96 DPI; without a density Tesseract guesses (and warns)
+function toPng(pipeline, scale) {
+  return pipeline.withMetadata({ density: Math.round(96 * scale) }).png().toBuffer();
+}
+
+function scaleWords(words, factor) {
+  if (factor === 1) return words;
+  const s = (v) => Math.round(v * factor);
+  return words.map(w => {
+    const bbox = { x0: s(w.bbox.x0), y0: s(w.bbox.y0), x1: s(w.bbox.x1), y1: s(w.bbox.y1) };
+    return {
+      ...w,
+      x: Math.round((bbox.x0 + bbox.x1) / 2),
+      y: Math.round((bbox.y0 + bbox.y1) / 2),
+      width: bbox.x1 - bbox.x0,
+      height: bbox.y1 - bbox.y0,
+      bbox,
+    };
+  });
+}
+
+// ══════════════════════════════════════════════════════════════
+// REGIONS
+// ══════════════════════════════════════════════════════════════
+
+// Context kept around each crop so edge words aren't cut in half
+const REGION_PADDING = 8;
+
+/**
+ * Turn a region list into merged pixel rectangles
+ * @param {array} regions - Names from CONFIG.regions ('vscode-chat'),
+ *                          { x, y, width, height } in pixels (changed regions,
+ *                          learnedRegions()) - mixed freely
+ * @param {number} width - Screen / image width
+ * @param {number} height - Screen / image height
+ * @returns {array} Clamped, non-overlapping { x, y, width, height }
+ */
+function resolveRegions(regions, width, height) {
+  const rects = regions.map((r) => {
+    if (typeof r !== 'string') return r;
+    const area = CONFIG.regions[r];
+    if (!area) {
+      throw new Error(`Unknown region "${r}" (available: ${Object.keys(CONFIG.regions).join(', ')})`);
+    }
+    return {
+      x: Math.round(area.x * width),
+      y: Math.round(area.y * height),
+      width: Math.round(area.width * width),
+      height: Math.round(area.height * height),
+    };
+  });
+
+  const clamped = rects
+    .map((r) => {
+      const x = Math.max(0, Math.round(r.x));
+      const y = Math.max(0, Math.round(r.y));
+      return {
+        x,
+        y,
+        width: Math.min(width, Math.round(r.x + r.width)) - x,
+        height: Math.min(height, Math.round(r.y + r.height)) - y,
+      };
+    })
+    .filter(r => r.width > 0 && r.height > 0);
+
+  return mergeRegions(clamped);
+}
+
+/**
+ * Boxes around learned button positions (smart-state.json, session files)
+ * @param {object} learned - pattern -> { x, y }
+ * @param {object} size - { width, height } (CONFIG.learnedRegionSize)
+ */
+function learnedRegions(learned, size = CONFIG.learnedRegionSize) {
+  return Object.values(learned || {}).map(p => ({
+    x: p.x - size.width / 2,
+    y: p.y - size.height / 2,
+    width: size.width,
+    height: size.height,
+  }));
+}
+
+/**
+ * OCR only some rectangles of an image (e.g. what changed - see screen-diff.js)
+ * @param {object} ocr - OCR pool / Tesseract worker
+ * @param {string} imagePath - Full screenshot
+ * @param {array} regions - { x, y, width, height } in image pixels
+ * @param {object} options - { preprocess } (see recognize)
+ * @returns {Promise<{text: string, words: array}>} Words as extractWords(),
+ *          in full-image coordinates with ids unique across the crops
+ */
+async function recognizeRegions(ocr, imagePath, regions, options = {}) {
+  const { width, height } = await sharp(imagePath).metadata();
+  const crops = regions
+    .map((r) => {
+      const left = Math.max(0, Math.floor(r.x - REGION_PADDING));
+      const top = Math.max(0, Math.floor(r.y - REGION_PADDING));
+      return {
+        left,
+        top,
+        width: Math.min(width, Math.ceil(r.x + r.width + REGION_PADDING)) - left,
+        height: Math.min(height, Math.ceil(r.y + r.height + REGION_PADDING)) - top,
+      };
+    })
+    .filter(crop => crop.width > 0 && crop.height > 0);
+
+  // All at once - the pool spreads them over its workers
+  const results = await Promise.all(crops.map(async (crop) => {
+    const buffer = await sharp(imagePath).extract(crop).png().toBuffer();
+    return recognize(ocr, buffer, options);
+  }));
+
+  const words = [];
+  const lines = [];
+  let ids = { blockId: 0, paragraphId: 0, lineId: 0 };
+  results.forEach(({ data, words: cropWords }, i) => {
+    const found = offsetWords(cropWords, crops[i].left, crops[i].top, ids);
+    words.push(...found);
+    if (data.text.trim()) lines.push(data.text.trim());
+    ids = nextIds(found, ids);
+  });
+
+  return { text: lines.join('\n'), words };
+}
+
+/**
+ * Replace the words inside some regions with a fresh read of them
+ * @param {array} previous - Words from the last full (or patched) read
+ * @param {array} regions - Rectangles that were re-read
+ * @param {array} fresh - recognizeRegions() words for those rectangles
+ * @returns {array} Words for the whole screen
+ */
+function patchWords(previous, regions, fresh) {
+  const inside = (w) => regions.some(r =>
+    w.x >= r.x && w.x <= r.x + r.width && w.y >= r.y && w.y <= r.y + r.height);
+  const kept = previous.filter(w => !inside(w));
+  return [...kept, ...offsetWords(fresh, 0, 0, nextIds(kept))];
+}
+
+function offsetWords(words, dx, dy, ids) {
+  return words.map(w => ({
+    ...w,
+    x: w.x + dx,
+    y: w.y + dy,
+    bbox: { x0: w.bbox.x0 + dx, y0: w.bbox.y0 + dy, x1: w.bbox.x1 + dx, y1: w.bbox.y1 + dy },
+    blockId: w.blockId + ids.blockId,
+    paragraphId: w.paragraphId + ids.paragraphId,
+    lineId: w.lineId + ids.lineId,
+  }));
+}
+
+// First free block / paragraph / line ids after these words
+function nextIds(words, ids = { blockId: 0, paragraphId: 0, lineId: 0 }) {
+  const next = { ...ids };
+  for (const w of words) {
+    next.blockId = Math.max(next.blockId, w.blockId + 1);
+    next.paragraphId = Math.max(next.paragraphId, w.paragraphId + 1);
+    next.lineId = Math.max(next.lineId, w.lineId + 1);
+  }
+  return next;
+}
+
 // ══════════════════════════════════════════════════════════════
 // PATTERN FINDING
 // ══════════════════════════════════════════════════════════════
@@ -122,33 +470,32 @@ async function read(imagePath, options = {}) {
 /**
  * Find specific text patterns in OCR results
  * @param {object} ocrResult - Result from read()
- * @param {string[]} patterns - Text patterns to find
- * @param {object} options - Search options
- * @returns {array} Found patterns with positions
+ * @param {string[]} patterns - Words or phrases to find
+ * @param {object} options - Search options (caseSensitive, minConfidence,
+ *                           exact, fuzzy, threshold - see matcher.js)
+ * @returns {array} Found patterns with positions and match scores
  */
 function findPatterns(ocrResult, patterns, options = {}) {
-  const { caseSensitive = false, minConfidence = 0.6 } = options;
+  const { minConfidence = 0.6, ...matchOptions } = options;
   const found = [];
   
   for (const pattern of patterns) {
-    const regex = new RegExp(caseSensitive ? pattern : pattern, 'i');
-    
-    for (const word of ocrResult.words) {
-      if (word.confidence >= minConfidence && regex.test(word.text)) {
-        found.push({
-          pattern,
-          match: word.text,
-          x: word.x,
-          y: word.y,
-          confidence: word.confidence,
-          bbox: word.bbox,
-        });
-      }
+    for (const m of matchText(ocrResult.words, pattern, { ...matchOptions, minConfidence })) {
+      found.push({
+        pattern,
+        match: m.text,
+        x: m.x,
+        y: m.y,
+        confidence: m.confidence,
+        score: m.score,
+        bbox: m.bbox,
+        monitor: m.monitor,
+      });
     }
   }
   
-  // Sort by confidence
-  found.sort((a, b) => b.confidence - a.confidence);
+  // Best match first, then most confident OCR read
+  found.sort((a, b) => b.score - a.score || b.confidence - a.confidence);
   
   return found;
 }
@@ -160,6 +507,7 @@ function findPatterns(ocrResult, patterns, options = {}) {
 function findUIElements(ocrResult) {
   return findPatterns(ocrResult, CONFIG.domains.ui.buttons, {
     minConfidence: 0.3,  // Lower threshold - screen buttons often have lower OCR confidence
+    fuzzy: true,         // Low-confidence reads often have one wrong letter
   });
 }
 
@@ -187,6 +535,117 @@ function findLetterforms(ocrResult, options = {}) {
   });
 }
 
+// ══════════════════════════════════════════════════════════════
+// TEMPLATE MATCHING
+// ══════════════════════════════════════════════════════════════
+
+// target -> [{ name, source, template }] (template loaded on first use)
+const templates = new Map();
+let templateDirLoaded = false;
+
+/**
+ * Add reference images for a target (on top of CONFIG.templates.dir)
+ * @param {string} target - Name used in findTemplates() / engine 'image:<target>' patterns
+ * @param {string|Buffer|array} images - Paths or PNG buffers
+ */
+function registerTemplate(target, images) {
+  const list = templates.get(target) || [];
+  for (const source of [].concat(images)) {
+    const name = Buffer.isBuffer(source) ? `${target}-${list.length + 1}` : path.basename(source, path.extname(source));
+    list.push({ name, source, template: null });
+  }
+  templates.set(target, list);
+}
+
+// templates/<target>.png and templates/<target>/*.png, once
+function loadTemplateDir() {
+  if (templateDirLoaded) return;
+  templateDirLoaded = true;
+  
+  const { dir } = CONFIG.templates;
+  if (!fs.existsSync(dir)) return;
+  
+  const isImage = (f) => /\.(png|jpe?g)$/i.test(f);
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const files = fs.readdirSync(full).filter(isImage).map(f => path.join(full, f));
+      if (files.length > 0) registerTemplate(entry.name, files);
+    } else if (isImage(entry.name)) {
+      registerTemplate(path.basename(entry.name, path.extname(entry.name)), full);
+    }
+  }
+}
+
+/**
+ * Names of all registered targets
+ */
+function templateTargets() {
+  loadTemplateDir();
+  return [...templates.keys()];
+}
+
+/**
+ * Find image targets in a screenshot - same result shape as findPatterns()
+ * @param {string|Buffer} image - Screenshot path or buffer
+ * @param {string[]} targets - Target names (default: all registered)
+ * @param {object} options - { threshold, scales, maxResults, regions }
+ *                           regions: only search these areas (see resolveRegions)
+ * @returns {Promise<array>} [{ pattern, match, x, y, confidence, score, bbox, scale }], best first
+ */
+async function findTemplates(image, targets = templateTargets(), options = {}) {
+  if (targets.length === 0) return [];
+  loadTemplateDir();
+  
+  const { regions, ...matchOptions } = options;
+  const settings = { ...CONFIG.templates, ...matchOptions };
+  const screen = await templateMatch.grayImage(image);
+  
+  // Search areas as { x, y, screen } - cropped copies when regions are given
+  let areas = [{ x: 0, y: 0, screen }];
+  if (regions?.length > 0) {
+    areas = await Promise.all(resolveRegions(regions, screen.width, screen.height).map(async (r) => ({
+      x: r.x,
+      y: r.y,
+      screen: await templateMatch.grayImage(await sharp(image).extract({ left: r.x, top: r.y, width: r.width, height: r.height }).png().toBuffer()),
+    })));
+  }
+  
+  const found = [];
+  for (const target of targets) {
+    const list = templates.get(target);
+    if (!list) throw new Error(`Unknown template target "${target}" (registered: ${[...templates.keys()].join(', ') || 'none'})`);
+    
+    for (const entry of list) {
+      entry.template = entry.template || await templateMatch.loadTemplate(entry.source);
+      for (const area of areas) {
+        for (const m of await templateMatch.matchTemplate(area.screen, entry.template, settings)) {
+          const x = m.x + area.x;
+          const y = m.y + area.y;
+          found.push({
+            pattern: target,
+            match: entry.name,
+            x,
+            y,
+            confidence: m.score,
+            score: m.score,
+            scale: m.scale,
+            bbox: {
+              x0: Math.round(x - m.width / 2),
+              y0: Math.round(y - m.height / 2),
+              x1: Math.round(x + m.width / 2),
+              y1: Math.round(y + m.height / 2),
+            },
+          });
+        }
+      }
+    }
+  }
+  
+  found.sort((a, b) => b.score - a.score);
+  return found;
+}
+
 // ══════════════════════════════════════════════════════════════
 // SPECIALIZED READERS
 // ══════════════════════════════════════════════════════════════
@@ -244,6 +703,69 @@ async function readChart(imagePath) {
   };
 }
 
+// ══════════════════════════════════════════════════════════════
+// BENCH
+// ══════════════════════════════════════════════════════════════
+
+// Preprocessing variants compared by bench() - false = the raw image
+const BENCH_VARIANTS = {
+  raw: false,
+  scaled: { invert: false, sharpen: false, threshold: false },
+  inverted: { sharpen: false, threshold: false },
+  pipeline: {},
+  adaptive: { threshold: 'adaptive' },
+};
+
+// Words at or above this confidence (0-1) count as "confident"
+const CONFIDENT = 0.8;
+
+/**
+ * Compare OCR with and without preprocessing on saved screenshots
+ * @param {string[]} images - Image paths
+ * @param {object} variants - name -> preprocess option (BENCH_VARIANTS)
+ * @returns {Promise<array>} Per image: { image, variants: { name: { words, confident, confidence, timing } } }
+ */
+async function bench(images, variants = BENCH_VARIANTS) {
+  const ocr = getWorker();
+  const results = [];
+  
+  for (const image of images) {
+    const row = { image, variants: {} };
+    for (const [name, preprocess] of Object.entries(variants)) {
+      const start = Date.now();
+      const { words } = await recognize(ocr, image, { preprocess });
+      const confidences = words.map(w => w.confidence / 100);
+      row.variants[name] = {
+        words: words.length,
+        confident: confidences.filter(c => c >= CONFIDENT).length,
+        confidence: confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : 0,
+        timing: Date.now() - start,
+      };
+    }
+    results.push(row);
+  }
+  
+  return results;
+}
+
+/**
+ * bench() results as a table, with the confidence gain over the raw image
+ */
+function benchReport(results) {
+  const lines = [];
+  for (const { image, variants } of results) {
+    lines.push(`🖼️ ${image}`);
+    const base = variants.raw;
+    for (const [name, v] of Object.entries(variants)) {
+      const delta = base ? (v.confidence - base.confidence) * 100 : 0;
+      const gain = !base || name === 'raw' ? '' : `  ${delta >= 0 ? '+' : ''}${delta.toFixed(1)}%`;
+      lines.push(`   ${name.padEnd(9)} ${String(v.words).padStart(4)} words  ${String(v.confident).padStart(4)} confident  ` +
+        `${(v.confidence * 100).toFixed(1).padStart(5)}%  ${String(v.timing).padStart(5)}ms${gain}`);
+    }
+  }
+  return lines.join('\n');
+}
+
 // ══════════════════════════════════════════════════════════════
 // EXPORTS
 // ══════════════════════════════════════════════════════════════
@@ -251,7 +773,19 @@ async function readChart(imagePath) {
 module.exports = {
   // Core
   read,
+  extractWords,
+  recognize,
+  preprocess,
+  bench,
+  benchReport,
+  recognizeRegions,
+  patchWords,
+  resolveRegions,
+  learnedRegions,
   findPatterns,
+  findTemplates,
+  registerTemplate,
+  templateTargets,
   
   // Domain-specific
   readScreen,        // D0T
@@ -274,16 +808,72 @@ module.exports = {
 // CLI
 // ══════════════════════════════════════════════════════════════
 
+// node vision-core.js [screen|type|chart] [image] [--json]
+// node vision-core.js bench <image...> [--json]  - preprocessing gains
+// node vision-core.js match <image> [target|template.png...] [--json]  - image targets
+// --json: one object on stdout (same shape as d0t --json), logs on stderr
+
 if (require.main === module) {
-  const [,, mode, imagePath] = process.argv;
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const [mode, ...files] = args.filter(a => !a.startsWith('--'));
+  
+  const runBench = async () => {
+    if (files.length === 0) {
+      throw Object.assign(new Error('Usage: node vision-core.js bench <image...>'), { code: 'USAGE' });
+    }
+    const missing = files.find(f => !fs.existsSync(f));
+    if (missing) {
+      throw Object.assign(new Error(`Image not found: ${missing}`), { code: 'NOT_FOUND' });
+    }
+    
+    console.log(`🔮 B0B Vision Core - preprocessing bench (${files.length} image(s))\n`);
+    const results = await bench(files);
+    console.log(benchReport(results));
+    return { results, timing: results.reduce((sum, r) => sum + Object.values(r.variants).reduce((a, v) => a + v.timing, 0), 0) };
+  };
+  
+  const runMatch = async () => {
+    const [img, ...wanted] = files;
+    if (!img) {
+      throw Object.assign(new Error('Usage: node vision-core.js match <image> [target|template.png...]'), { code: 'USAGE' });
+    }
+    const missing = [img, ...wanted.filter(w => /\.(png|jpe?g)$/i.test(w))].find(f => !fs.existsSync(f));
+    if (missing) {
+      throw Object.assign(new Error(`Image not found: ${missing}`), { code: 'NOT_FOUND' });
+    }
+    
+    // Template files on the command line become one-off targets
+    const targets = wanted.map((w) => {
+      if (!/\.(png|jpe?g)$/i.test(w)) return w;
+      const target = path.basename(w, path.extname(w));
+      registerTemplate(target, w);
+      return target;
+    });
+    
+    const start = Date.now();
+    const matches = await findTemplates(img, targets.length > 0 ? targets : templateTargets());
+    console.log(`🔮 B0B Vision Core - ${matches.length} image match(es) in ${img}\n`);
+    for (const m of matches) {
+      console.log(`   ${m.pattern} (${m.match}) at (${m.x}, ${m.y}) score ${m.score.toFixed(3)} scale ${m.scale}`);
+    }
+    return { matches, timing: Date.now() - start };
+  };
   
   const run = async () => {
-    const img = imagePath || 'screenshot.png';
+    if (mode === 'bench') return runBench();
+    if (mode === 'match') return runMatch();
+    
+    const img = files[0] || 'screenshot.png';
     
     console.log(`🔮 B0B Vision Core\n`);
     console.log(`Mode: ${mode || 'screen'}`);
     console.log(`Image: ${img}\n`);
     
+    if (!fs.existsSync(img)) {
+      throw Object.assign(new Error(`Image not found: ${img}`), { code: 'NOT_FOUND' });
+    }
+    
     let result;
     
     switch (mode) {
@@ -310,9 +900,29 @@ if (require.main === module) {
         break;
     }
     
+    // read() reports OCR failures in the result instead of throwing
+    if (result.error) {
+      throw Object.assign(new Error(result.error), { code: 'OCR_FAILED' });
+    }
+    
     console.log(`\nTiming: ${result.timing}ms`);
     console.log(`Confidence: ${(result.confidence * 100).toFixed(1)}%`);
+    return result;
   };
   
-  run().catch(console.error);
+  const log = console.log;
+  if (json) console.log = console.error;
+  
+  run()
+    .then((result) => ({ ok: true, command: mode || 'screen', result, timing: { ocr: result.timing } }))
+    .catch((err) => {
+      console.error(`❌ ${err.message}`);
+      return { ok: false, command: mode || 'screen', error: { code: err.code || 'FAILED', message: err.message, exit: 1 } };
+    })
+    .then(async (output) => {
+      console.log = log;
+      if (json) process.stdout.write(JSON.stringify(output) + '\n');
+      await terminateWorker();
+      process.exit(output.ok ? 0 : 1);
+    });
 }